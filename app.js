@@ -8,6 +8,7 @@ const cors = require("cors");
 const session = require("express-session");
 const config = require("./src/config/environment");
 const routes = require("./src/routes");
+const ScheduleController = require("./src/controllers/scheduleController");
 const {
   globalErrorHandler,
   notFoundHandler,
@@ -21,8 +22,9 @@ const app = express();
 const corsOptions = {
   origin: config.cors.origins,
   credentials: true,
-  allowedHeaders: ["Content-Type", "Authorization"],
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+  exposedHeaders: ["X-Refreshed-Token", "Idempotent-Replayed", "Retry-After"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
 };
 
 /**
@@ -114,10 +116,21 @@ const server = app.listen(config.server.port, () => {
     warnings.push("JWT secret not configured or using default (JWT_SECRET)");
   }
 
+  if (!config.vault.encryptionKey) {
+    warnings.push(
+      "Token vault key not configured, deriving it from JWT secret (TOKEN_VAULT_KEY, required in production)"
+    );
+  }
+
   if (warnings.length > 0) {
     console.warn("⚠️  Configuration Warnings:");
     warnings.forEach((warning) => console.warn(`   • ${warning}`));
   }
+
+  // Restore scheduled posts persisted before the last shutdown
+  ScheduleController.startScheduler().catch((error) =>
+    console.error("Error starting scheduler:", error)
+  );
 });
 
 /**
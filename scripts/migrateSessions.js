@@ -0,0 +1,138 @@
+/**
+ * Copies Substack sessions from a sessions.json file into the configured
+ * session store backend.
+ *
+ * Usage: npm run migrate:sessions -- [--from <dir>] [--to <backend>] [--overwrite]
+ *   --from       Directory holding sessions.json (default: SESSION_STORE_PATH)
+ *   --to         Target backend, json or sqlite (default: SESSION_STORE_BACKEND)
+ *   --overwrite  Replace sessions that already exist in the target
+ *
+ * Stored records are copied as they are, so the target must be used with the
+ * same SESSION_STORE_KEY. The source file is left in place.
+ * @module scripts/migrateSessions
+ */
+
+const path = require("path");
+const config = require("../src/config/environment");
+const SessionStore = require("../src/services/sessionStore");
+const JsonFileBackend = require("../src/services/sessionBackends/jsonFileBackend");
+const {
+  BACKEND_NAMES,
+  createSessionBackend,
+} = require("../src/services/sessionBackends");
+
+/**
+ * Parses command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} `{ from, to, overwrite }`
+ * @throws {Error} For unknown options or missing values
+ */
+function parseArgs(args) {
+  const options = {
+    from: config.sessions.storePath,
+    to: config.sessions.backend,
+    overwrite: false,
+  };
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === "--overwrite") {
+      options.overwrite = true;
+    } else if (arg === "--from" || arg === "--to") {
+      const value = args[++index];
+      if (!value) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[arg.slice(2)] = value;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Copies the sessions
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} `{ copied, skipped }`
+ * @throws {Error} If the target is invalid or the same file as the source
+ */
+async function migrate({ from, to, overwrite }) {
+  if (!BACKEND_NAMES.includes(to) || to === "memory") {
+    throw new Error(`Invalid target backend "${to}" (expected json or sqlite)`);
+  }
+  if (
+    to === "json" &&
+    path.resolve(from) === path.resolve(config.sessions.storePath)
+  ) {
+    throw new Error(
+      "Source and target are the same sessions.json, pass another directory with --from"
+    );
+  }
+
+  const source = new JsonFileBackend({ storePath: from });
+  const target = createSessionBackend({ ...config.sessions, backend: to });
+  // Encrypts sessions the source still holds in plain text
+  const store = new SessionStore({
+    backend: target,
+    encryptionKey: config.sessions.encryptionKey || config.jwt.secret,
+  });
+
+  try {
+    const records = await source.getAll();
+    let copied = 0;
+    let skipped = 0;
+
+    for (const [sessionId, record] of Object.entries(records)) {
+      if (!overwrite && (await target.get(sessionId))) {
+        skipped++;
+        continue;
+      }
+
+      await target.put(
+        sessionId,
+        record.secrets ? record : store.toRecord(sessionId, record)
+      );
+      copied++;
+    }
+
+    return { copied, skipped };
+  } finally {
+    await target.close();
+  }
+}
+
+if (require.main === module) {
+  (async () => {
+    try {
+      const options = parseArgs(process.argv.slice(2));
+      console.log(
+        `🚚 Copying sessions from ${path.join(
+          options.from,
+          "sessions.json"
+        )} to the ${options.to} backend`
+      );
+
+      const { copied, skipped } = await migrate(options);
+      console.log(
+        `✅ Copied ${copied} sessions${
+          skipped > 0 ? `, skipped ${skipped} already present` : ""
+        }`
+      );
+      if (options.to !== config.sessions.backend) {
+        console.log(
+          `   Set SESSION_STORE_BACKEND=${options.to} to use the new backend`
+        );
+      }
+    } catch (error) {
+      console.error(`❌ Session migration failed: ${error.message}`);
+      process.exitCode = 1;
+    }
+  })();
+}
+
+module.exports = {
+  parseArgs,
+  migrate,
+};
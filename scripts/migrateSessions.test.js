@@ -0,0 +1,155 @@
+/**
+ * Tests of the session migration command
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The configured store lives in a temporary directory
+const storeRoot = fs.mkdtempSync(path.join(os.tmpdir(), "migrate-sessions-"));
+const targetPath = path.join(storeRoot, "target");
+const sourcePath = path.join(storeRoot, "source");
+Object.assign(process.env, {
+  JWT_SECRET: "test-secret",
+  SESSION_STORE_BACKEND: "json",
+  SESSION_STORE_PATH: targetPath,
+  SESSION_STORE_SQLITE_PATH: path.join(targetPath, "sessions.db"),
+  SESSION_STORE_KEY: "session-key",
+});
+
+const SessionStore = require("../src/services/sessionStore");
+const JsonFileBackend = require("../src/services/sessionBackends/jsonFileBackend");
+const { createSessionBackend } = require("../src/services/sessionBackends");
+const { parseArgs, migrate } = require("./migrateSessions");
+
+/**
+ * Builds a logged-in session
+ * @param {string} cookie - Session cookie value
+ * @returns {Object} Session data
+ */
+function loggedInSession(cookie) {
+  return {
+    status: "logged_in",
+    createdAt: new Date().toISOString(),
+    authTokens: { cookies: { "substack.sid": cookie } },
+  };
+}
+
+/**
+ * Opens the session store on a configured backend
+ * @param {string} backend - "json" or "sqlite"
+ * @returns {SessionStore} Session store
+ */
+function openStore(backend) {
+  return new SessionStore({
+    backend: createSessionBackend({
+      backend,
+      storePath: targetPath,
+      sqlitePath: path.join(targetPath, "sessions.db"),
+    }),
+    encryptionKey: "session-key",
+  });
+}
+
+describe("parseArgs", () => {
+  it("defaults to the configured store", () => {
+    assert.deepEqual(parseArgs([]), {
+      from: targetPath,
+      to: "json",
+      overwrite: false,
+    });
+  });
+
+  it("reads the source, target and overwrite options", () => {
+    assert.deepEqual(
+      parseArgs(["--from", "old", "--to", "sqlite", "--overwrite"]),
+      { from: "old", to: "sqlite", overwrite: true }
+    );
+  });
+
+  it("rejects unknown options and missing values", () => {
+    assert.throws(() => parseArgs(["--force"]), /Unknown option: --force/);
+    assert.throws(() => parseArgs(["--to"]), /Missing value for --to/);
+  });
+});
+
+describe("migrate", () => {
+  before(async () => {
+    // One session encrypted with the key, one from before encryption
+    const source = new SessionStore({
+      backend: new JsonFileBackend({ storePath: sourcePath }),
+      encryptionKey: "session-key",
+    });
+    await source.saveSession("encrypted", loggedInSession("cookie-1"));
+    const records = JSON.parse(
+      fs.readFileSync(path.join(sourcePath, "sessions.json"), "utf8")
+    );
+    records.plain = { id: "plain", ...loggedInSession("cookie-2") };
+    fs.writeFileSync(
+      path.join(sourcePath, "sessions.json"),
+      JSON.stringify(records)
+    );
+  });
+
+  after(() => {
+    fs.rmSync(storeRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  });
+
+  for (const backend of ["json", "sqlite"]) {
+    it(`copies sessions into the ${backend} backend encrypted`, async () => {
+      assert.deepEqual(
+        await migrate({ from: sourcePath, to: backend, overwrite: false }),
+        { copied: 2, skipped: 0 }
+      );
+
+      const store = openStore(backend);
+      const records = await store.backend.getAll();
+      const sessions = await store.loadSessions();
+      await store.backend.close();
+      assert.ok(records.plain.secrets);
+      assert.equal(records.plain.authTokens, undefined);
+      assert.equal(
+        sessions.encrypted.authTokens.cookies["substack.sid"],
+        "cookie-1"
+      );
+      assert.equal(
+        sessions.plain.authTokens.cookies["substack.sid"],
+        "cookie-2"
+      );
+      assert.ok(fs.existsSync(path.join(sourcePath, "sessions.json")));
+    });
+  }
+
+  it("skips sessions already in the target unless overwriting", async () => {
+    const store = openStore("sqlite");
+    await store.saveSession("encrypted", loggedInSession("newer"));
+    await store.backend.close();
+
+    assert.deepEqual(
+      await migrate({ from: sourcePath, to: "sqlite", overwrite: false }),
+      { copied: 1, skipped: 1 }
+    );
+    assert.deepEqual(
+      await migrate({ from: sourcePath, to: "sqlite", overwrite: true }),
+      { copied: 2, skipped: 0 }
+    );
+  });
+
+  it("refuses the memory backend and copying a file onto itself", async () => {
+    await assert.rejects(
+      migrate({ from: sourcePath, to: "memory", overwrite: false }),
+      /Invalid target backend "memory"/
+    );
+    await assert.rejects(
+      migrate({ from: targetPath, to: "json", overwrite: false }),
+      /Source and target are the same sessions\.json/
+    );
+  });
+});
@@ -33,7 +33,17 @@ const config = {
     redirectUri:
       process.env.REDIRECT_URI ||
       "http://localhost:3000/auth/linkedin/callback",
-    scope: "openid profile email w_member_social",
+    scope: [
+      "openid profile email w_member_social",
+      // Organization scopes need the Community Management API product
+      process.env.LINKEDIN_ORGANIZATIONS === "true" &&
+        "r_organization_social w_organization_social rw_organization_admin",
+    ]
+      .filter(Boolean)
+      .join(" "),
+    // Posting API: "legacy" (v2 UGC posts/assets) or "rest" (versioned Posts API)
+    api: process.env.LINKEDIN_API || "legacy",
+    apiVersion: process.env.LINKEDIN_API_VERSION || "202609",
   },
 
   // X (Twitter) OAuth Configuration
@@ -59,6 +69,67 @@ const config = {
     nodeEnv: process.env.NODE_ENV || "development",
   },
 
+  // Token vault Configuration (encrypted provider credentials)
+  vault: {
+    storePath: process.env.TOKEN_VAULT_PATH || "./vault",
+    encryptionKey: process.env.TOKEN_VAULT_KEY,
+  },
+
+  // Substack automation Configuration
+  substack: {
+    // Post through Substack's web API with the session's cookies, using the
+    // browser only when that fails before the post was sent
+    apiPosting: process.env.SUBSTACK_API_POSTING !== "false",
+  },
+
+  // Substack browser sessions Configuration
+  sessions: {
+    // Storage backend: "json" (single file), "sqlite" or "memory" (tests)
+    backend: process.env.SESSION_STORE_BACKEND || "json",
+    storePath: process.env.SESSION_STORE_PATH || "./sessions",
+    sqlitePath:
+      process.env.SESSION_STORE_SQLITE_PATH || "./sessions/sessions.db",
+    // Encrypts login cookies at rest; defaults to the token vault key, which
+    // production requires
+    encryptionKey: process.env.SESSION_STORE_KEY || process.env.TOKEN_VAULT_KEY,
+  },
+
+  // App users Configuration (linked provider accounts)
+  users: {
+    storePath: process.env.USER_STORE_PATH || "./users",
+    // Accounts with the admin role, as owner IDs (provider:id)
+    adminAccounts: (process.env.ADMIN_ACCOUNTS || "")
+      .split(",")
+      .map((ownerId) => ownerId.trim())
+      .filter(Boolean),
+  },
+
+  // Scheduled posts Configuration
+  scheduler: {
+    storePath: process.env.SCHEDULER_STORE_PATH || "./schedules",
+    // Jobs overdue by more than this after a restart count as missed
+    missedGraceMs: parseInt(process.env.SCHEDULER_MISSED_GRACE_MS) || 60000,
+  },
+
+  // Post history Configuration
+  postHistory: {
+    storePath: process.env.POST_HISTORY_PATH || "./posts",
+  },
+
+  // Idempotency-Key Configuration
+  idempotency: {
+    // How long a stored response is replayed for repeated keys
+    ttlMs: parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS) || 24 * 60 * 60 * 1000,
+  },
+
+  // Platform API client Configuration (retries and rate limits)
+  http: {
+    maxRetries: parseInt(process.env.HTTP_MAX_RETRIES ?? "2"),
+    retryBaseDelayMs: parseInt(process.env.HTTP_RETRY_BASE_DELAY_MS) || 500,
+    // Longer waits (retry backoff or rate limit resets) fail with a 429
+    maxRetryDelayMs: parseInt(process.env.HTTP_MAX_RETRY_DELAY_MS) || 10000,
+  },
+
   // CORS Configuration
   cors: {
     origins: [
@@ -72,6 +143,13 @@ const config = {
 
 // Validate configuration in production
 if (config.server.nodeEnv === "production") {
+  // Credentials and session cookies must not be encrypted with the JWT
+  // signing secret, or one leaked secret would expose tokens and credentials
+  if (!config.vault.encryptionKey) {
+    throw new Error(
+      "Missing required environment variables: TOKEN_VAULT_KEY (stored credentials are not encrypted with JWT_SECRET in production)"
+    );
+  }
   validateConfig(config.linkedin);
   validateConfig(config.jwt);
 }
@@ -0,0 +1,51 @@
+/**
+ * Tests of the production configuration checks
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+
+/**
+ * Loads the configuration in a fresh process
+ * @param {Object} env - Environment variables to set or unset (undefined)
+ * @returns {Object} `{ status, stderr }`
+ */
+function loadConfig(env) {
+  const childEnv = { ...process.env, ...env };
+  for (const [name, value] of Object.entries(env)) {
+    if (value === undefined) {
+      delete childEnv[name];
+    }
+  }
+
+  return spawnSync(process.execPath, ["-e", 'require("./environment")'], {
+    cwd: __dirname,
+    env: childEnv,
+    encoding: "utf8",
+    timeout: 10000,
+  });
+}
+
+describe("environment", () => {
+  it("refuses to start in production without a token vault key", () => {
+    const { status, stderr } = loadConfig({
+      NODE_ENV: "production",
+      JWT_SECRET: "secret",
+      TOKEN_VAULT_KEY: undefined,
+      SESSION_STORE_KEY: undefined,
+    });
+
+    assert.notEqual(status, 0);
+    assert.match(stderr, /TOKEN_VAULT_KEY/);
+  });
+
+  it("falls back to the JWT secret outside production", () => {
+    const { status } = loadConfig({
+      NODE_ENV: "development",
+      TOKEN_VAULT_KEY: undefined,
+    });
+
+    assert.equal(status, 0);
+  });
+});
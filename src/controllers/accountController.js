@@ -0,0 +1,123 @@
+/**
+ * Linked accounts controller
+ * @module controllers/accountController
+ */
+
+const BaseController = require("./baseController");
+const accountService = require("../services/accountService");
+const authService = require("../services/authService");
+const {
+  createSuccessResponse,
+  createErrorResponse,
+} = require("../utils/response");
+
+class AccountController extends BaseController {
+  /**
+   * Lists the provider accounts linked to the current user
+   */
+  static listAccounts = BaseController.asyncHandler(async (req, res) => {
+    const { userId, accounts } = await accountService.listAccounts(req.user);
+
+    res.json(
+      createSuccessResponse(accounts, "Linked accounts retrieved", {
+        userId,
+        count: accounts.length,
+      })
+    );
+  });
+
+  /**
+   * Links another provider account, proven by that account's JWT
+   */
+  static linkAccount = BaseController.asyncHandler(async (req, res) => {
+    const { token } = req.body;
+
+    let linkedPayload;
+    try {
+      linkedPayload = await authService.verifyToken(token);
+    } catch (tokenError) {
+      return res.status(400).json(
+        createErrorResponse("Invalid account token", {
+          field: "token",
+          error: tokenError.message,
+        })
+      );
+    }
+
+    if (!linkedPayload.accountId) {
+      return res
+        .status(400)
+        .json(
+          createErrorResponse(
+            "Account token is not backed by stored credentials, please log in again",
+            { field: "token", provider: linkedPayload.provider }
+          )
+        );
+    }
+
+    const { userId, accounts } = await accountService.linkAccount(
+      req.user,
+      linkedPayload
+    );
+
+    res.json(
+      createSuccessResponse(
+        accounts,
+        `${linkedPayload.provider} account linked`,
+        {
+          userId,
+          accountId: linkedPayload.accountId,
+          count: accounts.length,
+        }
+      )
+    );
+  });
+
+  /**
+   * Unlinks an account, revoking its provider tokens and removing its
+   * stored credentials. Unlinking the current token's account also puts
+   * the token on the denylist, as nothing backs it any more.
+   */
+  static unlinkAccount = BaseController.asyncHandler(async (req, res) => {
+    const { accountId } = req.params;
+
+    const claims = await accountService.getLinkedAccountClaims(
+      req.user,
+      accountId
+    );
+    if (!claims) {
+      return res
+        .status(404)
+        .json(createErrorResponse("Linked account not found", { accountId }));
+    }
+
+    const { providerRevoked, revocationError } =
+      await BaseController.revokeProviderAccess(
+        await authService.resolveCredentials(claims)
+      );
+
+    await accountService.unlinkAccount(req.user, accountId);
+    await authService.deleteCredentials(accountId);
+
+    if (accountId === req.user.accountId) {
+      await authService.revokeToken(
+        authService.extractBearerToken(req.headers.authorization),
+        req.user
+      );
+    }
+
+    res.json(
+      createSuccessResponse(
+        {
+          accountId,
+          provider: claims.provider,
+          providerRevoked,
+          ...(revocationError && { revocationError }),
+        },
+        `${claims.provider} account unlinked`
+      )
+    );
+  });
+}
+
+module.exports = AccountController;
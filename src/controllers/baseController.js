@@ -8,11 +8,50 @@ const {
   createErrorResponse,
 } = require("../utils/response");
 const authService = require("../services/authService");
+const xService = require("../services/xService");
+const linkedinService = require("../services/linkedinService");
+const substackService = require("../services/substackService");
+const { detectMediaType, toMediaType } = require("../utils/mediaType");
+
+/**
+ * Response header carrying a replacement JWT after a token refresh
+ */
+const REFRESHED_TOKEN_HEADER = "X-Refreshed-Token";
+
+/**
+ * Provider-specific revocation run on logout, keyed by provider
+ */
+const PROVIDER_REVOCATIONS = {
+  x: async (credentials) => {
+    await xService.revokeAccessToken(credentials.accessToken);
+    if (credentials.refreshToken) {
+      await xService.revokeAccessToken(
+        credentials.refreshToken,
+        "refresh_token"
+      );
+    }
+  },
+  linkedin: (credentials) =>
+    linkedinService.revokeAccessToken(credentials.accessToken),
+  substack: async (credentials) => {
+    if (credentials.sessionId) {
+      await substackService.closeSession(credentials.sessionId);
+    }
+  },
+};
+
+// Pending token refreshes keyed by account ID (or refresh token)
+const refreshesInFlight = new Map();
 
 /**
  * Base class for all controllers with common functionality
  */
 class BaseController {
+  /**
+   * Response header carrying a replacement JWT after a token refresh
+   */
+  static REFRESHED_TOKEN_HEADER = REFRESHED_TOKEN_HEADER;
+
   /**
    * Handle async controller methods with automatic error handling
    * @param {Function} fn - Async controller function
@@ -40,6 +79,83 @@ class BaseController {
     return null;
   }
 
+  /**
+   * Detects the real format of an uploaded file and checks it against the
+   * formats a platform accepts and the client's declared mediaType
+   * @param {Object} file - Multer file (buffer, originalname)
+   * @param {string} [declaredMediaType] - mediaType sent by the client
+   * @param {Array<Object>} allowedFormats - Formats accepted by the platform
+   * @returns {Object} `{ error }` with a 415 error response, or
+   *   `{ format, mediaType }`
+   */
+  static detectUploadedMedia(file, declaredMediaType, allowedFormats) {
+    const allowed = allowedFormats.map((format) => format.mimeType);
+    const format = detectMediaType(file.buffer);
+
+    if (!format || !allowed.includes(format.mimeType)) {
+      return {
+        error: createErrorResponse("Unsupported media format", {
+          field: "media",
+          fileName: file.originalname,
+          detected: format ? format.mimeType : null,
+          allowed,
+        }),
+      };
+    }
+
+    const mediaType = toMediaType(format);
+    if (declaredMediaType && declaredMediaType !== mediaType) {
+      return {
+        error: createErrorResponse("Media type does not match file contents", {
+          field: "mediaType",
+          provided: declaredMediaType,
+          detected: format.mimeType,
+        }),
+      };
+    }
+
+    return { format, mediaType };
+  }
+
+  /**
+   * Detects the formats of several uploaded files
+   * @param {Array<Object>} files - Multer files
+   * @param {Array<Object>} allowedFormats - Formats accepted by the platform
+   * @returns {Object} `{ error }` with a 415 error response naming the file
+   *   index, or `{ media }` with `{ file, format, mediaType }` per file
+   */
+  static detectUploadedFiles(files, allowedFormats) {
+    const media = [];
+
+    for (const [index, file] of files.entries()) {
+      const detected = BaseController.detectUploadedMedia(
+        file,
+        undefined,
+        allowedFormats
+      );
+      if (detected.error) {
+        detected.error.meta = { ...detected.error.meta, index };
+        return { error: detected.error };
+      }
+      media.push({ file, ...detected });
+    }
+
+    return { media };
+  }
+
+  /**
+   * Reads per-file alt texts from a multipart body. Repeated `altText`
+   * fields line up with the uploaded files in order.
+   * @param {string|Array<string>} [altText] - altText field value(s)
+   * @returns {Array<string>} Alt texts by file index
+   */
+  static parseAltTexts(altText) {
+    if (altText === undefined) {
+      return [];
+    }
+    return Array.isArray(altText) ? altText : [altText];
+  }
+
   /**
    * Get current user info from JWT token
    * @param {Object} req - Express request object
@@ -59,32 +175,69 @@ class BaseController {
   }
 
   /**
-   * Handle logout
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
+   * Revokes an account's provider tokens where the platform supports it and
+   * closes its Substack browser session. Failures are reported, not thrown.
+   * @param {Object} tokenData - Token data including provider credentials
+   * @returns {Promise<Object>} `{ providerRevoked, revocationError }`
    */
-  static logout(req, res) {
+  static async revokeProviderAccess(tokenData) {
+    const revoke = PROVIDER_REVOCATIONS[tokenData.provider];
+    if (!revoke) {
+      return { providerRevoked: false, revocationError: null };
+    }
+
     try {
-      const { provider } = req.user;
-      res.json(
-        createSuccessResponse({ provider }, `${provider} logout successful`, {
-          timestamp: new Date().toISOString(),
-        })
-      );
+      await revoke(tokenData);
+      return { providerRevoked: true, revocationError: null };
     } catch (error) {
-      res
-        .status(500)
-        .json(createErrorResponse("Logout failed", { error: error.message }));
+      console.error(
+        `Error revoking ${tokenData.provider} tokens:`,
+        error.message
+      );
+      return { providerRevoked: false, revocationError: error.message };
     }
   }
 
   /**
-   * Refresh access token if needed
-   * @param {Object} tokenData - Current token data from JWT
+   * Handle logout: revokes the provider tokens where the platform supports
+   * it, closes the Substack browser session and puts the JWT on the denylist.
+   * The stored credentials and the account link stay, since other JWTs of
+   * the same account share them; unlinking the account removes them.
+   */
+  static logout = BaseController.asyncHandler(async (req, res) => {
+    const { provider } = req.user;
+    const token = authService.extractBearerToken(req.headers.authorization);
+
+    // A failed provider revocation must not keep the JWT alive
+    const { providerRevoked, revocationError } =
+      await BaseController.revokeProviderAccess(req.user);
+
+    await authService.revokeToken(token, req.user);
+
+    res.json(
+      createSuccessResponse(
+        {
+          provider,
+          providerRevoked,
+          ...(revocationError && { revocationError }),
+        },
+        `${provider} logout successful`,
+        { timestamp: new Date().toISOString() }
+      )
+    );
+  });
+
+  /**
+   * Refresh access token if needed. Refreshed tokens are written back to the
+   * token vault so later requests use them. Tokens issued before the vault
+   * are migrated into it and the replacement JWT is sent back in the
+   * X-Refreshed-Token response header.
+   * @param {Object} tokenData - Current token data from JWT and vault
    * @param {Function} refreshFunction - Provider-specific refresh function
+   * @param {Object} [res] - Express response object for the replacement JWT
    * @returns {Promise<Object>} Updated token data or original if refresh not needed
    */
-  static async refreshTokenIfNeeded(tokenData, refreshFunction) {
+  static async refreshTokenIfNeeded(tokenData, refreshFunction, res = null) {
     try {
       if (!authService.needsRefresh(tokenData, 30)) {
         return tokenData;
@@ -94,19 +247,74 @@ class BaseController {
         return tokenData;
       }
 
-      const refreshedTokenData = await refreshFunction(tokenData.refreshToken);
+      // Providers such as X rotate refresh tokens, so concurrent requests
+      // must share one refresh instead of racing with the same token
+      const refreshKey = tokenData.accountId || tokenData.refreshToken;
+      if (!refreshesInFlight.has(refreshKey)) {
+        refreshesInFlight.set(
+          refreshKey,
+          BaseController.performTokenRefresh(
+            tokenData,
+            refreshFunction
+          ).finally(() => refreshesInFlight.delete(refreshKey))
+        );
+      }
+      const credentials = await refreshesInFlight.get(refreshKey);
+
+      if (!tokenData.accountId && res) {
+        const refreshedToken = await authService.reissueToken(
+          tokenData,
+          credentials
+        );
+        res.setHeader(REFRESHED_TOKEN_HEADER, refreshedToken);
+      }
 
-      return {
-        ...tokenData,
-        accessToken: refreshedTokenData.access_token,
-        refreshToken:
-          refreshedTokenData.refresh_token || tokenData.refreshToken,
-      };
+      return { ...tokenData, ...credentials };
     } catch (error) {
       // Return original token data if refresh fails
       return tokenData;
     }
   }
+
+  /**
+   * Exchanges the refresh token for new credentials and stores them in the
+   * token vault. Skips the exchange if another request already rotated the
+   * stored credentials.
+   * @param {Object} tokenData - Current token data from JWT and vault
+   * @param {Function} refreshFunction - Provider-specific refresh function
+   * @returns {Promise<Object>} New credentials
+   */
+  static async performTokenRefresh(tokenData, refreshFunction) {
+    if (tokenData.accountId) {
+      const stored = await authService.resolveCredentials({
+        accountId: tokenData.accountId,
+      });
+      if (
+        stored.refreshToken !== tokenData.refreshToken &&
+        !authService.needsRefresh(stored, 30)
+      ) {
+        const { accessToken, refreshToken, accessTokenExpiresAt } = stored;
+        return { accessToken, refreshToken, accessTokenExpiresAt };
+      }
+    }
+
+    const refreshedTokenData = await refreshFunction(tokenData.refreshToken);
+
+    const credentials = {
+      accessToken: refreshedTokenData.access_token,
+      refreshToken: refreshedTokenData.refresh_token || tokenData.refreshToken,
+      accessTokenExpiresAt: refreshedTokenData.expires_in
+        ? Math.floor(Date.now() / 1000) + refreshedTokenData.expires_in
+        : null,
+    };
+
+    if (tokenData.accountId) {
+      await authService.updateCredentials(tokenData.accountId, credentials);
+    }
+
+    console.log(`🔄 Refreshed ${tokenData.provider} access token`);
+    return credentials;
+  }
 }
 
 module.exports = BaseController;
@@ -5,13 +5,163 @@
 
 const BaseController = require("./baseController");
 const linkedinService = require("../services/linkedinService");
+const postHistoryService = require("../services/postHistoryService");
 const authService = require("../services/authService");
 const config = require("../config/environment");
+const { toProviderError } = require("../utils/providerErrors");
+const { MEDIA_FORMATS } = require("../utils/mediaType");
 const {
   createSuccessResponse,
   createErrorResponse,
 } = require("../utils/response");
 
+/**
+ * Media formats LinkedIn feed posts accept
+ */
+const LINKEDIN_MEDIA_FORMATS = [
+  MEDIA_FORMATS.JPEG,
+  MEDIA_FORMATS.PNG,
+  MEDIA_FORMATS.GIF,
+  MEDIA_FORMATS.MP4,
+  MEDIA_FORMATS.MOV,
+];
+
+/**
+ * Maximum upload size per media type in bytes
+ */
+const LINKEDIN_MAX_MEDIA_SIZES = linkedinService.MAX_MEDIA_SIZES;
+
+/**
+ * Maximum number of images in one post
+ */
+const MAX_POST_IMAGES = 9;
+
+/**
+ * Checks that files sent with a post fit LinkedIn's media rules: up to
+ * nine images, or a single video
+ * @param {Array<Object>} media - Detected media ({ file, mediaType })
+ * @returns {Object|null} Error response object or null if valid
+ */
+function validatePostMedia(media) {
+  const hasVideo = media.some(({ mediaType }) => mediaType === "video");
+
+  if (media.length > MAX_POST_IMAGES || (hasVideo && media.length > 1)) {
+    return createErrorResponse(
+      "A post takes up to 9 images, or a single video",
+      { field: "media", count: media.length }
+    );
+  }
+
+  const oversized = media.find(
+    ({ file, mediaType }) => file.size > LINKEDIN_MAX_MEDIA_SIZES[mediaType]
+  );
+  if (oversized) {
+    return createErrorResponse("File too large", {
+      field: "media",
+      fileName: oversized.file.originalname,
+      size: oversized.file.size,
+      maxSize: LINKEDIN_MAX_MEDIA_SIZES[oversized.mediaType],
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Validates the organization a post or upload is made on behalf of
+ * @param {string} [organizationUrn] - Organization URN from the request
+ * @param {string} [visibility] - Requested post visibility
+ * @returns {Object|null} Error response object or null if valid
+ */
+function validateOrganization(organizationUrn, visibility) {
+  if (organizationUrn === undefined) {
+    return null;
+  }
+
+  if (!linkedinService.isOrganizationUrn(organizationUrn)) {
+    return createErrorResponse("Invalid organization URN", {
+      field: "organizationUrn",
+      provided: organizationUrn,
+      expected: "urn:li:organization:<id>",
+    });
+  }
+
+  // Company pages have followers, not connections
+  if (visibility === "CONNECTIONS") {
+    return createErrorResponse(
+      "Organization posts cannot be limited to connections",
+      { field: "visibility", provided: visibility }
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Deletes uploaded assets that will not be posted. Failures are logged,
+ * not thrown.
+ * @param {string} accessToken - LinkedIn access token
+ * @param {Array<string>} assetUrns - Asset URNs
+ * @returns {Promise<void>}
+ */
+async function deleteAssets(accessToken, assetUrns) {
+  await Promise.all(
+    assetUrns.map((assetUrn) =>
+      linkedinService.deleteAsset(accessToken, assetUrn).catch((error) => {
+        console.error(
+          `Error deleting LinkedIn asset ${assetUrn}:`,
+          error.message
+        );
+      })
+    )
+  );
+}
+
+/**
+ * Uploads the files of a post in parallel. If any upload fails, the assets
+ * that did upload are deleted again.
+ * @param {string} accessToken - LinkedIn access token
+ * @param {string} ownerUrn - Author URN (person or organization)
+ * @param {Array<Object>} media - Detected media ({ file, mediaType })
+ * @param {Array<string>} altTexts - Alt text by file index
+ * @returns {Promise<Array<Object>>} Media items ({ assetUrn, description })
+ * @throws {Error} If any upload fails
+ */
+async function uploadPostMedia(accessToken, ownerUrn, media, altTexts) {
+  const results = await Promise.allSettled(
+    media.map(({ file, mediaType }, index) =>
+      linkedinService.uploadMedia(
+        accessToken,
+        ownerUrn,
+        file.buffer,
+        mediaType,
+        undefined,
+        altTexts[index]
+      )
+    )
+  );
+
+  const failedIndex = results.findIndex(({ status }) => status === "rejected");
+  if (failedIndex !== -1) {
+    await deleteAssets(
+      accessToken,
+      results
+        .filter(({ status }) => status === "fulfilled")
+        .map(({ value }) => value.assetUrn)
+    );
+    throw toProviderError(
+      "linkedin",
+      results[failedIndex].reason,
+      `Media ${failedIndex} (${media[failedIndex].file.originalname}): ${results[failedIndex].reason.message}`
+    );
+  }
+
+  return results.map(({ value }) => ({
+    assetUrn: value.assetUrn,
+    description: value.description,
+  }));
+}
+
 class LinkedinController extends BaseController {
   /**
    * Initiates LinkedIn OAuth flow
@@ -27,6 +177,10 @@ class LinkedinController extends BaseController {
 
     const state = linkedinService.generateState();
     const authUrl = linkedinService.generateAuthUrl(state);
+
+    // Store state in session to validate the callback (CSRF protection)
+    req.session.linkedinState = state;
+
     res.redirect(authUrl);
   });
 
@@ -34,7 +188,11 @@ class LinkedinController extends BaseController {
    * Handles LinkedIn OAuth callback
    */
   static handleCallback = BaseController.asyncHandler(async (req, res) => {
-    const { code, error: oauthError } = req.query;
+    const { code, state, error: oauthError } = req.query;
+    const expectedState = req.session.linkedinState;
+
+    // State is single-use
+    delete req.session.linkedinState;
 
     if (oauthError) {
       return res.status(400).json(
@@ -44,6 +202,14 @@ class LinkedinController extends BaseController {
       );
     }
 
+    if (!state || !expectedState || state !== expectedState) {
+      return res.status(400).json(
+        createErrorResponse("Invalid OAuth state", {
+          hint: "Restart the login flow from /auth/linkedin",
+        })
+      );
+    }
+
     if (!code) {
       return res
         .status(400)
@@ -58,12 +224,16 @@ class LinkedinController extends BaseController {
       tokenData.access_token
     );
 
-    // Create JWT token
-    const userToken = authService.createToken(
+    // With a refresh token the JWT can outlive the access token, which is
+    // then refreshed on demand
+    const userToken = await authService.createToken(
       "linkedin",
       profileData,
       tokenData.access_token,
-      null,
+      tokenData.refresh_token || null,
+      tokenData.refresh_token
+        ? tokenData.refresh_token_expires_in || tokenData.expires_in
+        : tokenData.expires_in,
       tokenData.expires_in
     );
 
@@ -94,8 +264,16 @@ class LinkedinController extends BaseController {
       return res.status(400).json(providerError);
     }
 
-    const { accessToken } = req.user;
-    const profileData = await linkedinService.getUserProfile(accessToken);
+    // Check and refresh token if needed
+    const refreshedTokenData = await BaseController.refreshTokenIfNeeded(
+      req.user,
+      linkedinService.refreshAccessToken,
+      res
+    );
+
+    const profileData = await linkedinService.getUserProfile(
+      refreshedTokenData.accessToken
+    );
 
     res.json(
       createSuccessResponse(profileData, "User profile refreshed", {
@@ -107,7 +285,42 @@ class LinkedinController extends BaseController {
   });
 
   /**
-   * Creates a LinkedIn post
+   * Lists the organizations (company pages) the user administers
+   */
+  static listOrganizations = BaseController.asyncHandler(async (req, res) => {
+    const providerError = BaseController.validateProvider(req, "linkedin");
+    if (providerError) {
+      return res.status(400).json(providerError);
+    }
+
+    // Check and refresh token if needed
+    const refreshedTokenData = await BaseController.refreshTokenIfNeeded(
+      req.user,
+      linkedinService.refreshAccessToken,
+      res
+    );
+
+    const organizations = await linkedinService.listAdministeredOrganizations(
+      refreshedTokenData.accessToken
+    );
+
+    res.json(
+      createSuccessResponse(
+        { organizations },
+        "LinkedIn organizations retrieved successfully",
+        {
+          platform: "LinkedIn",
+          user: req.user.name,
+          count: organizations.length,
+          timestamp: new Date().toISOString(),
+        }
+      )
+    );
+  });
+
+  /**
+   * Creates a LinkedIn post, as the user or as an organization they
+   * administer
    */
   static createPost = BaseController.asyncHandler(async (req, res) => {
     const providerError = BaseController.validateProvider(req, "linkedin");
@@ -115,7 +328,7 @@ class LinkedinController extends BaseController {
       return res.status(400).json(providerError);
     }
 
-    const { accessToken, name, linkedinId } = req.user;
+    const { linkedinId, name } = req.user;
     const {
       text,
       visibility,
@@ -124,9 +337,11 @@ class LinkedinController extends BaseController {
       articleUrl,
       articleTitle,
       articleDescription,
+      organizationUrn,
     } = req.body;
 
-    // Validate required fields
+    // Repeats part of the createLinkedinPost schema: /api/posts/publish calls
+    // this handler without it
     if (!text || text.trim().length === 0) {
       return res
         .status(400)
@@ -143,60 +358,255 @@ class LinkedinController extends BaseController {
       );
     }
 
+    if (
+      visibility !== undefined &&
+      !linkedinService.VISIBILITIES.includes(visibility)
+    ) {
+      return res.status(400).json(
+        createErrorResponse("Invalid visibility", {
+          field: "visibility",
+          provided: visibility,
+          allowed: linkedinService.VISIBILITIES,
+        })
+      );
+    }
+
+    const organizationError = validateOrganization(organizationUrn, visibility);
+    if (organizationError) {
+      return res.status(400).json(organizationError);
+    }
+
+    // Files sent with the post are uploaded first (multipart requests)
+    const files = req.files || [];
+    let detectedMedia = [];
+    if (files.length > 0) {
+      const { error, media: detected } = BaseController.detectUploadedFiles(
+        files,
+        LINKEDIN_MEDIA_FORMATS
+      );
+      if (error) {
+        return res.status(415).json(error);
+      }
+
+      const mediaError = validatePostMedia(detected);
+      if (mediaError) {
+        return res.status(400).json(mediaError);
+      }
+      detectedMedia = detected;
+    }
+
+    // Check and refresh token if needed
+    const refreshedTokenData = await BaseController.refreshTokenIfNeeded(
+      req.user,
+      linkedinService.refreshAccessToken,
+      res
+    );
+
     const postData = {
       text: text.trim(),
       visibility: visibility || "PUBLIC",
       mediaType: mediaType || "NONE",
-      media: media || [],
+      media: Array.isArray(media) ? media : [],
       articleUrl,
       articleTitle,
       articleDescription,
+      organizationUrn,
+    };
+
+    let uploadedMedia = [];
+    if (detectedMedia.length > 0) {
+      uploadedMedia = await uploadPostMedia(
+        refreshedTokenData.accessToken,
+        organizationUrn || `urn:li:person:${linkedinId}`,
+        detectedMedia,
+        BaseController.parseAltTexts(req.body.altText)
+      );
+      postData.mediaType =
+        detectedMedia[0].mediaType === "video" ? "VIDEO" : "IMAGE";
+      postData.media = [...postData.media, ...uploadedMedia];
+    }
+
+    const historyEntry = {
+      user: req.user,
+      platform: "linkedin",
+      content: postData.text,
+      mediaIds: postData.media.map((item) => item.assetUrn || item.id),
     };
 
-    const createdPost = await linkedinService.createPost(accessToken, postData);
+    let createdPost;
+    try {
+      createdPost = await linkedinService.createPost(
+        refreshedTokenData.accessToken,
+        postData
+      );
+    } catch (postError) {
+      await deleteAssets(
+        refreshedTokenData.accessToken,
+        uploadedMedia.map((item) => item.assetUrn)
+      );
+      await postHistoryService.recordPost({
+        ...historyEntry,
+        status: postHistoryService.POST_STATUS.FAILED,
+        error: postError.message,
+      });
+      throw postError;
+    }
+
+    await postHistoryService.recordPost({
+      ...historyEntry,
+      status: postHistoryService.POST_STATUS.PUBLISHED,
+      platformPostId: createdPost.postId,
+      postUrl: createdPost.postUrl,
+    });
 
     res.json(
       createSuccessResponse(createdPost, "LinkedIn post created successfully", {
         platform: "LinkedIn",
         user: name,
+        ...(organizationUrn && { organizationUrn }),
+        ...(uploadedMedia.length > 0 && { media: uploadedMedia }),
         timestamp: new Date().toISOString(),
       })
     );
   });
 
   /**
-   * Upload media for LinkedIn posts
+   * Edits the text of a published LinkedIn post
    */
-  static uploadMedia = BaseController.asyncHandler(async (req, res) => {
+  static updatePost = BaseController.asyncHandler(async (req, res) => {
     const providerError = BaseController.validateProvider(req, "linkedin");
     if (providerError) {
       return res.status(400).json(providerError);
     }
 
-    if (!req.file) {
+    const { urn } = req.params;
+    if (!linkedinService.isPostUrn(urn)) {
+      return res.status(400).json(
+        createErrorResponse("Invalid post URN", {
+          field: "urn",
+          provided: urn,
+          expected: "urn:li:share:<id> or urn:li:ugcPost:<id>",
+        })
+      );
+    }
+
+    const { text } = req.body;
+    if (!text || text.trim().length === 0) {
       return res
         .status(400)
-        .json(createErrorResponse("No file uploaded", { field: "media" }));
+        .json(createErrorResponse("Post text is required", { field: "text" }));
     }
 
-    const { accessToken, linkedinId, name } = req.user;
-    const { mediaType, title, description } = req.body;
+    if (text.length > 3000) {
+      return res.status(400).json(
+        createErrorResponse("Post text exceeds 3000 character limit", {
+          field: "text",
+          maxLength: 3000,
+          currentLength: text.length,
+        })
+      );
+    }
+
+    // Check and refresh token if needed
+    const refreshedTokenData = await BaseController.refreshTokenIfNeeded(
+      req.user,
+      linkedinService.refreshAccessToken,
+      res
+    );
+
+    const updatedPost = await linkedinService.updatePost(
+      refreshedTokenData.accessToken,
+      urn,
+      { text: text.trim() }
+    );
+    await postHistoryService.recordChange("linkedin", urn, {
+      content: text.trim(),
+    });
 
-    // Validate media type
-    const validMediaTypes = ["image", "video"];
-    if (!mediaType || !validMediaTypes.includes(mediaType)) {
+    res.json(
+      createSuccessResponse(updatedPost, "LinkedIn post updated successfully", {
+        platform: "LinkedIn",
+        user: req.user.name,
+        timestamp: new Date().toISOString(),
+      })
+    );
+  });
+
+  /**
+   * Deletes a LinkedIn post
+   */
+  static deletePost = BaseController.asyncHandler(async (req, res) => {
+    const providerError = BaseController.validateProvider(req, "linkedin");
+    if (providerError) {
+      return res.status(400).json(providerError);
+    }
+
+    const { urn } = req.params;
+    if (!linkedinService.isPostUrn(urn)) {
       return res.status(400).json(
-        createErrorResponse("Invalid or missing media type", {
-          field: "mediaType",
-          provided: mediaType,
-          allowed: validMediaTypes,
+        createErrorResponse("Invalid post URN", {
+          field: "urn",
+          provided: urn,
+          expected: "urn:li:share:<id> or urn:li:ugcPost:<id>",
         })
       );
     }
 
+    // Check and refresh token if needed
+    const refreshedTokenData = await BaseController.refreshTokenIfNeeded(
+      req.user,
+      linkedinService.refreshAccessToken,
+      res
+    );
+
+    await linkedinService.deletePost(refreshedTokenData.accessToken, urn);
+    await postHistoryService.recordChange("linkedin", urn, {
+      status: postHistoryService.POST_STATUS.DELETED,
+    });
+
+    res.json(
+      createSuccessResponse(
+        { postId: urn, deleted: true },
+        "LinkedIn post deleted successfully",
+        {
+          platform: "LinkedIn",
+          user: req.user.name,
+          timestamp: new Date().toISOString(),
+        }
+      )
+    );
+  });
+
+  /**
+   * Upload media for LinkedIn posts, owned by the user or an organization
+   */
+  static uploadMedia = BaseController.asyncHandler(async (req, res) => {
+    const providerError = BaseController.validateProvider(req, "linkedin");
+    if (providerError) {
+      return res.status(400).json(providerError);
+    }
+
+    if (!req.file) {
+      return res
+        .status(400)
+        .json(createErrorResponse("No file uploaded", { field: "media" }));
+    }
+
+    const { linkedinId, name } = req.user;
+    const { title, description, organizationUrn } = req.body;
+
+    // Detect the real format instead of trusting the client's mediaType
+    const { error, format, mediaType } = BaseController.detectUploadedMedia(
+      req.file,
+      req.body.mediaType,
+      LINKEDIN_MEDIA_FORMATS
+    );
+    if (error) {
+      return res.status(415).json(error);
+    }
+
     // Validate file size (LinkedIn limits: ~100MB for videos, ~20MB for images)
-    const maxSize =
-      mediaType === "video" ? 100 * 1024 * 1024 : 20 * 1024 * 1024;
+    const maxSize = LINKEDIN_MAX_MEDIA_SIZES[mediaType];
     if (req.file.size > maxSize) {
       return res.status(400).json(
         createErrorResponse(
@@ -213,10 +623,18 @@ class LinkedinController extends BaseController {
       );
     }
 
-    const personUrn = `urn:li:person:${linkedinId}`;
+    // Check and refresh token if needed
+    const refreshedTokenData = await BaseController.refreshTokenIfNeeded(
+      req.user,
+      linkedinService.refreshAccessToken,
+      res
+    );
+
+    // Assets posted by an organization must be owned by it
+    const ownerUrn = organizationUrn || `urn:li:person:${linkedinId}`;
     const mediaInfo = await linkedinService.uploadMedia(
-      accessToken,
-      personUrn,
+      refreshedTokenData.accessToken,
+      ownerUrn,
       req.file.buffer,
       mediaType,
       title,
@@ -227,7 +645,9 @@ class LinkedinController extends BaseController {
       createSuccessResponse(mediaInfo, "LinkedIn media uploaded successfully", {
         platform: "LinkedIn",
         user: name,
+        ...(organizationUrn && { organizationUrn }),
         mediaType: mediaType,
+        contentType: format.mimeType,
         fileName: req.file.originalname,
         fileSize: req.file.size,
         timestamp: new Date().toISOString(),
@@ -0,0 +1,164 @@
+/**
+ * Post history controller
+ * @module controllers/postHistoryController
+ */
+
+const BaseController = require("./baseController");
+const postHistoryService = require("../services/postHistoryService");
+const accountService = require("../services/accountService");
+const {
+  createSuccessResponse,
+  createErrorResponse,
+} = require("../utils/response");
+
+/**
+ * Page size limits for listing posts
+ */
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parses an optional date query parameter
+ * @param {string} [value] - ISO date string
+ * @param {string} field - Query parameter name
+ * @returns {Object} `{ error }` with an error response, or `{ date }`
+ */
+function parseDateFilter(value, field) {
+  if (value === undefined) {
+    return { date: undefined };
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return {
+      error: createErrorResponse("Invalid date filter", {
+        field,
+        provided: value,
+        expectedFormat: "ISO 8601 date string",
+      }),
+    };
+  }
+
+  return { date };
+}
+
+/**
+ * Parses an optional integer query parameter
+ * @param {string} [value] - Query value
+ * @param {string} field - Query parameter name
+ * @param {number} defaultValue - Value when not provided
+ * @param {Object} [range] - Allowed range
+ * @param {number} [range.min=0] - Smallest allowed value
+ * @param {number} [range.max] - Largest allowed value
+ * @returns {Object} `{ error }` with an error response, or `{ value }`
+ */
+function parseIntegerParam(value, field, defaultValue, range = {}) {
+  if (value === undefined) {
+    return { value: defaultValue };
+  }
+
+  const { min = 0, max } = range;
+  const parsed = Number(value);
+  if (
+    !Number.isInteger(parsed) ||
+    parsed < min ||
+    (max !== undefined && parsed > max)
+  ) {
+    return {
+      error: createErrorResponse(`Invalid ${field}`, {
+        field,
+        provided: value,
+        min,
+        ...(max !== undefined && { max }),
+      }),
+    };
+  }
+
+  return { value: parsed };
+}
+
+class PostHistoryController extends BaseController {
+  /**
+   * Lists posts made by the user's linked accounts, with filters and
+   * pagination
+   */
+  static listPosts = BaseController.asyncHandler(async (req, res) => {
+    const { platform, status } = req.query;
+
+    if (platform && !postHistoryService.PLATFORMS.includes(platform)) {
+      return res.status(400).json(
+        createErrorResponse("Invalid platform filter", {
+          field: "platform",
+          provided: platform,
+          allowed: postHistoryService.PLATFORMS,
+        })
+      );
+    }
+
+    const statuses = Object.values(postHistoryService.POST_STATUS);
+    if (status && !statuses.includes(status)) {
+      return res.status(400).json(
+        createErrorResponse("Invalid status filter", {
+          field: "status",
+          provided: status,
+          allowed: statuses,
+        })
+      );
+    }
+
+    const from = parseDateFilter(req.query.from, "from");
+    if (from.error) {
+      return res.status(400).json(from.error);
+    }
+    const to = parseDateFilter(req.query.to, "to");
+    if (to.error) {
+      return res.status(400).json(to.error);
+    }
+    if (from.date && to.date && from.date > to.date) {
+      return res.status(400).json(
+        createErrorResponse("Date range start is after its end", {
+          field: "from",
+          from: req.query.from,
+          to: req.query.to,
+        })
+      );
+    }
+
+    const limit = parseIntegerParam(
+      req.query.limit,
+      "limit",
+      DEFAULT_PAGE_SIZE,
+      { min: 1, max: MAX_PAGE_SIZE }
+    );
+    if (limit.error) {
+      return res.status(400).json(limit.error);
+    }
+    const offset = parseIntegerParam(req.query.offset, "offset", 0);
+    if (offset.error) {
+      return res.status(400).json(offset.error);
+    }
+
+    const ownerIds = await accountService.getLinkedOwnerIds(req.user);
+    const { posts, total } = await postHistoryService.listPosts(
+      ownerIds,
+      { platform, status, from: from.date, to: to.date },
+      { limit: limit.value, offset: offset.value }
+    );
+
+    res.json(
+      createSuccessResponse(
+        posts.map(postHistoryService.formatPost),
+        "Post history retrieved",
+        {
+          count: posts.length,
+          total,
+          limit: limit.value,
+          offset: offset.value,
+          hasMore: offset.value + posts.length < total,
+        }
+      )
+    );
+  });
+}
+
+module.exports = PostHistoryController;
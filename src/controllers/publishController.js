@@ -0,0 +1,366 @@
+/**
+ * Cross-platform publishing controller
+ * @module controllers/publishController
+ */
+
+const BaseController = require("./baseController");
+const LinkedinController = require("./linkedinController");
+const XController = require("./xController");
+const substackService = require("../services/substackService");
+const authService = require("../services/authService");
+const accountService = require("../services/accountService");
+const tweetLength = require("../utils/tweetLength");
+const { ProviderError } = require("../utils/providerErrors");
+const { validateObject } = require("../utils/schema");
+const { createValidationErrorResponse } = require("../middleware/validate");
+const { substack: substackSchemas } = require("../schemas");
+const {
+  createApiResponse,
+  createSuccessResponse,
+  createErrorResponse,
+} = require("../utils/response");
+
+/**
+ * Runs an Express controller handler outside of the router and captures
+ * its response, so existing per-platform validation and posting logic is
+ * reused as-is.
+ * @param {Function} handler - Controller handler (req, res, next)
+ * @param {Object} req - Request-like object passed to the handler
+ * @returns {Promise<Object>} Captured status code, headers (lower-case
+ * names) and response body
+ */
+function runHandler(handler, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+      },
+      json(body) {
+        resolve({ statusCode: this.statusCode, headers: this.headers, body });
+        return this;
+      },
+    };
+
+    const next = (error) => {
+      if (error) {
+        reject(error);
+      }
+    };
+
+    try {
+      handler(req, res, next);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Resolves the JWT payload to use for a target platform. A target may name
+ * a linked account ID, otherwise the request's token is used.
+ * @param {Object} target - Publish target
+ * @param {Object} requestUser - Decoded JWT of the incoming request
+ * @returns {Promise<Object>} Decoded JWT payload for the target
+ * @throws {Error} If the target's account is not linked to the request's user
+ */
+async function resolveTargetUser(target, requestUser) {
+  if (target.accountId) {
+    const claims = await accountService.getLinkedAccountClaims(
+      requestUser,
+      target.accountId
+    );
+    if (!claims) {
+      throw new Error(`Linked account not found: ${target.accountId}`);
+    }
+    return authService.resolveCredentials(claims);
+  }
+  return requestUser;
+}
+
+/**
+ * Appends a link to text, separated by a blank line
+ * @param {string} text - Text content
+ * @param {string} [link] - Optional link
+ * @returns {string} Text including the link
+ */
+function withLink(text, link) {
+  return link ? `${text}\n\n${link}` : text;
+}
+
+/**
+ * Shortens tweet text so it fits X's weighted limit, keeping the link intact
+ * @param {string} text - Canonical post text
+ * @param {string} [link] - Optional link to append
+ * @returns {string|null} Tweet text, or null if the link alone is too long
+ */
+function fitTweetText(text, link) {
+  const full = withLink(text, link);
+  if (tweetLength.isWithinLimit(full)) {
+    return full;
+  }
+
+  // Start from the part of the text that fits and drop whole code points
+  // until the ellipsis and link fit as well
+  const { normalizedText, validRange } = tweetLength.parseTweet(text);
+  const codePoints = Array.from(normalizedText.substring(0, validRange.end));
+  for (let cut = codePoints.length; cut >= 0; cut--) {
+    const candidate = withLink(
+      `${codePoints.slice(0, cut).join("").trimEnd()}…`,
+      link
+    );
+    if (tweetLength.isWithinLimit(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Per-platform adapters turning the canonical post into request bodies
+ */
+const ADAPTERS = {
+  linkedin: (post, overrides) => ({
+    text: withLink(post.text, post.link),
+    visibility: post.visibility,
+    ...(post.link && {
+      mediaType: "ARTICLE",
+      articleUrl: post.link,
+      articleTitle: post.title,
+      articleDescription: post.subtitle,
+    }),
+    ...overrides,
+  }),
+  x: (post, overrides) => ({
+    text: fitTweetText(post.text, post.link),
+    ...overrides,
+  }),
+  substack: (post, overrides) => ({
+    title: post.title,
+    subtitle: post.subtitle,
+    content: post.content || post.text,
+    isDraft: post.isDraft,
+    ...overrides,
+  }),
+};
+
+/**
+ * Publishes the adapted post to Substack through an existing browser session.
+ * The body is held to the same schema as POST /api/substack/post.
+ * @param {Object} target - Publish target with sessionId
+ * @param {Object} body - Adapted Substack post body
+ * @param {Object} user - Decoded JWT of the publishing user
+ * @returns {Promise<Object>} Captured status code and response body
+ */
+async function publishToSubstack(target, body, user) {
+  const fields = { ...body, sessionId: target.sessionId };
+  const errors = validateObject(fields, substackSchemas.createPost.body);
+  if (errors.length > 0) {
+    return { statusCode: 400, body: createValidationErrorResponse(errors) };
+  }
+
+  if (!(await substackService.ownsSession(user, target.sessionId))) {
+    return {
+      statusCode: 404,
+      body: createErrorResponse("Session not found", {
+        sessionId: target.sessionId,
+      }),
+    };
+  }
+
+  const result = await substackService.publishPost(
+    user,
+    target.sessionId,
+    fields
+  );
+
+  return {
+    statusCode: 200,
+    body: createSuccessResponse(result, "Substack post created successfully"),
+  };
+}
+
+/**
+ * Publishes the post to a single target and normalizes the outcome
+ * @param {Object} target - Publish target
+ * @param {Object} post - Canonical post
+ * @param {Object} context - Publishing context
+ * @param {Object} context.user - Decoded JWT used when a target names no
+ * account
+ * @param {Object} [context.session] - Express session, if any
+ * @param {Object} [context.res] - Express response receiving the
+ * replacement JWT when the request's legacy token is migrated
+ * @param {Object} [targetUser] - Claims resolved by the server for this
+ * target (scheduled jobs); never taken from the request
+ * @returns {Promise<Object>} Per-target result
+ */
+async function publishToTarget(target, post, context, targetUser) {
+  const { platform } = target;
+  const body = ADAPTERS[platform](post, target.overrides || {});
+
+  if (platform === "x" && body.text === null) {
+    return {
+      platform,
+      status: "failed",
+      statusCode: 400,
+      error: "Post link is too long for a tweet",
+    };
+  }
+
+  try {
+    let outcome;
+
+    if (platform === "substack") {
+      outcome = await publishToSubstack(
+        target,
+        body,
+        targetUser || context.user
+      );
+    } else {
+      const user = targetUser
+        ? await authService.resolveCredentials(targetUser)
+        : await resolveTargetUser(target, context.user);
+      const handler =
+        platform === "linkedin"
+          ? LinkedinController.createPost
+          : XController.createTweet;
+
+      outcome = await runHandler(handler, {
+        user,
+        body,
+        headers: {},
+        session: context.session || {},
+      });
+
+      // Tokens issued before the vault are replaced when the handler
+      // refreshes them; the client only learns of it from this header
+      const refreshedToken =
+        outcome.headers[BaseController.REFRESHED_TOKEN_HEADER.toLowerCase()];
+      if (refreshedToken && context.res) {
+        context.res.setHeader(
+          BaseController.REFRESHED_TOKEN_HEADER,
+          refreshedToken
+        );
+      }
+    }
+
+    const succeeded = outcome.statusCode < 400 && outcome.body.success;
+
+    return {
+      platform,
+      status: succeeded ? "published" : "failed",
+      statusCode: outcome.statusCode,
+      ...(succeeded
+        ? { data: outcome.body.data }
+        : {
+            error: outcome.body.message,
+            details: outcome.body.meta,
+          }),
+    };
+  } catch (error) {
+    return {
+      platform,
+      status: "failed",
+      statusCode: error.statusCode || 500,
+      error: error.message,
+      ...(error instanceof ProviderError && {
+        code: error.code,
+        retryable: error.retryable,
+      }),
+      ...(error.retryAfter !== undefined && { retryAfter: error.retryAfter }),
+      ...(error.draftId !== undefined && { draftId: error.draftId }),
+    };
+  }
+}
+
+class PublishController extends BaseController {
+  /**
+   * Normalizes the targets of a publish request body (validated by the
+   * publish schema)
+   * @param {Object} body - Request body with post and targets
+   * @returns {Object} `{ post, targets }`
+   */
+  static parsePublishRequest(body) {
+    const { post, targets } = body;
+
+    // Claims of a target are only ever resolved by the server, from the
+    // request's token or a linked account
+    const normalizedTargets = targets.map((target) => {
+      if (typeof target === "string") {
+        return { platform: target };
+      }
+      const { user, token, ...requestTarget } = target;
+      return requestTarget;
+    });
+
+    return {
+      post: { ...post, text: post.text.trim() },
+      targets: normalizedTargets,
+    };
+  }
+
+  /**
+   * Publishes a canonical post to every target in parallel
+   * @param {Object} post - Canonical post
+   * @param {Array<Object>} targets - Normalized publish targets
+   * @param {Object} context - Publishing context (user, session, res)
+   * @param {Array<Object>} [context.targetUsers] - Server-resolved claims
+   * per target, in the order of targets (scheduled jobs)
+   * @returns {Promise<Object>} Per-target results and counts
+   */
+  static async publishPost(post, targets, context) {
+    const targetUsers = context.targetUsers || [];
+    const results = await Promise.all(
+      targets.map((target, index) =>
+        publishToTarget(target, post, context, targetUsers[index])
+      )
+    );
+
+    const succeeded = results.filter((r) => r.status === "published").length;
+
+    return {
+      results,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+    };
+  }
+
+  /**
+   * Publishes one canonical post to several platforms
+   */
+  static publish = BaseController.asyncHandler(async (req, res) => {
+    const { post, targets } = PublishController.parsePublishRequest(req.body);
+
+    const { results, total, succeeded, failed } =
+      await PublishController.publishPost(post, targets, {
+        user: req.user,
+        session: req.session,
+        res,
+      });
+
+    res.status(failed === 0 ? 200 : 207).json(
+      createApiResponse(
+        succeeded > 0,
+        { results },
+        failed === 0
+          ? "Post published to all targets"
+          : `Post published to ${succeeded} of ${total} targets`,
+        {
+          total,
+          succeeded,
+          failed,
+          timestamp: new Date().toISOString(),
+        }
+      )
+    );
+  });
+}
+
+module.exports = PublishController;
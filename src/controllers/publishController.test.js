@@ -0,0 +1,199 @@
+/**
+ * Tests of cross-platform publishing
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Stores live in a temporary directory
+const storeRoot = fs.mkdtempSync(path.join(os.tmpdir(), "publish-"));
+Object.assign(process.env, {
+  JWT_SECRET: "test-secret",
+  TOKEN_VAULT_PATH: path.join(storeRoot, "vault"),
+  USER_STORE_PATH: path.join(storeRoot, "users"),
+  POST_HISTORY_PATH: path.join(storeRoot, "posts"),
+  SESSION_STORE_BACKEND: "memory",
+});
+
+const authService = require("../services/authService");
+const xService = require("../services/xService");
+const substackService = require("../services/substackService");
+const tweetLength = require("../utils/tweetLength");
+const PublishController = require("./publishController");
+
+describe("PublishController", () => {
+  const stubbed = ["createTweet", "refreshAccessToken"];
+  const originals = {};
+  const publishPost = substackService.publishPost;
+  let tweets;
+  let substackPosts;
+
+  before(() => {
+    for (const name of stubbed) {
+      originals[name] = xService[name];
+    }
+    xService.createTweet = async (accessToken, tweetData) => {
+      tweets.push({ accessToken, ...tweetData });
+      return { id: String(tweets.length), text: tweetData.text };
+    };
+    xService.refreshAccessToken = async () => ({
+      access_token: "new-access",
+      refresh_token: "new-refresh",
+      expires_in: 7200,
+    });
+    substackService.publishPost = async (user, sessionId, fields) => {
+      substackPosts.push(fields);
+      return { postId: "1" };
+    };
+  });
+
+  after(() => {
+    Object.assign(xService, originals);
+    substackService.publishPost = publishPost;
+    fs.rmSync(storeRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    tweets = [];
+    substackPosts = [];
+  });
+
+  /**
+   * Builds the decoded JWT of an X login, vault-backed unless legacy
+   * @param {boolean} [legacy=false] - Carry credentials in the token itself,
+   * as tokens issued before the vault did
+   * @returns {Promise<Object>} Decoded JWT with resolved credentials
+   */
+  async function xUser(legacy = false) {
+    const now = Math.floor(Date.now() / 1000);
+    if (legacy) {
+      return {
+        provider: "x",
+        xId: "7",
+        name: "Legacy",
+        username: "legacy",
+        accessToken: "old-access",
+        refreshToken: "old-refresh",
+        accessTokenExpiresAt: now - 60,
+        iat: now - 3600,
+        exp: now + 3600,
+      };
+    }
+
+    const token = await authService.createToken(
+      "x",
+      { id: "8", name: "Current", username: "current" },
+      "access",
+      "refresh",
+      null,
+      7200
+    );
+    return authService.resolveCredentials(await authService.verifyToken(token));
+  }
+
+  /**
+   * Records headers set on it like an Express response
+   * @returns {Object} Response stub with a headers map
+   */
+  function responseStub() {
+    return {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+    };
+  }
+
+  it("passes on the replacement of a migrated legacy token", async () => {
+    const res = responseStub();
+
+    const { results } = await PublishController.publishPost(
+      { text: "Hello" },
+      [{ platform: "x" }],
+      { user: await xUser(true), res }
+    );
+
+    assert.equal(results[0].status, "published");
+    assert.equal(tweets[0].accessToken, "new-access");
+
+    const refreshedToken = res.headers["X-Refreshed-Token"];
+    assert.ok(refreshedToken);
+    const payload = await authService.verifyToken(refreshedToken);
+    assert.equal(payload.refreshToken, undefined);
+    const { accessToken, refreshToken } = await authService.resolveCredentials(
+      payload
+    );
+    assert.equal(accessToken, "new-access");
+    assert.equal(refreshToken, "new-refresh");
+  });
+
+  it("shortens tweets without splitting characters", async () => {
+    const link = "https://example.com/post";
+
+    const { results } = await PublishController.publishPost(
+      { text: "😀".repeat(300), link },
+      [{ platform: "x" }],
+      { user: await xUser() }
+    );
+
+    assert.equal(results[0].status, "published");
+    const { text } = tweets[0];
+    assert.ok(text.isWellFormed());
+    assert.ok(tweetLength.isWithinLimit(text));
+    assert.ok(text.endsWith(`…\n\n${link}`));
+  });
+
+  it("fails an X target whose link does not fit in a tweet", async () => {
+    const { results } = await PublishController.publishPost(
+      { text: "Hello", link: "a".repeat(300) },
+      [{ platform: "x" }, { platform: "x", overrides: { text: "Short" } }],
+      { user: await xUser() }
+    );
+
+    assert.equal(results[0].status, "failed");
+    assert.equal(results[0].statusCode, 400);
+    assert.equal(results[1].status, "published");
+    assert.deepEqual(
+      tweets.map((tweet) => tweet.text),
+      ["Short"]
+    );
+  });
+
+  it("holds Substack targets to the Substack post limits", async () => {
+    const user = await xUser();
+    const target = { platform: "substack", sessionId: "session" };
+
+    const { results } = await PublishController.publishPost(
+      { text: "Hello", title: "t".repeat(201) },
+      [target, { platform: "substack" }],
+      { user }
+    );
+
+    assert.equal(results[0].statusCode, 400);
+    assert.deepEqual(
+      results[0].details.errors.map((error) => error.field),
+      ["title"]
+    );
+    assert.deepEqual(
+      results[1].details.errors.map((error) => error.field),
+      ["sessionId", "title"]
+    );
+    assert.equal(substackPosts.length, 0);
+  });
+
+  it("ignores credentials sent with targets", () => {
+    const { post, targets } = PublishController.parsePublishRequest({
+      post: { text: " Hello " },
+      targets: [
+        "linkedin",
+        { platform: "x", token: "someone-elses-jwt", user: { xId: "1" } },
+      ],
+    });
+
+    assert.equal(post.text, "Hello");
+    assert.deepEqual(targets, [{ platform: "linkedin" }, { platform: "x" }]);
+  });
+});
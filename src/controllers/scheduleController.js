@@ -0,0 +1,244 @@
+/**
+ * Scheduled posts controller
+ * @module controllers/scheduleController
+ */
+
+const BaseController = require("./baseController");
+const PublishController = require("./publishController");
+const schedulerService = require("../services/schedulerService");
+const substackService = require("../services/substackService");
+const authService = require("../services/authService");
+const accountService = require("../services/accountService");
+const {
+  createSuccessResponse,
+  createErrorResponse,
+} = require("../utils/response");
+
+/**
+ * Removes provider credentials from decoded JWT claims
+ * @param {Object} payload - Decoded JWT payload
+ * @returns {Object} Claims without credentials
+ */
+function stripCredentials(payload) {
+  const { accessToken, refreshToken, accessTokenExpiresAt, ...claims } =
+    payload;
+  return claims;
+}
+
+class ScheduleController extends BaseController {
+  /**
+   * Starts the scheduler, publishing due jobs through the publish flow
+   * @returns {Promise<Object>} Scheduler start summary
+   */
+  static startScheduler() {
+    // Stored target claims are passed separately from the request-shaped
+    // targets, which never carry claims
+    return schedulerService.start((job) =>
+      PublishController.publishPost(
+        job.post,
+        job.targets.map(({ user, ...target }) => target),
+        { user: null, targetUsers: job.targets.map((target) => target.user) }
+      )
+    );
+  }
+
+  /**
+   * Loads a job and checks it belongs to the current user
+   * @param {Object} req - Express request object
+   * @returns {Object} `{ error, statusCode }` or `{ job }`
+   */
+  static findOwnJob(req) {
+    const job = schedulerService.getJob(req.params.jobId);
+
+    if (!job || job.ownerId !== accountService.getOwnerId(req.user)) {
+      return {
+        statusCode: 404,
+        error: createErrorResponse("Scheduled post not found", {
+          jobId: req.params.jobId,
+        }),
+      };
+    }
+
+    return { job };
+  }
+
+  /**
+   * Schedules a cross-platform post
+   */
+  static schedulePost = BaseController.asyncHandler(async (req, res) => {
+    const { publishAt, missedPolicy } = req.body;
+
+    const { post, targets } = PublishController.parsePublishRequest(req.body);
+
+    // Resolve accounts now so the job can run without the client;
+    // credentials themselves stay in the token vault
+    const resolvedTargets = [];
+    for (const target of targets) {
+      if (target.platform === "substack") {
+        // The job posts as the scheduling user, who must own the session
+        const ownsSession =
+          !target.sessionId ||
+          (await substackService
+            .ownsSession(req.user, target.sessionId)
+            .catch(() => false));
+        if (!ownsSession) {
+          return res.status(400).json(
+            createErrorResponse("Invalid target session", {
+              field: "targets",
+              platform: target.platform,
+              sessionId: target.sessionId,
+            })
+          );
+        }
+
+        resolvedTargets.push({ ...target, user: stripCredentials(req.user) });
+        continue;
+      }
+
+      try {
+        let payload = req.user;
+        if (target.accountId) {
+          payload = await accountService.getLinkedAccountClaims(
+            req.user,
+            target.accountId
+          );
+          if (!payload) {
+            throw new Error(`Linked account not found: ${target.accountId}`);
+          }
+        }
+        // Jobs are stored in plain text, so they only reference the vault
+        const user = payload.accountId
+          ? stripCredentials(payload)
+          : await authService.moveCredentialsToVault(payload);
+        resolvedTargets.push({ ...target, user });
+      } catch (accountError) {
+        return res.status(400).json(
+          createErrorResponse("Invalid target account", {
+            field: "targets",
+            platform: target.platform,
+            error: accountError.message,
+          })
+        );
+      }
+    }
+
+    const job = await schedulerService.scheduleJob({
+      ownerId: accountService.getOwnerId(req.user),
+      post,
+      targets: resolvedTargets,
+      publishAt: new Date(publishAt),
+      missedPolicy,
+    });
+
+    res
+      .status(201)
+      .json(
+        createSuccessResponse(
+          schedulerService.formatJob(job),
+          "Post scheduled successfully",
+          { timestamp: new Date().toISOString() }
+        )
+      );
+  });
+
+  /**
+   * Lists the current user's scheduled posts
+   */
+  static listScheduledPosts = BaseController.asyncHandler(async (req, res) => {
+    const { status } = req.query;
+
+    const jobs = schedulerService.listJobs(
+      accountService.getOwnerId(req.user),
+      { status }
+    );
+
+    res.json(
+      createSuccessResponse(
+        jobs.map(schedulerService.formatJob),
+        "Scheduled posts retrieved",
+        { count: jobs.length }
+      )
+    );
+  });
+
+  /**
+   * Gets a single scheduled post
+   */
+  static getScheduledPost = BaseController.asyncHandler(async (req, res) => {
+    const { error, statusCode, job } = ScheduleController.findOwnJob(req);
+    if (error) {
+      return res.status(statusCode).json(error);
+    }
+
+    res.json(
+      createSuccessResponse(
+        schedulerService.formatJob(job),
+        "Scheduled post retrieved"
+      )
+    );
+  });
+
+  /**
+   * Moves a scheduled post to a new time
+   */
+  static reschedulePost = BaseController.asyncHandler(async (req, res) => {
+    const { error, statusCode, job } = ScheduleController.findOwnJob(req);
+    if (error) {
+      return res.status(statusCode).json(error);
+    }
+
+    const { publishAt, missedPolicy } = req.body;
+
+    try {
+      const updatedJob = await schedulerService.rescheduleJob(
+        job.id,
+        new Date(publishAt),
+        missedPolicy
+      );
+
+      res.json(
+        createSuccessResponse(
+          schedulerService.formatJob(updatedJob),
+          "Scheduled post rescheduled"
+        )
+      );
+    } catch (rescheduleError) {
+      res.status(409).json(
+        createErrorResponse(rescheduleError.message, {
+          jobId: job.id,
+          status: job.status,
+        })
+      );
+    }
+  });
+
+  /**
+   * Cancels a scheduled post
+   */
+  static cancelScheduledPost = BaseController.asyncHandler(async (req, res) => {
+    const { error, statusCode, job } = ScheduleController.findOwnJob(req);
+    if (error) {
+      return res.status(statusCode).json(error);
+    }
+
+    try {
+      const cancelledJob = await schedulerService.cancelJob(job.id);
+
+      res.json(
+        createSuccessResponse(
+          schedulerService.formatJob(cancelledJob),
+          "Scheduled post cancelled"
+        )
+      );
+    } catch (cancelError) {
+      res.status(409).json(
+        createErrorResponse(cancelError.message, {
+          jobId: job.id,
+          status: job.status,
+        })
+      );
+    }
+  });
+}
+
+module.exports = ScheduleController;
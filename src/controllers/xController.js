@@ -5,13 +5,198 @@
 
 const BaseController = require("./baseController");
 const xService = require("../services/xService");
+const postHistoryService = require("../services/postHistoryService");
 const authService = require("../services/authService");
 const config = require("../config/environment");
+const tweetSplitter = require("../utils/tweetSplitter");
+const tweetLength = require("../utils/tweetLength");
 const {
+  ProviderPermissionError,
+  toProviderError,
+} = require("../utils/providerErrors");
+const { MEDIA_FORMATS } = require("../utils/mediaType");
+const {
+  createApiResponse,
   createSuccessResponse,
   createErrorResponse,
 } = require("../utils/response");
 
+/**
+ * Maximum number of tweets accepted in one thread request
+ */
+const MAX_THREAD_SEGMENTS = 25;
+
+/**
+ * Media formats X accepts
+ */
+const X_MEDIA_FORMATS = [
+  MEDIA_FORMATS.JPEG,
+  MEDIA_FORMATS.PNG,
+  MEDIA_FORMATS.GIF,
+  MEDIA_FORMATS.WEBP,
+  MEDIA_FORMATS.MP4,
+  MEDIA_FORMATS.MOV,
+];
+
+/**
+ * Maximum upload size per media kind in bytes
+ */
+const X_MAX_MEDIA_SIZES = xService.MAX_MEDIA_SIZES;
+
+/**
+ * Maximum number of images in one tweet
+ */
+const MAX_TWEET_IMAGES = 4;
+
+/**
+ * Checks that files sent with a tweet fit X's media rules: up to four
+ * images, or a single GIF or video
+ * @param {Array<Object>} media - Detected media ({ file, format })
+ * @returns {Object|null} Error response object or null if valid
+ */
+function validateTweetMedia(media) {
+  const hasSingleOnlyMedia = media.some(
+    ({ format }) => format.kind !== "image"
+  );
+
+  if (
+    media.length > MAX_TWEET_IMAGES ||
+    (hasSingleOnlyMedia && media.length > 1)
+  ) {
+    return createErrorResponse(
+      "A tweet takes up to 4 images, or a single GIF or video",
+      { field: "media", count: media.length }
+    );
+  }
+
+  const oversized = media.find(
+    ({ file, format }) => file.size > X_MAX_MEDIA_SIZES[format.kind]
+  );
+  if (oversized) {
+    return createErrorResponse("File too large", {
+      field: "media",
+      fileName: oversized.file.originalname,
+      size: oversized.file.size,
+      maxSize: X_MAX_MEDIA_SIZES[oversized.format.kind],
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Uploads the files of a tweet in parallel. If any upload fails the tweet
+ * is not posted; media already uploaded is left unattached and expires on
+ * X's side (X has no endpoint to delete it).
+ * @param {string} accessToken - X access token
+ * @param {Array<Object>} media - Detected media ({ file, mediaType })
+ * @param {Array<string>} altTexts - Alt text by file index
+ * @returns {Promise<Array<Object>>} Upload results in file order
+ * @throws {Error} If any upload fails
+ */
+async function uploadTweetMedia(accessToken, media, altTexts) {
+  const results = await Promise.allSettled(
+    media.map(({ file, mediaType }, index) =>
+      xService.uploadMedia(accessToken, file.buffer, mediaType, altTexts[index])
+    )
+  );
+
+  const failedIndex = results.findIndex(({ status }) => status === "rejected");
+  if (failedIndex !== -1) {
+    throw toProviderError(
+      "x",
+      results[failedIndex].reason,
+      `Media ${failedIndex} (${media[failedIndex].file.originalname}): ${results[failedIndex].reason.message}`
+    );
+  }
+
+  return results.map(({ value }, index) => ({
+    media_id: value.media_id,
+    fileName: media[index].file.originalname,
+    ...(altTexts[index] && { altText: altTexts[index] }),
+  }));
+}
+
+/**
+ * How long finished upload progress stays available
+ */
+const UPLOAD_PROGRESS_TTL_MS = 10 * 60 * 1000;
+
+// Progress of media uploads keyed by uploading user and client-chosen
+// upload ID, so users can't see or overwrite each other's uploads
+const uploadProgress = new Map();
+
+/**
+ * Builds the key of an upload's progress
+ * @param {Object} user - Decoded JWT of the uploading user
+ * @param {string} uploadId - Client-chosen upload ID
+ * @returns {string} Progress key
+ */
+function getUploadProgressKey(user, uploadId) {
+  return `${user.accountId || user.xId}:${uploadId}`;
+}
+
+/**
+ * Records progress of a media upload so clients can poll it
+ * @param {string} key - Progress key (see getUploadProgressKey)
+ * @param {Object} progress - Progress update from xService.uploadMedia
+ */
+function recordUploadProgress(key, progress) {
+  const entry = { ...progress, updatedAt: new Date().toISOString() };
+  uploadProgress.set(key, entry);
+
+  if (progress.phase === "done" || progress.phase === "failed") {
+    setTimeout(() => {
+      // A later upload may have reused the ID
+      if (uploadProgress.get(key) === entry) {
+        uploadProgress.delete(key);
+      }
+    }, UPLOAD_PROGRESS_TTL_MS).unref();
+  }
+}
+
+/**
+ * Builds the public URL of a tweet
+ * @param {string} username - Author's X username
+ * @param {string} tweetId - Tweet ID
+ * @returns {string} Tweet URL
+ */
+function getTweetUrl(username, tweetId) {
+  return `https://x.com/${username}/status/${tweetId}`;
+}
+
+/**
+ * Records each tweet of a thread in the post history, plus the segment that
+ * failed, if any
+ * @param {Object} user - Decoded JWT of the author
+ * @param {Object} thread - Result of xService.createThread
+ * @param {Array<string>} [mediaIds] - Media attached to the first tweet
+ * @returns {Promise<void>}
+ */
+async function recordThread(user, thread, mediaIds) {
+  for (const tweet of thread.tweets) {
+    await postHistoryService.recordPost({
+      user,
+      platform: "x",
+      content: tweet.text,
+      mediaIds: tweet.index === 0 && Array.isArray(mediaIds) ? mediaIds : [],
+      status: postHistoryService.POST_STATUS.PUBLISHED,
+      platformPostId: tweet.id,
+      postUrl: getTweetUrl(user.username, tweet.id),
+    });
+  }
+
+  if (thread.failed) {
+    await postHistoryService.recordPost({
+      user,
+      platform: "x",
+      content: thread.failed.text,
+      status: postHistoryService.POST_STATUS.FAILED,
+      error: thread.failed.error,
+    });
+  }
+}
+
 class XController extends BaseController {
   /**
    * Initiates X OAuth flow
@@ -40,7 +225,7 @@ class XController extends BaseController {
    * Handles X OAuth callback
    */
   static handleCallback = BaseController.asyncHandler(async (req, res) => {
-    const { code, state, error: oauthError } = req.query;
+    const { code, error: oauthError } = req.query;
     const { codeVerifier } = req.session;
 
     if (oauthError) {
@@ -70,12 +255,13 @@ class XController extends BaseController {
       config.jwt.xTokenExpiresIn
     );
 
-    const userToken = authService.createToken(
+    const userToken = await authService.createToken(
       "x",
       profileData,
       tokenData.access_token,
       tokenData.refresh_token,
-      extendedExpirationSeconds
+      extendedExpirationSeconds,
+      tokenData.expires_in
     );
 
     // Redirect to frontend with token
@@ -108,7 +294,8 @@ class XController extends BaseController {
     // Check and refresh token if needed
     const refreshedTokenData = await BaseController.refreshTokenIfNeeded(
       req.user,
-      xService.refreshAccessToken
+      xService.refreshAccessToken,
+      res
     );
 
     const profileData = await xService.getUserProfile(
@@ -124,6 +311,30 @@ class XController extends BaseController {
     );
   });
 
+  /**
+   * Validates tweet text using X's weighted character counting
+   */
+  static validateTweet = (req, res) => {
+    const { text } = req.body;
+
+    if (typeof text !== "string") {
+      return res
+        .status(400)
+        .json(createErrorResponse("Tweet text is required", { field: "text" }));
+    }
+
+    const { normalizedText, ...result } = tweetLength.parseTweet(text);
+
+    res.json(
+      createSuccessResponse(
+        result,
+        result.valid
+          ? "Tweet text is valid"
+          : "Tweet text exceeds 280 character limit"
+      )
+    );
+  };
+
   /**
    * Creates a tweet on X
    */
@@ -136,37 +347,84 @@ class XController extends BaseController {
     // Check and refresh token if needed
     const refreshedTokenData = await BaseController.refreshTokenIfNeeded(
       req.user,
-      xService.refreshAccessToken
+      xService.refreshAccessToken,
+      res
     );
 
-    const { name, xId, username } = req.user;
+    const { name, username } = req.user;
     const { text, mediaIds, replyToTweetId, pollOptions, pollDurationMinutes } =
       req.body;
 
-    // Validate required fields
+    // Repeats part of the createTweet schema: /api/posts/publish calls this
+    // handler without it
     if (!text || text.trim().length === 0) {
       return res
         .status(400)
         .json(createErrorResponse("Tweet text is required", { field: "text" }));
     }
 
-    if (text.length > 280) {
+    if (
+      mediaIds !== undefined &&
+      (!Array.isArray(mediaIds) ||
+        mediaIds.some(
+          (id) => typeof id !== "string" || !xService.ID_PATTERN.test(id)
+        ))
+    ) {
+      return res.status(400).json(
+        createErrorResponse("Media IDs must be an array of numeric strings", {
+          field: "mediaIds",
+          provided: mediaIds,
+        })
+      );
+    }
+
+    const parsedText = tweetLength.parseTweet(text.trim());
+    if (!parsedText.valid) {
       return res.status(400).json(
         createErrorResponse("Tweet text exceeds 280 character limit", {
           field: "text",
-          maxLength: 280,
-          currentLength: text.length,
+          maxLength: parsedText.maxLength,
+          currentLength: parsedText.weightedLength,
+          offendingRange: parsedText.offendingRange,
         })
       );
     }
 
+    // Files sent with the tweet are uploaded first (multipart requests)
+    const files = req.files || [];
+    let uploadedMedia = [];
+    if (files.length > 0) {
+      const { error, media } = BaseController.detectUploadedFiles(
+        files,
+        X_MEDIA_FORMATS
+      );
+      if (error) {
+        return res.status(415).json(error);
+      }
+
+      const mediaError = validateTweetMedia(media);
+      if (mediaError) {
+        return res.status(400).json(mediaError);
+      }
+
+      uploadedMedia = await uploadTweetMedia(
+        refreshedTokenData.accessToken,
+        media,
+        BaseController.parseAltTexts(req.body.altText)
+      );
+    }
+
     const tweetData = {
       text: text.trim(),
     };
 
     // Add optional fields
-    if (mediaIds && mediaIds.length > 0) {
-      tweetData.media = { media_ids: mediaIds };
+    const allMediaIds = [
+      ...(Array.isArray(mediaIds) ? mediaIds : []),
+      ...uploadedMedia.map((media) => media.media_id),
+    ];
+    if (allMediaIds.length > 0) {
+      tweetData.media = { media_ids: allMediaIds };
     }
 
     if (replyToTweetId) {
@@ -180,20 +438,197 @@ class XController extends BaseController {
       };
     }
 
-    const createdTweet = await xService.createTweet(
-      refreshedTokenData.accessToken,
-      tweetData
-    );
+    const historyEntry = {
+      user: req.user,
+      platform: "x",
+      content: tweetData.text,
+      mediaIds: allMediaIds,
+    };
+
+    let createdTweet;
+    try {
+      createdTweet = await xService.createTweet(
+        refreshedTokenData.accessToken,
+        tweetData
+      );
+    } catch (tweetError) {
+      await postHistoryService.recordPost({
+        ...historyEntry,
+        status: postHistoryService.POST_STATUS.FAILED,
+        error: tweetError.message,
+      });
+      throw tweetError;
+    }
+
+    await postHistoryService.recordPost({
+      ...historyEntry,
+      status: postHistoryService.POST_STATUS.PUBLISHED,
+      platformPostId: createdTweet.id,
+      postUrl: getTweetUrl(username, createdTweet.id),
+    });
 
     res.json(
       createSuccessResponse(createdTweet, "X tweet created successfully", {
         platform: "X",
         user: `${name} (@${username})`,
+        ...(uploadedMedia.length > 0 && { media: uploadedMedia }),
+        timestamp: new Date().toISOString(),
+      })
+    );
+  });
+
+  /**
+   * Deletes a tweet posted by the user
+   */
+  static deleteTweet = BaseController.asyncHandler(async (req, res) => {
+    const providerError = BaseController.validateProvider(req, "x");
+    if (providerError) {
+      return res.status(400).json(providerError);
+    }
+
+    const { id } = req.params;
+    if (!xService.ID_PATTERN.test(id)) {
+      return res.status(400).json(
+        createErrorResponse("Invalid tweet ID", {
+          field: "id",
+          provided: id,
+        })
+      );
+    }
+
+    // Check and refresh token if needed
+    const refreshedTokenData = await BaseController.refreshTokenIfNeeded(
+      req.user,
+      xService.refreshAccessToken,
+      res
+    );
+
+    const result = await xService.deleteTweet(
+      refreshedTokenData.accessToken,
+      id
+    );
+    await postHistoryService.recordChange("x", id, {
+      status: postHistoryService.POST_STATUS.DELETED,
+    });
+
+    res.json(
+      createSuccessResponse(result, "X tweet deleted successfully", {
+        platform: "X",
+        user: `${req.user.name} (@${req.user.username})`,
         timestamp: new Date().toISOString(),
       })
     );
   });
 
+  /**
+   * Creates a thread on X from long text or explicit segments
+   */
+  static createThread = BaseController.asyncHandler(async (req, res) => {
+    const providerError = BaseController.validateProvider(req, "x");
+    if (providerError) {
+      return res.status(400).json(providerError);
+    }
+
+    const { name, username } = req.user;
+    const {
+      text,
+      segments: providedSegments,
+      numbering = true,
+      replyToTweetId,
+      mediaIds,
+    } = req.body;
+
+    // The schema allows exactly one of text and segments
+    let segments;
+    if (providedSegments !== undefined) {
+      const trimmed = providedSegments.map((segment) => segment.trim());
+      segments = numbering ? tweetSplitter.numberSegments(trimmed) : trimmed;
+    } else {
+      segments = tweetSplitter.splitIntoTweets(text, { numbering });
+    }
+
+    const tooLong = segments
+      .map((segment, index) => ({
+        index,
+        length: tweetSplitter.measure(segment),
+      }))
+      .filter(({ length }) => length > tweetSplitter.MAX_TWEET_LENGTH);
+    if (tooLong.length > 0) {
+      return res.status(400).json(
+        createErrorResponse("Thread segment exceeds 280 character limit", {
+          field: "segments",
+          maxLength: tweetSplitter.MAX_TWEET_LENGTH,
+          segments: tooLong,
+        })
+      );
+    }
+
+    if (segments.length > MAX_THREAD_SEGMENTS) {
+      return res.status(400).json(
+        createErrorResponse(
+          `Thread exceeds ${MAX_THREAD_SEGMENTS} tweet limit`,
+          {
+            field: providedSegments !== undefined ? "segments" : "text",
+            maxSegments: MAX_THREAD_SEGMENTS,
+            currentSegments: segments.length,
+          }
+        )
+      );
+    }
+
+    // Check and refresh token if needed
+    const refreshedTokenData = await BaseController.refreshTokenIfNeeded(
+      req.user,
+      xService.refreshAccessToken,
+      res
+    );
+
+    let thread;
+    try {
+      thread = await xService.createThread(
+        refreshedTokenData.accessToken,
+        segments,
+        { replyToTweetId, mediaIds }
+      );
+    } catch (threadError) {
+      await postHistoryService.recordPost({
+        user: req.user,
+        platform: "x",
+        content: segments[0],
+        status: postHistoryService.POST_STATUS.FAILED,
+        error: threadError.message,
+      });
+      throw threadError;
+    }
+
+    await recordThread(req.user, thread, mediaIds);
+
+    const meta = {
+      platform: "X",
+      user: `${name} (@${username})`,
+      posted: thread.tweets.length,
+      total: segments.length,
+      timestamp: new Date().toISOString(),
+    };
+
+    if (thread.complete) {
+      return res.json(
+        createSuccessResponse(thread, "X thread created successfully", meta)
+      );
+    }
+
+    res
+      .status(207)
+      .json(
+        createApiResponse(
+          false,
+          thread,
+          `X thread partially posted: ${thread.tweets.length} of ${segments.length} tweets`,
+          meta
+        )
+      );
+  });
+
   /**
    * Upload media for X tweets
    */
@@ -212,30 +647,29 @@ class XController extends BaseController {
     // Check and refresh token if needed
     const refreshedTokenData = await BaseController.refreshTokenIfNeeded(
       req.user,
-      xService.refreshAccessToken
+      xService.refreshAccessToken,
+      res
     );
 
     const { name, username } = req.user;
-    const { mediaType, altText } = req.body;
+    const { altText } = req.body;
 
-    // Validate media type
-    const validMediaTypes = ["image", "video"];
-    if (!mediaType || !validMediaTypes.includes(mediaType)) {
-      return res.status(400).json(
-        createErrorResponse("Invalid or missing media type", {
-          field: "mediaType",
-          provided: mediaType,
-          allowed: validMediaTypes,
-        })
-      );
+    // Detect the real format; mediaType is optional and must match it
+    const { error, format, mediaType } = BaseController.detectUploadedMedia(
+      req.file,
+      req.body.mediaType,
+      X_MEDIA_FORMATS
+    );
+    if (error) {
+      return res.status(415).json(error);
     }
 
-    // Validate file size (X limits: ~5MB for images, ~512MB for videos)
-    const maxSize = mediaType === "video" ? 512 * 1024 * 1024 : 5 * 1024 * 1024;
+    // Validate file size (X limits: 5MB for images, 15MB for GIFs, 512MB for videos)
+    const maxSize = X_MAX_MEDIA_SIZES[format.kind];
     if (req.file.size > maxSize) {
       return res.status(400).json(
         createErrorResponse(
-          `File too large. Maximum size for ${mediaType}: ${
+          `File too large. Maximum size for ${format.kind}: ${
             maxSize / (1024 * 1024)
           }MB`,
           {
@@ -248,12 +682,23 @@ class XController extends BaseController {
       );
     }
 
+    // Clients may pass ?uploadId= and poll its progress while uploading
+    const { uploadId } = req.query;
+    const progressKey = uploadId && getUploadProgressKey(req.user, uploadId);
+
     try {
       const mediaInfo = await xService.uploadMedia(
         refreshedTokenData.accessToken,
         req.file.buffer,
         mediaType,
-        altText
+        altText,
+        {
+          onProgress: (progress) => {
+            if (progressKey) {
+              recordUploadProgress(progressKey, progress);
+            }
+          },
+        }
       );
 
       res.json(
@@ -261,6 +706,7 @@ class XController extends BaseController {
           platform: "X",
           user: `${name} (@${username})`,
           mediaType: mediaType,
+          contentType: format.mimeType,
           fileName: req.file.originalname,
           fileSize: req.file.size,
           timestamp: new Date().toISOString(),
@@ -268,14 +714,12 @@ class XController extends BaseController {
       );
     } catch (uploadError) {
       // Handle specific X API limitations
-      if (
-        uploadError.message.includes("403") ||
-        uploadError.message.includes("Forbidden")
-      ) {
+      if (uploadError instanceof ProviderPermissionError) {
         return res.status(403).json(
           createErrorResponse(
             "Media upload requires elevated X API access. Please apply for elevated access in your X Developer Portal.",
             {
+              code: uploadError.code,
               error: uploadError.message,
               solution:
                 "Apply for elevated access at https://developer.twitter.com/en/portal/petition/essential/basic-info",
@@ -289,6 +733,29 @@ class XController extends BaseController {
       throw uploadError;
     }
   });
+
+  /**
+   * Gets the progress of a media upload started with ?uploadId=
+   */
+  static getUploadProgress = BaseController.asyncHandler(async (req, res) => {
+    const { uploadId } = req.params;
+    const progress = uploadProgress.get(
+      getUploadProgressKey(req.user, uploadId)
+    );
+
+    if (!progress) {
+      return res
+        .status(404)
+        .json(createErrorResponse("Upload not found", { uploadId }));
+    }
+
+    res.json(
+      createSuccessResponse(
+        { uploadId, ...progress },
+        "Upload progress retrieved"
+      )
+    );
+  });
 }
 
 module.exports = XController;
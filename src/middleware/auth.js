@@ -4,6 +4,7 @@
  */
 
 const authService = require("../services/authService");
+const accountService = require("../services/accountService");
 const { createApiResponse } = require("../utils/response");
 
 /**
@@ -26,8 +27,8 @@ async function authenticateToken(req, res, next) {
       );
     }
 
-    const user = await authService.verifyToken(token);
-    req.user = user;
+    const payload = await authService.verifyToken(token);
+    req.user = await authService.resolveCredentials(payload);
     next();
   } catch (error) {
     return res.status(403).json(
@@ -51,8 +52,8 @@ async function optionalAuth(req, res, next) {
     const token = authService.extractBearerToken(authHeader);
 
     if (token) {
-      const user = await authService.verifyToken(token);
-      req.user = user;
+      const payload = await authService.verifyToken(token);
+      req.user = await authService.resolveCredentials(payload);
     }
 
     next();
@@ -62,7 +63,85 @@ async function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Middleware switching the request to another linked account when the
+ * request names one with an `accountId` body field or query parameter.
+ * Must run after authenticateToken (and after multer on upload routes).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @returns {void}
+ */
+async function selectAccount(req, res, next) {
+  const accountId = (req.body && req.body.accountId) || req.query.accountId;
+
+  if (!accountId || accountId === req.user.accountId) {
+    return next();
+  }
+
+  try {
+    const claims = await accountService.getLinkedAccountClaims(
+      req.user,
+      accountId
+    );
+
+    if (!claims) {
+      return res.status(404).json(
+        createApiResponse(false, null, "Linked account not found", {
+          accountId,
+        })
+      );
+    }
+
+    // Keep the token's lifetime so user info stays consistent
+    req.user = await authService.resolveCredentials({
+      ...claims,
+      iat: req.user.iat,
+      exp: req.user.exp,
+    });
+    next();
+  } catch (error) {
+    return res.status(400).json(
+      createApiResponse(false, null, "Account selection failed", {
+        accountId,
+        error: error.message,
+      })
+    );
+  }
+}
+
+/**
+ * Middleware restricting a route to users with the admin role (see
+ * ADMIN_ACCOUNTS). Must run after authenticateToken.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @returns {void}
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    if (await accountService.isAdmin(req.user)) {
+      return next();
+    }
+
+    return res
+      .status(403)
+      .json(
+        createApiResponse(false, null, "Admin role required", { role: "admin" })
+      );
+  } catch (error) {
+    return res.status(403).json(
+      createApiResponse(false, null, "Admin role required", {
+        role: "admin",
+        error: error.message,
+      })
+    );
+  }
+}
+
 module.exports = {
   authenticateToken,
   optionalAuth,
+  selectAccount,
+  requireAdmin,
 };
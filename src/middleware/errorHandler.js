@@ -5,9 +5,15 @@
 
 const config = require("../config/environment");
 const { createErrorResponse } = require("../utils/response");
+const {
+  ProviderError,
+  ProviderDraftError,
+  ProviderRateLimitError,
+} = require("../utils/providerErrors");
 
 /**
- * Global error handler middleware
+ * Global error handler middleware. Every response carries a stable
+ * machine-readable `code`; provider errors keep their own status and code.
  * @param {Error} err - Error object
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -26,25 +32,56 @@ function globalErrorHandler(err, req, res, next) {
   // Default error response
   let statusCode = err.statusCode || 500;
   let message = err.message || "Internal Server Error";
+  let code = statusCode < 500 ? "BAD_REQUEST" : "INTERNAL_ERROR";
+  let details;
 
   // Handle specific error types
-  if (err.name === "ValidationError") {
+  if (err instanceof ProviderError) {
+    // The error type decides the status: 400/401/403/404/409/429/502
+    code = err.code;
+    details = {
+      provider: err.provider,
+      upstreamStatus: err.upstreamStatus,
+      retryable: err.retryable,
+    };
+    if (err instanceof ProviderRateLimitError) {
+      // Tell callers exactly when the platform accepts requests again
+      res.setHeader("Retry-After", String(err.retryAfter));
+      details.endpoint = err.endpoint;
+      details.retryAfter = err.retryAfter;
+    }
+    if (err instanceof ProviderDraftError) {
+      // The draft to check on the platform before posting again
+      details.draftId = err.draftId;
+    }
+  } else if (err.name === "ValidationError") {
     statusCode = 400;
     message = "Validation Error";
+    code = "VALIDATION_ERROR";
   } else if (err.name === "UnauthorizedError") {
     statusCode = 401;
     message = "Unauthorized";
+    code = "UNAUTHORIZED";
   } else if (err.name === "CastError") {
     statusCode = 400;
     message = "Invalid Resource ID";
+    code = "INVALID_RESOURCE_ID";
+  } else if (err.name === "MulterError") {
+    statusCode = 400;
+    message =
+      err.code === "LIMIT_UNEXPECTED_FILE"
+        ? `Too many files or unexpected file field: ${err.field}`
+        : err.message;
+    code = "INVALID_UPLOAD";
   }
 
   const errorResponse = createErrorResponse(
     message,
     config.server.nodeEnv === "development"
-      ? { stack: err.stack, details: err }
-      : undefined
+      ? { ...details, stack: err.stack, details: err }
+      : details
   );
+  errorResponse.code = code;
 
   res.status(statusCode).json(errorResponse);
 }
@@ -0,0 +1,185 @@
+/**
+ * Idempotency middleware replaying the first response for repeated
+ * requests with the same Idempotency-Key header
+ * @module middleware/idempotency
+ */
+
+const crypto = require("crypto");
+const config = require("../config/environment");
+const accountService = require("../services/accountService");
+const { createErrorResponse } = require("../utils/response");
+
+/**
+ * Request header carrying the client-chosen key
+ */
+const IDEMPOTENCY_KEY_HEADER = "Idempotency-Key";
+
+/**
+ * Response header set when a stored response is replayed
+ */
+const REPLAYED_HEADER = "Idempotent-Replayed";
+
+/**
+ * Longest accepted key
+ */
+const MAX_KEY_LENGTH = 255;
+
+// Requests keyed by caller, route and Idempotency-Key. Entries are
+// { fingerprint, promise, response } while in flight or once completed.
+const requests = new Map();
+
+/**
+ * Scopes a key to the caller and route, so clients cannot collide with
+ * each other or reuse a key across endpoints
+ * @param {Object} req - Express request object
+ * @param {string} key - Idempotency-Key header value
+ * @returns {string} Scoped key
+ */
+function getScopedKey(req, key) {
+  const caller = req.user ? accountService.getOwnerId(req.user) : "anonymous";
+  return [caller, req.method, req.baseUrl + req.path, key].join(" ");
+}
+
+/**
+ * Fingerprints a request body (and uploaded files) so a key reused for a
+ * different request can be told apart from a retry
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 hex digest
+ */
+function getFingerprint(req) {
+  const hash = crypto.createHash("sha256");
+  hash.update(JSON.stringify(req.body || {}));
+
+  const files = req.files || (req.file ? [req.file] : []);
+  for (const file of files) {
+    hash.update(file.buffer);
+  }
+
+  return hash.digest("hex");
+}
+
+/**
+ * Sends a stored response to a repeated request
+ * @param {Object} res - Express response object
+ * @param {Object} response - Stored status code and body
+ * @returns {void}
+ */
+function replay(res, response) {
+  res.setHeader(REPLAYED_HEADER, "true");
+  res.status(response.statusCode).json(response.body);
+}
+
+/**
+ * Checks whether a response is final, so repeats may get it back. Server
+ * errors, rate limits and errors marked retryable are not: repeating the
+ * request may succeed.
+ * @param {Object} response - Captured status code and body
+ * @returns {boolean} True if the response should be stored
+ */
+function isFinalResponse({ statusCode, body }) {
+  return (
+    statusCode < 500 &&
+    statusCode !== 429 &&
+    !(body && body.meta && body.meta.retryable === true)
+  );
+}
+
+/**
+ * Middleware honoring the Idempotency-Key header. The first request with a
+ * key runs normally and its response is stored; repeats get the stored
+ * response, and repeats arriving while it is still running wait for it.
+ * Server errors (5xx), rate limits (429) and retryable errors are not
+ * stored, so the request can be retried.
+ * Must run after authentication and body parsing (multer on upload routes).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @returns {void}
+ */
+async function idempotency(req, res, next) {
+  const key = req.get(IDEMPOTENCY_KEY_HEADER);
+  if (key === undefined) {
+    return next();
+  }
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json(
+      createErrorResponse("Invalid idempotency key", {
+        header: IDEMPOTENCY_KEY_HEADER,
+        maxLength: MAX_KEY_LENGTH,
+      })
+    );
+  }
+
+  const scopedKey = getScopedKey(req, key);
+  const fingerprint = getFingerprint(req);
+  const existing = requests.get(scopedKey);
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return res
+        .status(422)
+        .json(
+          createErrorResponse(
+            "Idempotency key was already used for a different request",
+            { header: IDEMPOTENCY_KEY_HEADER, key }
+          )
+        );
+    }
+
+    const response = existing.response || (await existing.promise);
+    return replay(res, response);
+  }
+
+  let settle;
+  const entry = {
+    fingerprint,
+    promise: new Promise((resolve) => {
+      settle = resolve;
+    }),
+    response: null,
+  };
+  requests.set(scopedKey, entry);
+
+  // Capture the response this request sends, whichever handler sends it
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const response = { statusCode: res.statusCode, body };
+
+    if (!isFinalResponse(response)) {
+      requests.delete(scopedKey);
+    } else {
+      entry.response = response;
+      setTimeout(() => {
+        if (requests.get(scopedKey) === entry) {
+          requests.delete(scopedKey);
+        }
+      }, config.idempotency.ttlMs).unref();
+    }
+
+    settle(response);
+    return json(body);
+  };
+
+  // A request that ends without a JSON response (e.g. the client went away
+  // before a handler answered) releases the key
+  res.on("close", () => {
+    if (!entry.response && requests.get(scopedKey) === entry) {
+      requests.delete(scopedKey);
+      settle({
+        statusCode: 409,
+        body: createErrorResponse(
+          "The original request with this idempotency key did not complete, retry it",
+          { header: IDEMPOTENCY_KEY_HEADER, key }
+        ),
+      });
+    }
+  });
+
+  next();
+}
+
+module.exports = {
+  IDEMPOTENCY_KEY_HEADER,
+  idempotency,
+};
@@ -0,0 +1,167 @@
+/**
+ * Tests of the idempotency middleware
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { idempotency, IDEMPOTENCY_KEY_HEADER } = require("./idempotency");
+
+describe("idempotency", () => {
+  let server;
+  let baseUrl;
+  let calls;
+  // Responses the handler sends, in call order; the last one repeats
+  let responses;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { provider: "x", xId: req.get("X-Test-User") || "1" };
+      next();
+    });
+    app.post("/posts", idempotency, async (req, res) => {
+      calls++;
+      const { statusCode, body, delayMs } =
+        responses[Math.min(calls, responses.length) - 1];
+      if (delayMs) {
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+      }
+      res.status(statusCode).json(body);
+    });
+
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    calls = 0;
+    responses = [{ statusCode: 201, body: { success: true, data: { id: 1 } } }];
+  });
+
+  /**
+   * Posts to the test route
+   * @param {string} [key] - Idempotency-Key header
+   * @param {Object} [body={ text: "hi" }] - Request body
+   * @param {string} [user] - Caller ID
+   * @returns {Promise<Object>} `{ status, replayed, body }`
+   */
+  async function post(key, body = { text: "hi" }, user) {
+    const response = await fetch(`${baseUrl}/posts`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(key !== undefined && { [IDEMPOTENCY_KEY_HEADER]: key }),
+        ...(user && { "X-Test-User": user }),
+      },
+      body: JSON.stringify(body),
+    });
+    return {
+      status: response.status,
+      replayed: response.headers.get("Idempotent-Replayed") === "true",
+      body: await response.json(),
+    };
+  }
+
+  it("replays the first response for a repeated key", async () => {
+    const first = await post("key-replay");
+    const second = await post("key-replay");
+
+    assert.equal(calls, 1);
+    assert.equal(second.status, 201);
+    assert.deepEqual(second.body, first.body);
+    assert.equal(first.replayed, false);
+    assert.equal(second.replayed, true);
+  });
+
+  it("runs requests without a key every time", async () => {
+    await post();
+    await post();
+    assert.equal(calls, 2);
+  });
+
+  it("rejects a key reused for a different request", async () => {
+    await post("key-body", { text: "one" });
+    const second = await post("key-body", { text: "two" });
+
+    assert.equal(second.status, 422);
+    assert.equal(calls, 1);
+  });
+
+  it("rejects keys that are too long", async () => {
+    const response = await post("k".repeat(256));
+    assert.equal(response.status, 400);
+    assert.equal(calls, 0);
+  });
+
+  it("scopes keys to the caller", async () => {
+    await post("key-shared", undefined, "1");
+    const other = await post("key-shared", undefined, "2");
+
+    assert.equal(calls, 2);
+    assert.equal(other.replayed, false);
+  });
+
+  it("makes a concurrent repeat wait for the first response", async () => {
+    responses = [{ statusCode: 200, body: { success: true }, delayMs: 50 }];
+    const [first, second] = await Promise.all([
+      post("key-concurrent"),
+      post("key-concurrent"),
+    ]);
+
+    assert.equal(calls, 1);
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(first.replayed !== second.replayed, true);
+  });
+
+  it("stores non-retryable client errors", async () => {
+    responses = [
+      {
+        statusCode: 409,
+        body: {
+          success: false,
+          meta: { retryable: false, draftId: "7" },
+        },
+      },
+    ];
+    await post("key-conflict");
+    const second = await post("key-conflict");
+
+    assert.equal(calls, 1);
+    assert.equal(second.status, 409);
+    assert.equal(second.replayed, true);
+  });
+
+  for (const [name, response] of [
+    ["server errors", { statusCode: 500, body: { success: false } }],
+    ["rate limits", { statusCode: 429, body: { success: false } }],
+    [
+      "retryable errors",
+      {
+        statusCode: 400,
+        body: { success: false, meta: { retryable: true } },
+      },
+    ],
+  ]) {
+    it(`lets ${name} be retried`, async () => {
+      responses = [response, { statusCode: 201, body: { success: true } }];
+      const key = `key-${name}`;
+
+      const first = await post(key);
+      const retry = await post(key);
+
+      assert.equal(first.status, response.statusCode);
+      assert.equal(calls, 2);
+      assert.equal(retry.status, 201);
+      assert.equal(retry.replayed, false);
+    });
+  }
+});
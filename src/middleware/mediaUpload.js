@@ -0,0 +1,140 @@
+/**
+ * Multipart media uploads held in memory, with a size limit per media kind
+ * @module middleware/mediaUpload
+ */
+
+const multer = require("multer");
+const { detectMediaType } = require("../utils/mediaType");
+
+/**
+ * Leading bytes needed to detect a file's media type
+ */
+const SNIFF_BYTES = 12;
+
+/**
+ * Multer storage engine keeping files in memory like multer.memoryStorage(),
+ * but detecting each file's media kind from its first bytes and aborting as
+ * soon as the file exceeds the limit of its kind, so a request can't buffer
+ * more than the platform accepts
+ */
+class MediaMemoryStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {Object} options.maxSizes - Maximum size per media kind in bytes
+   * (image, gif, video)
+   * @param {Array<string>} [options.singleKinds=[]] - Kinds that must be the
+   * only file of a request
+   * @param {string} [options.singleMessage] - Error message when they aren't
+   */
+  constructor({ maxSizes, singleKinds = [], singleMessage }) {
+    this.maxSizes = maxSizes;
+    this.singleKinds = singleKinds;
+    this.singleMessage = singleMessage;
+    // Kinds of the files already received, per request
+    this.requestKinds = new WeakMap();
+  }
+
+  /**
+   * Records the kind of a new file and checks it may be combined with the
+   * files received before it
+   * @param {Object} req - Express request object
+   * @param {string|null} kind - Media kind, null if not a supported format
+   * @returns {boolean} True if the file is allowed
+   */
+  addKind(req, kind) {
+    const kinds = this.requestKinds.get(req) || [];
+    this.requestKinds.set(req, [...kinds, kind]);
+
+    const isSingle = (fileKind) => this.singleKinds.includes(fileKind);
+    return kinds.length === 0 || (!isSingle(kind) && !kinds.some(isSingle));
+  }
+
+  /**
+   * Buffers a file, enforcing the limit of its media kind. Unsupported
+   * formats are capped at the smallest limit; the route rejects them later.
+   * @param {Object} req - Express request object
+   * @param {Object} file - Multer file with its stream
+   * @param {Function} cb - Called with an error or `{ buffer, size }`
+   */
+  _handleFile(req, file, cb) {
+    const chunks = [];
+    let size = 0;
+    let kind;
+    let maxSize = null;
+    let failed = false;
+
+    const fail = (code, message) => {
+      failed = true;
+      chunks.length = 0;
+      file.stream.removeListener("data", onData);
+      file.stream.resume();
+
+      const error = new multer.MulterError(code, file.fieldname);
+      error.message = message;
+      cb(error);
+    };
+
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+
+      if (maxSize === null && size >= SNIFF_BYTES) {
+        const format = detectMediaType(Buffer.concat(chunks));
+        kind = format ? format.kind : null;
+        if (!this.addKind(req, kind)) {
+          return fail("LIMIT_FILE_COUNT", this.singleMessage);
+        }
+        maxSize = kind
+          ? this.maxSizes[kind]
+          : Math.min(...Object.values(this.maxSizes));
+      }
+
+      if (maxSize !== null && size > maxSize) {
+        fail(
+          "LIMIT_FILE_SIZE",
+          `File too large. Maximum size for ${kind || "this file"}: ${
+            maxSize / (1024 * 1024)
+          }MB`
+        );
+      }
+    };
+
+    file.stream.on("data", onData);
+    file.stream.on("end", () => {
+      if (!failed) {
+        cb(null, { buffer: Buffer.concat(chunks, size), size });
+      }
+    });
+  }
+
+  /**
+   * Releases a buffered file
+   * @param {Object} req - Express request object
+   * @param {Object} file - Multer file
+   * @param {Function} cb - Completion callback
+   */
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  }
+}
+
+/**
+ * Creates a multer instance for a platform's media limits
+ * @param {Object} options - Storage options (see MediaMemoryStorage)
+ * @returns {Object} Multer instance (use .single() or .array())
+ */
+function mediaUpload(options) {
+  return multer({
+    storage: new MediaMemoryStorage(options),
+    limits: {
+      // Hard cap; the storage enforces the limit of each file's kind first
+      fileSize: Math.max(...Object.values(options.maxSizes)) + 1,
+    },
+  });
+}
+
+module.exports = {
+  MediaMemoryStorage,
+  mediaUpload,
+};
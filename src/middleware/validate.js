@@ -0,0 +1,74 @@
+/**
+ * Request validation middleware driven by the route schemas
+ * @module middleware/validate
+ */
+
+const { LOCATIONS } = require("../schemas");
+const { coerceObject, validateObject } = require("../utils/schema");
+const { createErrorResponse } = require("../utils/response");
+
+/**
+ * Creates the 400 response body listing failed fields
+ * @param {Array<Object>} errors - Errors ({ field, message, ...details })
+ * @returns {Object} Error response with code VALIDATION_ERROR
+ */
+function createValidationErrorResponse(errors) {
+  const errorResponse = createErrorResponse("Validation failed", { errors });
+  errorResponse.code = "VALIDATION_ERROR";
+  return errorResponse;
+}
+
+/**
+ * Creates middleware validating a request against a route schema. Query
+ * strings and multipart bodies are converted to the schema's types first
+ * (numbers, booleans, repeated fields as arrays). Invalid requests get a 400
+ * listing every failing field; unknown fields are let through.
+ * Must run after body parsing (multer on upload routes).
+ * @param {Object} schema - Route schema (see schemas/)
+ * @param {Object} [schema.params] - Route parameter specs
+ * @param {Object} [schema.query] - Query string specs
+ * @param {Object} [schema.body] - Body field specs
+ * @param {Function} [schema.check] - (req) => errors, for rules across fields
+ * @returns {Function} Express middleware
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const location of LOCATIONS) {
+      const properties = schema[location];
+      if (!properties) {
+        continue;
+      }
+
+      if (
+        location === "query" ||
+        (location === "body" && req.is("multipart/form-data"))
+      ) {
+        req[location] = coerceObject(req[location], properties);
+      }
+
+      errors.push(
+        ...validateObject(req[location], properties).map((error) => ({
+          location,
+          ...error,
+        }))
+      );
+    }
+
+    if (errors.length === 0 && schema.check) {
+      errors.push(...schema.check(req));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json(createValidationErrorResponse(errors));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  createValidationErrorResponse,
+};
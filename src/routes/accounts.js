@@ -0,0 +1,29 @@
+/**
+ * Linked accounts routes
+ * @module routes/accounts
+ */
+
+const express = require("express");
+const AccountController = require("../controllers/accountController");
+const { authenticateToken } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { accounts: schemas } = require("../schemas");
+
+const router = express.Router();
+
+// Linked account routes (mounted on /api/accounts)
+router.get("/", authenticateToken, AccountController.listAccounts);
+router.post(
+  "/link",
+  authenticateToken,
+  validate(schemas.linkAccount),
+  AccountController.linkAccount
+);
+router.delete(
+  "/:accountId",
+  authenticateToken,
+  validate(schemas.unlinkAccount),
+  AccountController.unlinkAccount
+);
+
+module.exports = router;
@@ -12,5 +12,6 @@ const router = express.Router();
 // Logout routes (mounted on /api/auth)
 router.post("/linkedin/logout", authenticateToken, BaseController.logout);
 router.post("/x/logout", authenticateToken, BaseController.logout);
+router.post("/substack/logout", authenticateToken, BaseController.logout);
 
 module.exports = router;
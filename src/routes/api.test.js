@@ -0,0 +1,128 @@
+/**
+ * Tests of logout and account unlinking
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Stores live in a temporary directory
+const storeRoot = fs.mkdtempSync(path.join(os.tmpdir(), "logout-"));
+Object.assign(process.env, {
+  JWT_SECRET: "test-secret",
+  TOKEN_VAULT_PATH: path.join(storeRoot, "vault"),
+  USER_STORE_PATH: path.join(storeRoot, "users"),
+  POST_HISTORY_PATH: path.join(storeRoot, "posts"),
+  SESSION_STORE_BACKEND: "memory",
+});
+
+const express = require("express");
+const authService = require("../services/authService");
+const xService = require("../services/xService");
+const { globalErrorHandler } = require("../middleware/errorHandler");
+const apiRoutes = require("./api");
+const accountRoutes = require("./accounts");
+
+describe("logout", () => {
+  let server;
+  let baseUrl;
+  let revoked;
+  const revokeAccessToken = xService.revokeAccessToken;
+
+  before(async () => {
+    xService.revokeAccessToken = async (token) => {
+      revoked.push(token);
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/auth", apiRoutes);
+    app.use("/api/accounts", accountRoutes);
+    app.use(globalErrorHandler);
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(() => {
+    xService.revokeAccessToken = revokeAccessToken;
+    server.close();
+    fs.rmSync(storeRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    revoked = [];
+  });
+
+  /**
+   * Logs an X account in, as on another device each time
+   * @param {string} id - X user ID
+   * @returns {Promise<string>} JWT
+   */
+  function login(id) {
+    return authService.createToken(
+      "x",
+      { id, name: `User ${id}`, username: `user${id}` },
+      `access-${id}`,
+      `refresh-${id}`
+    );
+  }
+
+  /**
+   * Calls an API route
+   * @param {string} method - HTTP method
+   * @param {string} route - Path below /api
+   * @param {string} token - Bearer token
+   * @returns {Promise<Object>} `{ status, body }`
+   */
+  async function call(method, route, token) {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("rejects the JWT after logout and revokes the provider tokens", async () => {
+    const token = await login("1");
+
+    const logout = await call("POST", "/auth/x/logout", token);
+    assert.equal(logout.status, 200);
+    assert.equal(logout.body.data.providerRevoked, true);
+    assert.deepEqual(revoked, ["access-1", "refresh-1"]);
+
+    const after = await call("GET", "/accounts", token);
+    assert.equal(after.status, 403);
+  });
+
+  it("keeps the account's other JWTs working", async () => {
+    const phone = await login("2");
+    const laptop = await login("2");
+
+    await call("POST", "/auth/x/logout", phone);
+
+    const accounts = await call("GET", "/accounts", laptop);
+    assert.equal(accounts.status, 200);
+    assert.equal(accounts.body.data.length, 1);
+    const { accessToken } = await authService.resolveCredentials(
+      await authService.verifyToken(laptop)
+    );
+    assert.equal(accessToken, "access-2");
+  });
+
+  it("removes the credentials when the account is unlinked", async () => {
+    const phone = await login("3");
+    const laptop = await login("3");
+    const { accountId } = await authService.verifyToken(phone);
+
+    const unlink = await call("DELETE", `/accounts/${accountId}`, phone);
+    assert.equal(unlink.status, 200);
+    assert.deepEqual(revoked, ["access-3", "refresh-3"]);
+
+    assert.equal((await call("GET", "/accounts", phone)).status, 403);
+    assert.equal((await call("GET", "/accounts", laptop)).status, 403);
+  });
+});
@@ -10,6 +10,8 @@ const linkedinApiRoutes = require("./linkedinApi");
 const xApiRoutes = require("./xApi");
 const substackApiRoutes = require("./substackApi");
 const postsRoutes = require("./posts");
+const accountsRoutes = require("./accounts");
+const { describeRoutes } = require("../schemas");
 const { createSuccessResponse } = require("../utils/response");
 
 const router = express.Router();
@@ -27,6 +29,7 @@ router.get("/", (req, res) => {
       "Social Media OAuth 2.0 Server (LinkedIn & X) is running!",
       {
         endpoints: {
+          docs: "/api/docs",
           auth: {
             linkedin: {
               login: "/auth/linkedin",
@@ -38,20 +41,42 @@ router.get("/", (req, res) => {
               callback: "/auth/x/callback",
               logout: "/api/auth/x/logout",
             },
+            substack: {
+              logout: "/api/auth/substack/logout",
+            },
           },
           api: {
+            accounts: {
+              list: "/api/accounts",
+              link: "/api/accounts/link",
+              unlink: "/api/accounts/:accountId",
+            },
             linkedin: {
               user: "/api/linkedin/user",
               userRefresh: "/api/linkedin/user/refresh",
               profile: "/api/linkedin/profile",
+              organizations: "/api/linkedin/organizations",
               createPost: "/api/posts/linkedin/post",
+              updatePost: "/api/posts/linkedin/post/:urn",
+              deletePost: "/api/posts/linkedin/post/:urn",
               uploadMedia: "/api/posts/linkedin/upload",
             },
             x: {
               user: "/api/x/user",
               userRefresh: "/api/x/user/refresh",
+              validate: "/api/x/validate",
               createTweet: "/api/posts/x/tweet",
+              deleteTweet: "/api/posts/x/tweet/:id",
+              createThread: "/api/posts/x/thread",
               uploadMedia: "/api/posts/x/upload",
+              uploadProgress: "/api/posts/x/upload/:uploadId",
+            },
+            posts: {
+              history: "/api/posts",
+              publish: "/api/posts/publish",
+              schedule: "/api/posts/schedule",
+              scheduled: "/api/posts/scheduled",
+              scheduledPost: "/api/posts/scheduled/:jobId",
             },
             substack: {
               createSession: "/api/substack/session",
@@ -59,6 +84,9 @@ router.get("/", (req, res) => {
               verify: "/api/substack/verify",
               sessionStatus: "/api/substack/session/:sessionId",
               closeSession: "/api/substack/session/:sessionId",
+              createPost: "/api/substack/post",
+              updatePost: "/api/substack/post/:postId",
+              unpublishPost: "/api/substack/post/:postId",
             },
           },
         },
@@ -67,6 +95,16 @@ router.get("/", (req, res) => {
   );
 });
 
+// API documentation generated from the request schemas
+router.get("/api/docs", (req, res) => {
+  const routes = describeRoutes();
+  res.json(
+    createSuccessResponse(routes, "API documentation", {
+      count: routes.length,
+    })
+  );
+});
+
 // Mount route modules
 router.use("/auth", authRoutes);
 router.use("/api/posts", postsRoutes);
@@ -76,6 +114,7 @@ router.use("/api/auth", apiRoutes);
 router.use("/api/linkedin", linkedinApiRoutes);
 router.use("/api/x", xApiRoutes);
 router.use("/api/substack", substackApiRoutes);
+router.use("/api/accounts", accountsRoutes);
 
 // Legacy compatibility
 router.use("/getProfile", linkedinApiRoutes);
@@ -5,7 +5,6 @@
 
 const express = require("express");
 const LinkedinController = require("../controllers/linkedinController");
-const BaseController = require("../controllers/baseController");
 const { authenticateToken } = require("../middleware/auth");
 
 const router = express.Router();
@@ -18,5 +17,10 @@ router.get(
   LinkedinController.refreshProfile
 );
 router.get("/profile", authenticateToken, LinkedinController.refreshProfile); // Alias
+router.get(
+  "/organizations",
+  authenticateToken,
+  LinkedinController.listOrganizations
+);
 
 module.exports = router;
@@ -4,37 +4,162 @@
  */
 
 const express = require("express");
-const multer = require("multer");
 const LinkedinController = require("../controllers/linkedinController");
 const XController = require("../controllers/xController");
-const { authenticateToken } = require("../middleware/auth");
+const PublishController = require("../controllers/publishController");
+const ScheduleController = require("../controllers/scheduleController");
+const PostHistoryController = require("../controllers/postHistoryController");
+const { authenticateToken, selectAccount } = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
+const { mediaUpload } = require("../middleware/mediaUpload");
+const { validate } = require("../middleware/validate");
+const { posts: schemas } = require("../schemas");
+const linkedinService = require("../services/linkedinService");
+const xService = require("../services/xService");
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 512 * 1024 * 1024, // 512MB max file size
-  },
+// File uploads are held in memory, within each platform's media limits
+const linkedinUpload = mediaUpload({
+  maxSizes: linkedinService.MAX_MEDIA_SIZES,
+  singleKinds: ["video"],
+  singleMessage: "A post takes up to 9 images, or a single video",
+});
+const xUpload = mediaUpload({
+  maxSizes: xService.MAX_MEDIA_SIZES,
+  singleKinds: ["gif", "video"],
+  singleMessage: "A tweet takes up to 4 images, or a single GIF or video",
 });
 
+// Post history
+router.get(
+  "/",
+  authenticateToken,
+  validate(schemas.listPosts),
+  PostHistoryController.listPosts
+);
+
 // LinkedIn post routes
-router.post("/linkedin/post", authenticateToken, LinkedinController.createPost);
+router.post(
+  "/linkedin/post",
+  authenticateToken,
+  linkedinUpload.array("media", 9),
+  validate(schemas.createLinkedinPost),
+  selectAccount,
+  idempotency,
+  LinkedinController.createPost
+);
+router.patch(
+  "/linkedin/post/:urn",
+  authenticateToken,
+  validate(schemas.updateLinkedinPost),
+  selectAccount,
+  idempotency,
+  LinkedinController.updatePost
+);
+router.delete(
+  "/linkedin/post/:urn",
+  authenticateToken,
+  validate(schemas.deleteLinkedinPost),
+  selectAccount,
+  idempotency,
+  LinkedinController.deletePost
+);
 router.post(
   "/linkedin/upload",
   authenticateToken,
-  upload.single("media"),
+  linkedinUpload.single("media"),
+  validate(schemas.uploadLinkedinMedia),
+  selectAccount,
+  idempotency,
   LinkedinController.uploadMedia
 );
 
 // X (Twitter) post routes
-router.post("/x/tweet", authenticateToken, XController.createTweet);
+router.post(
+  "/x/tweet",
+  authenticateToken,
+  xUpload.array("media", 4),
+  validate(schemas.createTweet),
+  selectAccount,
+  idempotency,
+  XController.createTweet
+);
+router.delete(
+  "/x/tweet/:id",
+  authenticateToken,
+  validate(schemas.deleteTweet),
+  selectAccount,
+  idempotency,
+  XController.deleteTweet
+);
+router.post(
+  "/x/thread",
+  authenticateToken,
+  validate(schemas.createThread),
+  selectAccount,
+  idempotency,
+  XController.createThread
+);
 router.post(
   "/x/upload",
   authenticateToken,
-  upload.single("media"),
+  xUpload.single("media"),
+  validate(schemas.uploadXMedia),
+  selectAccount,
+  idempotency,
   XController.uploadMedia
 );
+router.get(
+  "/x/upload/:uploadId",
+  authenticateToken,
+  validate(schemas.getXUploadProgress),
+  selectAccount,
+  XController.getUploadProgress
+);
+
+// Cross-platform publish route
+router.post(
+  "/publish",
+  authenticateToken,
+  validate(schemas.publish),
+  idempotency,
+  PublishController.publish
+);
+
+// Scheduled post routes
+router.post(
+  "/schedule",
+  authenticateToken,
+  validate(schemas.schedule),
+  idempotency,
+  ScheduleController.schedulePost
+);
+router.get(
+  "/scheduled",
+  authenticateToken,
+  validate(schemas.listScheduledPosts),
+  ScheduleController.listScheduledPosts
+);
+router.get(
+  "/scheduled/:jobId",
+  authenticateToken,
+  validate(schemas.getScheduledPost),
+  ScheduleController.getScheduledPost
+);
+router.patch(
+  "/scheduled/:jobId",
+  authenticateToken,
+  validate(schemas.reschedulePost),
+  idempotency,
+  ScheduleController.reschedulePost
+);
+router.delete(
+  "/scheduled/:jobId",
+  authenticateToken,
+  validate(schemas.cancelScheduledPost),
+  idempotency,
+  ScheduleController.cancelScheduledPost
+);
 
 module.exports = router;
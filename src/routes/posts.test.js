@@ -0,0 +1,152 @@
+/**
+ * Tests of listing the post history at GET /api/posts
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Stores live in a temporary directory
+const storeRoot = fs.mkdtempSync(path.join(os.tmpdir(), "post-history-"));
+Object.assign(process.env, {
+  JWT_SECRET: "test-secret",
+  TOKEN_VAULT_PATH: path.join(storeRoot, "vault"),
+  USER_STORE_PATH: path.join(storeRoot, "users"),
+  POST_HISTORY_PATH: path.join(storeRoot, "posts"),
+  SESSION_STORE_BACKEND: "memory",
+});
+
+const express = require("express");
+const authService = require("../services/authService");
+const accountService = require("../services/accountService");
+const postHistoryService = require("../services/postHistoryService");
+const { globalErrorHandler } = require("../middleware/errorHandler");
+const postsRoutes = require("./posts");
+
+const { POST_STATUS } = postHistoryService;
+
+describe("GET /api/posts", () => {
+  let server;
+  let baseUrl;
+  let aliceToken;
+  let bobToken;
+
+  before(async () => {
+    aliceToken = await authService.createToken(
+      "x",
+      { id: "1", name: "Alice", username: "alice" },
+      "alice-access"
+    );
+    const aliceLinkedinToken = await authService.createToken(
+      "linkedin",
+      { id: "li-1", name: "Alice", email: "alice@example.com" },
+      "alice-linkedin-access"
+    );
+    bobToken = await authService.createToken(
+      "x",
+      { id: "2", name: "Bob", username: "bob" },
+      "bob-access"
+    );
+
+    const alice = await authService.verifyToken(aliceToken);
+    const aliceLinkedin = await authService.verifyToken(aliceLinkedinToken);
+    const bob = await authService.verifyToken(bobToken);
+    await accountService.linkAccount(alice, aliceLinkedin);
+
+    // Oldest first, so the newest post is Alice's LinkedIn one
+    await postHistoryService.recordPost({
+      user: alice,
+      platform: "x",
+      content: "Alice on X",
+      status: POST_STATUS.PUBLISHED,
+      platformPostId: "100",
+    });
+    await postHistoryService.recordPost({
+      user: bob,
+      platform: "x",
+      content: "Bob on X",
+      status: POST_STATUS.PUBLISHED,
+      platformPostId: "200",
+    });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await postHistoryService.recordPost({
+      user: aliceLinkedin,
+      platform: "linkedin",
+      content: "Alice on LinkedIn",
+      status: POST_STATUS.FAILED,
+      error: "Rejected",
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/posts", postsRoutes);
+    app.use(globalErrorHandler);
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/posts`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(storeRoot, { recursive: true, force: true });
+  });
+
+  /**
+   * Lists posts
+   * @param {string} token - Bearer token
+   * @param {string} [query] - Query string
+   * @returns {Promise<Object>} `{ status, body }`
+   */
+  async function listPosts(token, query = "") {
+    const response = await fetch(`${baseUrl}${query}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("lists the posts of every account linked to the user", async () => {
+    const { status, body } = await listPosts(aliceToken);
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.map((post) => post.platform),
+      ["linkedin", "x"]
+    );
+    assert.equal(body.meta.total, 2);
+    assert.ok(body.data.every((post) => !("ownerId" in post)));
+  });
+
+  it("leaves out posts of other users", async () => {
+    const { body } = await listPosts(bobToken);
+
+    assert.deepEqual(
+      body.data.map((post) => post.platformPostId),
+      ["200"]
+    );
+  });
+
+  it("filters and pages within the user's posts", async () => {
+    const failed = await listPosts(aliceToken, "?status=failed");
+    assert.deepEqual(
+      failed.body.data.map((post) => post.platform),
+      ["linkedin"]
+    );
+
+    const page = await listPosts(aliceToken, "?platform=x&limit=1");
+    assert.deepEqual(
+      page.body.data.map((post) => post.platformPostId),
+      ["100"]
+    );
+    assert.equal(page.body.meta.total, 1);
+    assert.equal(page.body.meta.hasMore, false);
+  });
+
+  it("rejects unknown filters", async () => {
+    const { status } = await listPosts(aliceToken, "?platform=myspace");
+
+    assert.equal(status, 400);
+  });
+});
@@ -5,6 +5,14 @@
 
 const express = require("express");
 const substackService = require("../services/substackService");
+const postHistoryService = require("../services/postHistoryService");
+const authService = require("../services/authService");
+const accountService = require("../services/accountService");
+const BaseController = require("../controllers/baseController");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
+const { validate } = require("../middleware/validate");
+const { substack: schemas } = require("../schemas");
 const {
   createSuccessResponse,
   createErrorResponse,
@@ -13,252 +21,292 @@ const {
 const router = express.Router();
 
 /**
- * Create a new browser session for Substack automation
+ * Creates middleware letting a request through only if the browser session
+ * it names belongs to the token's app user. Unknown sessions and sessions of
+ * other users both get a 404, so session IDs cannot be probed. Requests
+ * without a session ID are left to validation.
+ * Must run after authenticateToken.
+ * @param {Function} [getSessionId] - (req) => session ID of the request;
+ * defaults to the sessionId route parameter or body field
+ * @returns {Function} Express middleware
+ */
+function requireSessionOwner(
+  getSessionId = (req) => req.params.sessionId || req.body.sessionId
+) {
+  return async (req, res, next) => {
+    const sessionId = getSessionId(req);
+    if (!sessionId) {
+      return next();
+    }
+
+    try {
+      if (!(await substackService.ownsSession(req.user, sessionId))) {
+        return res.status(404).json(
+          createErrorResponse("Session not found", {
+            sessionId,
+            hint: "Sessions can only be used by the user who created them. Create a new session with POST /api/substack/session.",
+          })
+        );
+      }
+
+      next();
+    } catch (error) {
+      res.status(403).json(
+        createErrorResponse("Session access denied", {
+          sessionId,
+          error: error.message,
+        })
+      );
+    }
+  };
+}
+
+/**
+ * Create a new browser session for Substack automation, owned by the
+ * token's app user
  * POST /api/substack/session
  */
-router.post("/session", async (req, res) => {
+router.post("/session", authenticateToken, async (req, res, next) => {
+  let ownerId;
   try {
-    const result = await substackService.createSession();
-    res.json(
-      createSuccessResponse(result, "Browser session created successfully")
-    );
+    ownerId = await accountService.getUserId(req.user);
   } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Failed to create browser session", {
+    return res.status(403).json(
+      createErrorResponse("Session owner could not be resolved", {
         error: error.message,
       })
     );
   }
+
+  try {
+    const result = await substackService.createSession(ownerId);
+    res.json(
+      createSuccessResponse(result, "Browser session created successfully")
+    );
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * Initiate Substack login with email
  * POST /api/substack/login
  */
-router.post("/login", async (req, res) => {
-  try {
-    const { sessionId, email } = req.body;
+router.post(
+  "/login",
+  authenticateToken,
+  validate(schemas.login),
+  requireSessionOwner(),
+  async (req, res, next) => {
+    try {
+      const { sessionId, email } = req.body;
 
-    if (!sessionId || !email) {
-      return res
-        .status(400)
-        .json(createErrorResponse("Session ID and email are required"));
+      const result = await substackService.initiateLogin(sessionId, email);
+      res.json(createSuccessResponse(result, "Login initiated successfully"));
+    } catch (error) {
+      next(error);
     }
-
-    const result = await substackService.initiateLogin(sessionId, email);
-    res.json(createSuccessResponse(result, "Login initiated successfully"));
-  } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Failed to initiate login", {
-        error: error.message,
-      })
-    );
   }
-});
+);
 
 /**
  * Submit verification code for Substack login
  * POST /api/substack/verify
  */
-router.post("/verify", async (req, res) => {
-  try {
-    const { sessionId, verificationCode } = req.body;
+router.post(
+  "/verify",
+  authenticateToken,
+  validate(schemas.verify),
+  requireSessionOwner(),
+  async (req, res, next) => {
+    try {
+      const { sessionId, verificationCode } = req.body;
 
-    if (!sessionId || !verificationCode) {
-      return res
-        .status(400)
-        .json(
-          createErrorResponse("Session ID and verification code are required")
-        );
+      const result = await substackService.submitVerificationCode(
+        sessionId,
+        verificationCode
+      );
+      res.json(
+        createSuccessResponse(result, "Verification completed successfully")
+      );
+    } catch (error) {
+      next(error);
     }
-
-    const result = await substackService.submitVerificationCode(
-      sessionId,
-      verificationCode
-    );
-    res.json(
-      createSuccessResponse(result, "Verification completed successfully")
-    );
-  } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Failed to verify code", {
-        error: error.message,
-      })
-    );
   }
-});
+);
 
 /**
  * Wait for email verification (when user clicks link in email)
  * POST /api/substack/wait-verification
  */
-router.post("/wait-verification", async (req, res) => {
-  try {
-    const { sessionId, timeoutMs = 300000 } = req.body; // 5 minutes default
+router.post(
+  "/wait-verification",
+  authenticateToken,
+  validate(schemas.waitVerification),
+  requireSessionOwner(),
+  async (req, res, next) => {
+    try {
+      const { sessionId, timeoutMs = 300000 } = req.body; // 5 minutes default
 
-    if (!sessionId) {
-      return res
-        .status(400)
-        .json(createErrorResponse("Session ID is required"));
+      const result = await substackService.waitForEmailVerification(
+        sessionId,
+        timeoutMs
+      );
+      res.json(createSuccessResponse(result, "Email verification completed"));
+    } catch (error) {
+      next(error);
     }
-
-    const result = await substackService.waitForEmailVerification(
-      sessionId,
-      timeoutMs
-    );
-    res.json(createSuccessResponse(result, "Email verification completed"));
-  } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Email verification failed", {
-        error: error.message,
-      })
-    );
   }
-});
+);
 
 /**
  * Alias for wait-verification (for convenience)
  * POST /api/substack/wait-verify
  */
-router.post("/wait-verify", async (req, res) => {
-  try {
-    const { sessionId, timeoutMs = 300000 } = req.body; // 5 minutes default
+router.post(
+  "/wait-verify",
+  authenticateToken,
+  validate(schemas.waitVerify),
+  requireSessionOwner(),
+  async (req, res, next) => {
+    try {
+      const { sessionId, timeoutMs = 300000 } = req.body; // 5 minutes default
 
-    if (!sessionId) {
-      return res
-        .status(400)
-        .json(createErrorResponse("Session ID is required"));
+      const result = await substackService.waitForEmailVerification(
+        sessionId,
+        timeoutMs
+      );
+      res.json(createSuccessResponse(result, "Email verification completed"));
+    } catch (error) {
+      next(error);
     }
-
-    const result = await substackService.waitForEmailVerification(
-      sessionId,
-      timeoutMs
-    );
-    res.json(createSuccessResponse(result, "Email verification completed"));
-  } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Email verification failed", {
-        error: error.message,
-      })
-    );
   }
-});
+);
 
 /**
- * Get all active sessions (for debugging)
+ * Get all active sessions of all users (for debugging, admins only)
  * GET /api/substack/sessions
  */
-router.get("/sessions", async (req, res) => {
-  try {
-    const activeSessions = await substackService.getAllActiveSessions();
-    res.json(
-      createSuccessResponse(activeSessions, "Active sessions retrieved")
-    );
-  } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Failed to get active sessions", {
-        error: error.message,
-      })
-    );
+router.get(
+  "/sessions",
+  authenticateToken,
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const activeSessions = await substackService.getAllActiveSessions();
+      res.json(
+        createSuccessResponse(activeSessions, "Active sessions retrieved")
+      );
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
  * Get session status
  * GET /api/substack/session/:sessionId
  */
-router.get("/session/:sessionId", async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const status = await substackService.getSessionStatus(sessionId);
+router.get(
+  "/session/:sessionId",
+  authenticateToken,
+  validate(schemas.getSession),
+  requireSessionOwner(),
+  async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+      const status = await substackService.getSessionStatus(sessionId);
+
+      if (!status.exists) {
+        return res.status(404).json(
+          createErrorResponse("Session not found", {
+            sessionId,
+            hint: "Session may have expired, been cleaned up, or server restarted. Create a new session with POST /api/substack/session.",
+          })
+        );
+      }
 
-    if (!status.exists) {
-      return res.status(404).json(
-        createErrorResponse("Session not found", {
-          sessionId,
-          hint: "Session may have expired, been cleaned up, or server restarted. Check /api/substack/sessions for active sessions.",
-        })
-      );
+      res.json(createSuccessResponse(status, "Session status retrieved"));
+    } catch (error) {
+      next(error);
     }
-
-    res.json(createSuccessResponse(status, "Session status retrieved"));
-  } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Failed to get session status", {
-        error: error.message,
-      })
-    );
   }
-});
+);
 
 /**
  * Reconnect to a persistent session
  * POST /api/substack/session/:sessionId/reconnect
  */
-router.post("/session/:sessionId/reconnect", async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const result = await substackService.reconnectSession(sessionId);
-    res.json(createSuccessResponse(result, "Session reconnection completed"));
-  } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Failed to reconnect session", {
-        error: error.message,
-      })
-    );
+router.post(
+  "/session/:sessionId/reconnect",
+  authenticateToken,
+  validate(schemas.reconnectSession),
+  requireSessionOwner(),
+  async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+      const result = await substackService.reconnectSession(sessionId);
+      res.json(createSuccessResponse(result, "Session reconnection completed"));
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
  * Close browser session
  * DELETE /api/substack/session/:sessionId
  */
-router.delete("/session/:sessionId", async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const success = await substackService.closeSession(sessionId);
+router.delete(
+  "/session/:sessionId",
+  authenticateToken,
+  validate(schemas.closeSession),
+  requireSessionOwner(),
+  async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+      const success = await substackService.closeSession(sessionId);
 
-    if (!success) {
-      return res
-        .status(404)
-        .json(createErrorResponse("Session not found or already closed"));
-    }
+      if (!success) {
+        return res
+          .status(404)
+          .json(createErrorResponse("Session not found or already closed"));
+      }
 
-    res.json(
-      createSuccessResponse({ closed: true }, "Session closed successfully")
-    );
-  } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Failed to close session", {
-        error: error.message,
-      })
-    );
+      res.json(
+        createSuccessResponse({ closed: true }, "Session closed successfully")
+      );
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
  * Get current page state for debugging
  * GET /api/substack/session/:sessionId/state
  */
-router.get("/session/:sessionId/state", async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const pageState = await substackService.getPageState(sessionId);
-    res.json(createSuccessResponse(pageState, "Page state retrieved"));
-  } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Failed to get page state", {
-        error: error.message,
-      })
-    );
+router.get(
+  "/session/:sessionId/state",
+  authenticateToken,
+  validate(schemas.getSessionState),
+  requireSessionOwner(),
+  async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+      const pageState = await substackService.getPageState(sessionId);
+      res.json(createSuccessResponse(pageState, "Page state retrieved"));
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
  * Get current user info from Substack JWT token
  * GET /api/substack/user
  */
-router.get("/user", async (req, res) => {
+router.get("/user", async (req, res, next) => {
   try {
     // Extract token from Authorization header
     const authHeader = req.headers.authorization;
@@ -272,13 +320,10 @@ router.get("/user", async (req, res) => {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    // Verify and decode the JWT token
-    const jwt = require("jsonwebtoken");
-    const config = require("../config/environment");
-
+    // Verify and decode the JWT token (rejects revoked tokens)
     let decoded;
     try {
-      decoded = jwt.verify(token, config.jwt.secret);
+      decoded = await authService.verifyToken(token);
     } catch (jwtError) {
       return res.status(401).json(
         createErrorResponse("Invalid or expired token", {
@@ -307,157 +352,212 @@ router.get("/user", async (req, res) => {
       loginTime: decoded.loginTime,
       tokenIssuedAt: new Date(decoded.iat * 1000).toISOString(),
       tokenExpiresAt: new Date(decoded.exp * 1000).toISOString(),
-      authTokens: decoded.authTokens, // Include auth cookies/tokens for API calls
+      // Auth cookies stay in the server-side token vault
+      hasAuthTokens: !!decoded.accountId,
     };
 
     res.json(createSuccessResponse(userInfo, "Substack user info retrieved"));
   } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Failed to get user info", {
-        error: error.message,
-      })
-    );
+    next(error);
   }
 });
 
 /**
- * Create a post on Substack
+ * Create a post on Substack. The token attributes the post in the post
+ * history.
  * POST /api/substack/post
  */
-router.post("/post", async (req, res) => {
-  try {
-    const { sessionId, title, content, subtitle, isDraft = false } = req.body;
-
-    // Validate required fields
-    if (!sessionId) {
-      return res
-        .status(400)
-        .json(createErrorResponse("Session ID is required"));
-    }
-
-    if (!title || !content) {
-      return res
-        .status(400)
-        .json(createErrorResponse("Title and content are required"));
-    }
+router.post(
+  "/post",
+  authenticateToken,
+  validate(schemas.createPost),
+  requireSessionOwner(),
+  idempotency,
+  async (req, res, next) => {
+    try {
+      const { sessionId, isDraft } = req.body;
+      const result = await substackService.publishPost(
+        req.user,
+        sessionId,
+        req.body
+      );
 
-    // Validate content length (Substack has limits)
-    if (title.length > 200) {
-      return res
-        .status(400)
-        .json(createErrorResponse("Title too long (max 200 characters)"));
+      res.json(
+        createSuccessResponse(
+          result,
+          `Post ${isDraft ? "saved as draft" : "published"} successfully`
+        )
+      );
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    if (content.length > 100000) {
-      return res
-        .status(400)
-        .json(createErrorResponse("Content too long (max 100,000 characters)"));
-    }
+/**
+ * Checks the token of a Substack post edit or unpublish request and resolves
+ * the browser session from it (the schema validates the rest)
+ * @param {Object} req - Express request object
+ * @returns {Object} `{ error }` with an error response, or `{ sessionId, postId }`
+ */
+function resolvePostRequest(req) {
+  const providerError = BaseController.validateProvider(req, "substack");
+  if (providerError) {
+    return { error: providerError };
+  }
 
-    const postData = {
-      title: title.trim(),
-      content: content.trim(),
-      subtitle: subtitle ? subtitle.trim() : "",
-      isDraft,
+  // The session the token was issued for; older tokens name it in the body
+  const sessionId = req.user.sessionId || req.body.sessionId;
+  if (!sessionId) {
+    return {
+      error: createErrorResponse("Session ID is required", {
+        field: "sessionId",
+      }),
     };
-
-    const result = await substackService.createPost(sessionId, postData);
-    res.json(
-      createSuccessResponse(
-        result,
-        `Post ${isDraft ? "saved as draft" : "published"} successfully`
-      )
-    );
-  } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Failed to create post", {
-        error: error.message,
-      })
-    );
   }
-});
 
-// Update session status manually (for avoiding re-authentication)
-router.put("/session/:sessionId/status", async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const { status, userData } = req.body;
-
-    if (!status) {
-      return res.status(400).json({
-        success: false,
-        message: "Status is required",
-        meta: { field: "status" },
-      });
-    }
+  return { sessionId, postId: req.params.postId };
+}
 
-    // Get session from persistent storage
-    const session = await substackService.getSessionStatus(sessionId);
-    if (!session.exists) {
-      return res.status(404).json({
-        success: false,
-        message: "Session not found",
-        meta: { sessionId },
+/**
+ * Edit a draft or published Substack post
+ * PATCH /api/substack/post/:postId
+ */
+router.patch(
+  "/post/:postId",
+  authenticateToken,
+  validate(schemas.updatePost),
+  requireSessionOwner((req) => req.user.sessionId || req.body.sessionId),
+  async (req, res, next) => {
+    try {
+      const { error, sessionId, postId } = resolvePostRequest(req);
+      if (error) {
+        return res.status(400).json(error);
+      }
+
+      const { title, subtitle, content, format, subdomain } = req.body;
+
+      const result = await substackService.updatePost(sessionId, postId, {
+        title: title !== undefined ? title.trim() : undefined,
+        subtitle: subtitle !== undefined ? subtitle.trim() : undefined,
+        content: content !== undefined ? content.trim() : undefined,
+        format,
+        subdomain,
       });
+      // Edits may touch only some fields, so the content hash is left as is
+      await postHistoryService.recordChange("substack", postId, {});
+      res.json(createSuccessResponse(result, "Post updated successfully"));
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // Update session in persistent storage
-    const updatedSession = {
-      id: sessionId,
-      status: status,
-      email: session.email,
-      createdAt: session.createdAt,
-      userData: userData || session.userData,
-    };
+/**
+ * Unpublish a Substack post (it becomes a draft again)
+ * DELETE /api/substack/post/:postId
+ */
+router.delete(
+  "/post/:postId",
+  authenticateToken,
+  validate(schemas.unpublishPost),
+  requireSessionOwner((req) => req.user.sessionId || req.body.sessionId),
+  async (req, res, next) => {
+    try {
+      const { error, sessionId, postId } = resolvePostRequest(req);
+      if (error) {
+        return res.status(400).json(error);
+      }
 
-    await substackService.updateSessionStatus(sessionId, updatedSession);
+      const result = await substackService.unpublishPost(sessionId, postId, {
+        subdomain: req.body.subdomain,
+      });
+      await postHistoryService.recordChange("substack", postId, {
+        status: postHistoryService.POST_STATUS.DRAFT,
+      });
+      res.json(createSuccessResponse(result, "Post unpublished successfully"));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-    res.json({
-      success: true,
-      message: "Session status updated successfully",
-      data: {
-        sessionId,
-        oldStatus: session.status,
-        newStatus: status,
-      },
-    });
-  } catch (error) {
-    console.error("Error updating session status:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update session status",
-      meta: { error: error.message },
-    });
+// Update session status manually (for avoiding re-authentication)
+router.put(
+  "/session/:sessionId/status",
+  authenticateToken,
+  validate(schemas.updateSessionStatus),
+  requireSessionOwner(),
+  async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+      const { status, userData } = req.body;
+
+      // Get session from persistent storage
+      const session = await substackService.getSessionStatus(sessionId);
+      if (!session.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Session not found",
+          meta: { sessionId },
+        });
+      }
+
+      // Update session in persistent storage
+      const updatedSession = {
+        id: sessionId,
+        status: status,
+        email: session.email,
+        createdAt: session.createdAt,
+        userData: userData || session.userData,
+      };
+
+      await substackService.updateSessionStatus(sessionId, updatedSession);
+
+      res.json({
+        success: true,
+        message: "Session status updated successfully",
+        data: {
+          sessionId,
+          oldStatus: session.status,
+          newStatus: status,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
  * Refresh session authentication tokens
  * POST /api/substack/session/:sessionId/refresh
  */
-router.post("/session/:sessionId/refresh", async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const result = await substackService.refreshSessionAuth(sessionId);
+router.post(
+  "/session/:sessionId/refresh",
+  authenticateToken,
+  validate(schemas.refreshSession),
+  requireSessionOwner(),
+  async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+      const result = await substackService.refreshSessionAuth(sessionId);
 
-    if (result.success) {
-      res.json(
-        createSuccessResponse(result, "Session authentication refreshed")
-      );
-    } else {
-      res.status(500).json(
-        createErrorResponse("Failed to refresh session authentication", {
-          error: result.error,
-        })
-      );
+      if (result.success) {
+        res.json(
+          createSuccessResponse(result, "Session authentication refreshed")
+        );
+      } else {
+        res.status(500).json(
+          createErrorResponse("Failed to refresh session authentication", {
+            error: result.error,
+          })
+        );
+      }
+    } catch (error) {
+      next(error);
     }
-  } catch (error) {
-    res.status(500).json(
-      createErrorResponse("Failed to refresh session authentication", {
-        error: error.message,
-      })
-    );
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,159 @@
+/**
+ * Tests of Substack session ownership on the /api/substack routes
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Stores live in a temporary directory; sessions stay in memory
+const storeRoot = fs.mkdtempSync(path.join(os.tmpdir(), "substack-api-"));
+Object.assign(process.env, {
+  JWT_SECRET: "test-secret",
+  TOKEN_VAULT_PATH: path.join(storeRoot, "vault"),
+  USER_STORE_PATH: path.join(storeRoot, "users"),
+  POST_HISTORY_PATH: path.join(storeRoot, "posts"),
+  SESSION_STORE_BACKEND: "memory",
+});
+
+const express = require("express");
+const authService = require("../services/authService");
+const accountService = require("../services/accountService");
+const substackService = require("../services/substackService");
+const { globalErrorHandler } = require("../middleware/errorHandler");
+const substackRoutes = require("./substackApi");
+
+describe("Substack session ownership", () => {
+  let server;
+  let baseUrl;
+  let aliceToken;
+  let bobToken;
+  let alice;
+  let bob;
+  let publishCalls = 0;
+  const publishPost = substackService.publishPost;
+
+  before(async () => {
+    aliceToken = await authService.createToken(
+      "x",
+      { id: "1", name: "Alice", username: "alice" },
+      "alice-access"
+    );
+    bobToken = await authService.createToken(
+      "x",
+      { id: "2", name: "Bob", username: "bob" },
+      "bob-access"
+    );
+    alice = await authService.verifyToken(aliceToken);
+    bob = await authService.verifyToken(bobToken);
+
+    const session = { status: "logged_in", createdAt: new Date() };
+    await substackService.updateSessionStatus("alice-session", {
+      ...session,
+      ownerId: await accountService.getUserId(alice),
+    });
+    await substackService.updateSessionStatus("orphan-session", session);
+
+    substackService.publishPost = async () => {
+      publishCalls++;
+      return { postId: "1", postUrl: null };
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/substack", substackRoutes);
+    app.use(globalErrorHandler);
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/substack`;
+  });
+
+  after(() => {
+    substackService.publishPost = publishPost;
+    server.close();
+    fs.rmSync(storeRoot, { recursive: true, force: true });
+  });
+
+  /**
+   * Calls a Substack route
+   * @param {string} method - HTTP method
+   * @param {string} route - Path below /api/substack
+   * @param {string} [token] - Bearer token
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object>} `{ status, body }`
+   */
+  async function call(method, route, token, body) {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("knows which user owns a session", async () => {
+    assert.equal(
+      await substackService.ownsSession(alice, "alice-session"),
+      true
+    );
+    assert.equal(
+      await substackService.ownsSession(bob, "alice-session"),
+      false
+    );
+    assert.equal(await substackService.ownsSession(alice, "missing"), false);
+  });
+
+  it("gives nobody sessions without an owner", async () => {
+    assert.equal(
+      await substackService.ownsSession(alice, "orphan-session"),
+      false
+    );
+    const response = await call("GET", "/session/orphan-session", aliceToken);
+    assert.equal(response.status, 404);
+  });
+
+  it("lets the owner use the session", async () => {
+    const response = await call("GET", "/session/alice-session", aliceToken);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.status, "logged_in");
+  });
+
+  it("answers other users as if the session didn't exist", async () => {
+    const foreign = await call("GET", "/session/alice-session", bobToken);
+    const unknown = await call("GET", "/session/unknown-session", bobToken);
+
+    assert.equal(foreign.status, 404);
+    assert.equal(unknown.status, 404);
+    assert.equal(foreign.body.message, unknown.body.message);
+  });
+
+  it("requires a token", async () => {
+    const response = await call("GET", "/session/alice-session");
+    assert.equal(response.status, 401);
+  });
+
+  it("doesn't post through another user's session", async () => {
+    const post = { title: "Title", content: "Content" };
+
+    const foreign = await call("POST", "/post", bobToken, {
+      ...post,
+      sessionId: "alice-session",
+    });
+    assert.equal(foreign.status, 404);
+    assert.equal(publishCalls, 0);
+
+    const own = await call("POST", "/post", aliceToken, {
+      ...post,
+      sessionId: "alice-session",
+    });
+    assert.equal(own.status, 200);
+    assert.equal(publishCalls, 1);
+  });
+});
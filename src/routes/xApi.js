@@ -6,11 +6,18 @@
 const express = require("express");
 const XController = require("../controllers/xController");
 const { authenticateToken } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { x: schemas } = require("../schemas");
 
 const router = express.Router();
 
 // X API routes (mounted on /api/x)
 router.get("/user", authenticateToken, XController.getCurrentUser);
 router.get("/user/refresh", authenticateToken, XController.refreshProfile);
+router.post(
+  "/validate",
+  validate(schemas.validateTweet),
+  XController.validateTweet
+);
 
 module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Request schemas of the /api/accounts routes
+ * @module schemas/accounts
+ */
+
+const listAccounts = {
+  method: "GET",
+  path: "/api/accounts",
+  summary: "List the accounts linked to the token's user",
+};
+
+const linkAccount = {
+  method: "POST",
+  path: "/api/accounts/link",
+  summary: "Link another provider account",
+  body: {
+    token: {
+      type: "string",
+      required: true,
+      notBlank: true,
+      description: "JWT of the account to link",
+    },
+  },
+};
+
+const unlinkAccount = {
+  method: "DELETE",
+  path: "/api/accounts/:accountId",
+  summary: "Unlink an account",
+  params: { accountId: { type: "string", required: true } },
+};
+
+module.exports = {
+  listAccounts,
+  linkAccount,
+  unlinkAccount,
+};
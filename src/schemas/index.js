@@ -0,0 +1,44 @@
+/**
+ * Request schemas of all routes, used for validation and API documentation
+ * @module schemas
+ */
+
+const posts = require("./posts");
+const substack = require("./substack");
+const accounts = require("./accounts");
+const x = require("./x");
+const { describeObject } = require("../utils/schema");
+
+/**
+ * Request locations a route schema may describe
+ */
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Builds the API documentation from the route schemas
+ * @returns {Array<Object>} Routes ({ method, path, summary, params, query, body })
+ */
+function describeRoutes() {
+  return [posts, substack, accounts, x]
+    .flatMap((schemas) => Object.values(schemas))
+    .map((schema) => ({
+      method: schema.method,
+      path: schema.path,
+      summary: schema.summary,
+      ...Object.fromEntries(
+        LOCATIONS.filter((location) => schema[location]).map((location) => [
+          location,
+          describeObject(schema[location]),
+        ])
+      ),
+    }));
+}
+
+module.exports = {
+  LOCATIONS,
+  posts,
+  substack,
+  accounts,
+  x,
+  describeRoutes,
+};
@@ -0,0 +1,380 @@
+/**
+ * Request schemas of the /api/posts routes
+ * @module schemas/posts
+ */
+
+const linkedinService = require("../services/linkedinService");
+const xService = require("../services/xService");
+const schedulerService = require("../services/schedulerService");
+const postHistoryService = require("../services/postHistoryService");
+const tweetLength = require("../utils/tweetLength");
+const { CONTENT_FORMATS } = require("../utils/substackDocument");
+
+/**
+ * Platforms posts can be published to
+ */
+const PLATFORMS = ["linkedin", "x", "substack"];
+
+/**
+ * Linked account to act as (see selectAccount)
+ */
+const accountId = {
+  type: "string",
+  description: "Linked account to post as (defaults to the token's account)",
+};
+
+/**
+ * Alt text of uploaded files; repeat the field once per file
+ */
+const altText = {
+  anyOf: [
+    { type: "string", maxLength: 1000 },
+    { type: "array", items: { type: "string", maxLength: 1000 } },
+  ],
+  description: "Alt text per uploaded file, in file order",
+};
+
+/**
+ * X ID (tweet, media)
+ */
+const xId = {
+  type: "string",
+  pattern: xService.ID_PATTERN,
+  format: "a numeric ID",
+};
+
+/**
+ * LinkedIn organization URN
+ */
+const organizationUrn = {
+  type: "string",
+  pattern: linkedinService.ORGANIZATION_URN_PATTERN,
+  format: "urn:li:organization:<id>",
+  description: "Company page to post as (see /api/linkedin/organizations)",
+};
+
+/**
+ * LinkedIn post text
+ */
+const linkedinText = {
+  type: "string",
+  required: true,
+  notBlank: true,
+  maxLength: 3000,
+};
+
+/**
+ * Publish time of scheduled posts
+ */
+const publishAt = {
+  type: "date",
+  required: true,
+  check: (value) =>
+    new Date(value).getTime() > Date.now() ? null : "must be in the future",
+  description: "When to publish (ISO 8601, in the future)",
+};
+
+/**
+ * Missed-job policy of scheduled posts
+ */
+const missedPolicy = {
+  type: "string",
+  enum: schedulerService.MISSED_POLICIES,
+  description: "What to do if the server was down at publishAt",
+};
+
+/**
+ * Body of /publish and /schedule
+ */
+const publishBody = {
+  post: {
+    type: "object",
+    required: true,
+    properties: {
+      text: { type: "string", required: true, notBlank: true },
+      title: { type: "string", description: "Substack post title" },
+      subtitle: { type: "string", description: "Substack post subtitle" },
+    },
+  },
+  targets: {
+    type: "array",
+    required: true,
+    minItems: 1,
+    items: {
+      anyOf: [
+        { type: "string", enum: PLATFORMS },
+        {
+          type: "object",
+          properties: {
+            platform: { type: "string", required: true, enum: PLATFORMS },
+            accountId: { type: "string" },
+            sessionId: { type: "string" },
+            overrides: {
+              type: "object",
+              properties: {
+                format: {
+                  type: "string",
+                  enum: CONTENT_FORMATS,
+                  description: "How Substack content is written",
+                },
+              },
+              description: "Fields replacing the adapted request body's",
+            },
+          },
+        },
+      ],
+    },
+    description: "Platform names, or { platform, accountId } objects",
+  },
+};
+
+const createLinkedinPost = {
+  method: "POST",
+  path: "/api/posts/linkedin/post",
+  summary: "Create a LinkedIn post (JSON, or multipart with media files)",
+  body: {
+    text: linkedinText,
+    visibility: { type: "string", enum: linkedinService.VISIBILITIES },
+    mediaType: { type: "string", enum: linkedinService.MEDIA_TYPES },
+    media: {
+      type: "array",
+      maxItems: 9,
+      items: {
+        type: "object",
+        properties: {
+          assetUrn: { type: "string" },
+          title: { type: "string" },
+          description: { type: "string" },
+        },
+      },
+      description: "Already uploaded media (see /api/posts/linkedin/upload)",
+    },
+    articleUrl: {
+      type: "string",
+      pattern: /^https?:\/\//,
+      format: "an http(s) URL",
+    },
+    articleTitle: { type: "string", maxLength: 400 },
+    articleDescription: { type: "string", maxLength: 4086 },
+    organizationUrn,
+    altText,
+    accountId,
+  },
+};
+
+const updateLinkedinPost = {
+  method: "PATCH",
+  path: "/api/posts/linkedin/post/:urn",
+  summary: "Edit the text of a LinkedIn post",
+  params: {
+    urn: {
+      type: "string",
+      required: true,
+      pattern: linkedinService.POST_URN_PATTERN,
+      format: "a URL-encoded urn:li:share:<id> or urn:li:ugcPost:<id>",
+    },
+  },
+  body: { text: linkedinText, accountId },
+};
+
+const deleteLinkedinPost = {
+  method: "DELETE",
+  path: "/api/posts/linkedin/post/:urn",
+  summary: "Delete a LinkedIn post",
+  params: updateLinkedinPost.params,
+};
+
+const uploadLinkedinMedia = {
+  method: "POST",
+  path: "/api/posts/linkedin/upload",
+  summary: "Upload an image or video to LinkedIn (multipart field: media)",
+  body: {
+    mediaType: { type: "string", enum: ["image", "video"] },
+    title: { type: "string", maxLength: 400 },
+    description: { type: "string", maxLength: 4086 },
+    organizationUrn,
+    accountId,
+  },
+};
+
+const createTweet = {
+  method: "POST",
+  path: "/api/posts/x/tweet",
+  summary: "Create a tweet (JSON, or multipart with media files)",
+  body: {
+    text: {
+      type: "string",
+      required: true,
+      notBlank: true,
+      check: (text) =>
+        tweetLength.parseTweet(text.trim()).valid
+          ? null
+          : "exceeds 280 character limit",
+      description: "Tweet text (280 weighted characters)",
+    },
+    mediaIds: { type: "array", maxItems: 4, items: xId },
+    replyToTweetId: xId,
+    pollOptions: {
+      type: "array",
+      minItems: 2,
+      maxItems: 4,
+      items: { type: "string", notBlank: true, maxLength: 25 },
+    },
+    pollDurationMinutes: { type: "integer", min: 5, max: 10080 },
+    altText,
+    accountId,
+  },
+};
+
+const deleteTweet = {
+  method: "DELETE",
+  path: "/api/posts/x/tweet/:id",
+  summary: "Delete a tweet",
+  params: { id: { ...xId, required: true } },
+};
+
+const createThread = {
+  method: "POST",
+  path: "/api/posts/x/thread",
+  summary: "Post a thread from long text or explicit segments",
+  body: {
+    text: {
+      type: "string",
+      notBlank: true,
+      description: "Text split into tweets (use either text or segments)",
+    },
+    segments: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", notBlank: true },
+      description: "Tweet texts in thread order",
+    },
+    numbering: { type: "boolean", description: "Append 1/n counters" },
+    replyToTweetId: xId,
+    mediaIds: { type: "array", maxItems: 4, items: xId },
+    accountId,
+  },
+  check: (req) =>
+    (req.body.text === undefined) === (req.body.segments === undefined)
+      ? [
+          {
+            location: "body",
+            field: "text",
+            message: "Provide either text or segments",
+            fields: ["text", "segments"],
+          },
+        ]
+      : [],
+};
+
+const uploadXMedia = {
+  method: "POST",
+  path: "/api/posts/x/upload",
+  summary: "Upload an image, GIF or video to X (multipart field: media)",
+  query: {
+    uploadId: {
+      type: "string",
+      pattern: /^[\w-]{1,64}$/,
+      format: "up to 64 letters, digits, _ or -",
+      description: "Client-chosen ID to poll progress with",
+    },
+  },
+  body: {
+    mediaType: { type: "string", enum: ["image", "video"] },
+    altText: { type: "string", maxLength: 1000 },
+    accountId,
+  },
+};
+
+const getXUploadProgress = {
+  method: "GET",
+  path: "/api/posts/x/upload/:uploadId",
+  summary: "Get the progress of an X media upload",
+  params: { uploadId: { ...uploadXMedia.query.uploadId, required: true } },
+};
+
+const listPosts = {
+  method: "GET",
+  path: "/api/posts",
+  summary: "List recorded posts of the token's linked accounts",
+  query: {
+    platform: { type: "string", enum: postHistoryService.PLATFORMS },
+    status: {
+      type: "string",
+      enum: Object.values(postHistoryService.POST_STATUS),
+    },
+    from: { type: "date", description: "Earliest creation time" },
+    to: { type: "date", description: "Latest creation time" },
+    limit: { type: "integer", min: 1, max: 100 },
+    offset: { type: "integer", min: 0 },
+  },
+};
+
+const publish = {
+  method: "POST",
+  path: "/api/posts/publish",
+  summary: "Publish one post to several platforms",
+  body: publishBody,
+};
+
+const schedule = {
+  method: "POST",
+  path: "/api/posts/schedule",
+  summary: "Schedule a publish",
+  body: { ...publishBody, publishAt, missedPolicy },
+};
+
+const listScheduledPosts = {
+  method: "GET",
+  path: "/api/posts/scheduled",
+  summary: "List scheduled posts",
+  query: {
+    status: {
+      type: "string",
+      enum: Object.values(schedulerService.JOB_STATUS),
+    },
+  },
+};
+
+const jobParams = { jobId: { type: "string", required: true } };
+
+const getScheduledPost = {
+  method: "GET",
+  path: "/api/posts/scheduled/:jobId",
+  summary: "Get a scheduled post",
+  params: jobParams,
+};
+
+const reschedulePost = {
+  method: "PATCH",
+  path: "/api/posts/scheduled/:jobId",
+  summary: "Reschedule a post",
+  params: jobParams,
+  body: { publishAt, missedPolicy },
+};
+
+const cancelScheduledPost = {
+  method: "DELETE",
+  path: "/api/posts/scheduled/:jobId",
+  summary: "Cancel a scheduled post",
+  params: jobParams,
+};
+
+module.exports = {
+  listPosts,
+  createLinkedinPost,
+  updateLinkedinPost,
+  deleteLinkedinPost,
+  uploadLinkedinMedia,
+  createTweet,
+  deleteTweet,
+  createThread,
+  uploadXMedia,
+  getXUploadProgress,
+  publish,
+  schedule,
+  listScheduledPosts,
+  getScheduledPost,
+  reschedulePost,
+  cancelScheduledPost,
+};
@@ -0,0 +1,207 @@
+/**
+ * Request schemas of the /api/substack routes
+ * @module schemas/substack
+ */
+
+const { CONTENT_FORMATS } = require("../utils/substackDocument");
+
+/**
+ * Browser session ID
+ */
+const sessionId = { type: "string", required: true, notBlank: true };
+
+/**
+ * Session ID route parameter
+ */
+const sessionParams = { sessionId };
+
+/**
+ * Substack post ID route parameter (the number in the editor URL)
+ */
+const postParams = {
+  postId: {
+    type: "string",
+    required: true,
+    pattern: /^\d+$/,
+    format: "a numeric post ID",
+  },
+};
+
+/**
+ * Post fields with Substack's limits
+ */
+const title = { type: "string", notBlank: true, maxLength: 200 };
+const subtitle = { type: "string", maxLength: 300 };
+const content = { type: "string", notBlank: true, maxLength: 100000 };
+const format = {
+  type: "string",
+  enum: CONTENT_FORMATS,
+  description: "How content is written (default plain)",
+};
+const subdomain = {
+  type: "string",
+  pattern: /^[a-z0-9-]+$/i,
+  format: "a publication subdomain",
+  description: "Publication subdomain (defaults to the account's own)",
+};
+
+/**
+ * Time to wait for the emailed login link to be clicked
+ */
+const verificationWait = {
+  sessionId,
+  timeoutMs: { type: "integer", min: 1000, max: 30 * 60 * 1000 },
+};
+
+const createSession = {
+  method: "POST",
+  path: "/api/substack/session",
+  summary: "Create a browser session",
+};
+
+const login = {
+  method: "POST",
+  path: "/api/substack/login",
+  summary: "Start an email login",
+  body: {
+    sessionId,
+    email: {
+      type: "string",
+      required: true,
+      pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      format: "an email address",
+    },
+  },
+};
+
+const verify = {
+  method: "POST",
+  path: "/api/substack/verify",
+  summary: "Submit the emailed verification code",
+  body: {
+    sessionId,
+    verificationCode: {
+      anyOf: [{ type: "string", notBlank: true }, { type: "integer" }],
+      required: true,
+    },
+  },
+};
+
+const waitVerification = {
+  method: "POST",
+  path: "/api/substack/wait-verification",
+  summary: "Wait for the emailed login link to be clicked",
+  body: verificationWait,
+};
+
+const waitVerify = {
+  ...waitVerification,
+  path: "/api/substack/wait-verify",
+  summary: "Alias of /api/substack/wait-verification",
+};
+
+const getSession = {
+  method: "GET",
+  path: "/api/substack/session/:sessionId",
+  summary: "Get session status",
+  params: sessionParams,
+};
+
+const reconnectSession = {
+  method: "POST",
+  path: "/api/substack/session/:sessionId/reconnect",
+  summary: "Reconnect a saved session",
+  params: sessionParams,
+};
+
+const closeSession = {
+  method: "DELETE",
+  path: "/api/substack/session/:sessionId",
+  summary: "Close a session",
+  params: sessionParams,
+};
+
+const getSessionState = {
+  method: "GET",
+  path: "/api/substack/session/:sessionId/state",
+  summary: "Get the browser state of a session",
+  params: sessionParams,
+};
+
+const updateSessionStatus = {
+  method: "PUT",
+  path: "/api/substack/session/:sessionId/status",
+  summary: "Update a session's status",
+  params: sessionParams,
+  body: {
+    status: { type: "string", required: true, notBlank: true },
+    userData: { type: "object" },
+  },
+};
+
+const refreshSession = {
+  method: "POST",
+  path: "/api/substack/session/:sessionId/refresh",
+  summary: "Refresh a session's login state",
+  params: sessionParams,
+};
+
+const createPost = {
+  method: "POST",
+  path: "/api/substack/post",
+  summary: "Create or publish a post",
+  body: {
+    sessionId,
+    title: { ...title, required: true },
+    content: { ...content, required: true },
+    subtitle,
+    format,
+    isDraft: { type: "boolean", description: "Save as draft only" },
+  },
+};
+
+const updatePost = {
+  method: "PATCH",
+  path: "/api/substack/post/:postId",
+  summary: "Edit a post",
+  params: postParams,
+  body: { title, subtitle, content, format, subdomain },
+  check: (req) =>
+    ["title", "subtitle", "content"].every(
+      (field) => req.body[field] === undefined
+    )
+      ? [
+          {
+            location: "body",
+            field: "title",
+            message: "Nothing to update",
+            fields: ["title", "subtitle", "content"],
+          },
+        ]
+      : [],
+};
+
+const unpublishPost = {
+  method: "DELETE",
+  path: "/api/substack/post/:postId",
+  summary: "Unpublish a post",
+  params: postParams,
+  body: { subdomain },
+};
+
+module.exports = {
+  createSession,
+  login,
+  verify,
+  waitVerification,
+  waitVerify,
+  getSession,
+  reconnectSession,
+  closeSession,
+  getSessionState,
+  updateSessionStatus,
+  refreshSession,
+  createPost,
+  updatePost,
+  unpublishPost,
+};
@@ -0,0 +1,15 @@
+/**
+ * Request schemas of the /api/x routes
+ * @module schemas/x
+ */
+
+const validateTweet = {
+  method: "POST",
+  path: "/api/x/validate",
+  summary: "Check tweet text against X's weighted character count",
+  body: { text: { type: "string", required: true } },
+};
+
+module.exports = {
+  validateTweet,
+};
@@ -0,0 +1,228 @@
+/**
+ * Account service linking several provider accounts to one app user
+ * @module services/accountService
+ */
+
+const config = require("../config/environment");
+const authService = require("./authService");
+const UserStore = require("./userStore");
+
+// Persistent user store
+const userStore = new UserStore(config.users.storePath);
+
+/**
+ * Builds the account record stored on a user from a decoded JWT. The claims
+ * are what a JWT for this account would carry, without credentials.
+ * @param {Object} tokenPayload - Decoded JWT payload
+ * @returns {Object} Account record ({ accountId, provider, claims })
+ * @throws {Error} If the token does not reference vault credentials
+ */
+function toAccountRecord(tokenPayload) {
+  if (!tokenPayload.accountId) {
+    throw new Error(
+      "Token is not backed by stored credentials, please log in again"
+    );
+  }
+
+  const {
+    iat,
+    exp,
+    jti,
+    accessToken,
+    refreshToken,
+    accessTokenExpiresAt,
+    ...claims
+  } = tokenPayload;
+
+  return {
+    accountId: tokenPayload.accountId,
+    provider: tokenPayload.provider,
+    claims,
+  };
+}
+
+/**
+ * Gets the app user owning the token's account. Accounts that were never
+ * linked get a user of their own.
+ * @param {Object} tokenPayload - Decoded JWT payload
+ * @returns {Promise<Object>} User with linked accounts
+ */
+async function getUserForToken(tokenPayload) {
+  const account = toAccountRecord(tokenPayload);
+  const user = await userStore.findUserByAccount(account.accountId);
+  return user || userStore.createUser(account);
+}
+
+/**
+ * Builds the owner ID stored on jobs and post history from a decoded JWT.
+ * Substack tokens carry no provider user ID, so their email is used.
+ * @param {Object} tokenPayload - Decoded JWT payload
+ * @returns {string} Owner ID (provider:id)
+ */
+function getOwnerId(tokenPayload) {
+  // Stored account claims have no iat/exp
+  const { id } = authService.formatUserFromToken({
+    ...tokenPayload,
+    iat: 0,
+    exp: 0,
+  });
+  return `${tokenPayload.provider}:${id || tokenPayload.email}`;
+}
+
+/**
+ * Gets the owner IDs of every account linked to the token's user, so
+ * records made with any of them can be listed
+ * @param {Object} tokenPayload - Decoded JWT payload
+ * @returns {Promise<Array<string>>} Owner IDs
+ */
+async function getLinkedOwnerIds(tokenPayload) {
+  if (!tokenPayload.accountId) {
+    return [getOwnerId(tokenPayload)];
+  }
+
+  const user = await getUserForToken(tokenPayload);
+  return [
+    ...new Set([
+      getOwnerId(tokenPayload),
+      ...user.accounts.map((account) => getOwnerId(account.claims)),
+    ]),
+  ];
+}
+
+/**
+ * Gets the ID of the app user owning the token's account
+ * @param {Object} tokenPayload - Decoded JWT payload
+ * @returns {Promise<string>} User ID
+ */
+async function getUserId(tokenPayload) {
+  const user = await getUserForToken(tokenPayload);
+  return user.id;
+}
+
+/**
+ * Checks whether the token's user has the admin role, i.e. any of its
+ * linked accounts is listed in config.users.adminAccounts
+ * @param {Object} tokenPayload - Decoded JWT payload
+ * @returns {Promise<boolean>} True for admins
+ */
+async function isAdmin(tokenPayload) {
+  const { adminAccounts } = config.users;
+  if (adminAccounts.length === 0) {
+    return false;
+  }
+
+  const ownerIds = await getLinkedOwnerIds(tokenPayload);
+  return ownerIds.some((ownerId) => adminAccounts.includes(ownerId));
+}
+
+/**
+ * Formats a linked account for API responses
+ * @param {Object} account - Stored account record
+ * @param {string} [currentAccountId] - Account ID of the request's token
+ * @returns {Object} Public account representation
+ */
+function formatAccount(account, currentAccountId) {
+  const { id } = authService.formatUserFromToken({
+    ...account.claims,
+    iat: 0,
+    exp: 0,
+  });
+
+  return {
+    accountId: account.accountId,
+    provider: account.provider,
+    id,
+    name: account.claims.name,
+    email: account.claims.email,
+    username: account.claims.username,
+    linkedAt: account.linkedAt,
+    current: account.accountId === currentAccountId,
+  };
+}
+
+/**
+ * Lists the accounts linked to the token's user
+ * @param {Object} tokenPayload - Decoded JWT payload
+ * @returns {Promise<Object>} `{ userId, accounts }`
+ */
+async function listAccounts(tokenPayload) {
+  const user = await getUserForToken(tokenPayload);
+  return {
+    userId: user.id,
+    accounts: user.accounts.map((account) =>
+      formatAccount(account, tokenPayload.accountId)
+    ),
+  };
+}
+
+/**
+ * Gets the JWT claims of an account linked to the token's user
+ * @param {Object} tokenPayload - Decoded JWT payload of the request
+ * @param {string} accountId - Linked account ID
+ * @returns {Promise<Object|null>} Account claims or null if not linked
+ */
+async function getLinkedAccountClaims(tokenPayload, accountId) {
+  const user = await getUserForToken(tokenPayload);
+  const account = user.accounts.find(
+    (linked) => linked.accountId === accountId
+  );
+  return account ? account.claims : null;
+}
+
+/**
+ * Links the account of another token to the token's user
+ * @param {Object} tokenPayload - Decoded JWT payload of the request
+ * @param {Object} linkedTokenPayload - Decoded JWT of the account to link
+ * @returns {Promise<Object>} `{ userId, accounts }` after linking
+ */
+async function linkAccount(tokenPayload, linkedTokenPayload) {
+  const user = await getUserForToken(tokenPayload);
+  await userStore.linkAccount(user.id, toAccountRecord(linkedTokenPayload));
+
+  console.log(
+    `🔗 Linked ${linkedTokenPayload.provider} account to user ${user.id}`
+  );
+  return listAccounts(tokenPayload);
+}
+
+/**
+ * Links the account of a token to a given user, e.g. a Substack login made
+ * in a browser session the user owns
+ * @param {string} userId - User ID
+ * @param {Object} tokenPayload - JWT payload of the account to link
+ * @returns {Promise<void>}
+ */
+async function linkAccountToUser(userId, tokenPayload) {
+  await userStore.linkAccount(userId, toAccountRecord(tokenPayload));
+  console.log(`🔗 Linked ${tokenPayload.provider} account to user ${userId}`);
+}
+
+/**
+ * Unlinks an account from the token's user
+ * @param {Object} tokenPayload - Decoded JWT payload of the request
+ * @param {string} accountId - Account ID to unlink
+ * @returns {Promise<boolean>} True if the account was linked to the user
+ */
+async function unlinkAccount(tokenPayload, accountId) {
+  const user = await getUserForToken(tokenPayload);
+  const unlinked = await userStore.unlinkAccount(user.id, accountId);
+
+  if (unlinked) {
+    console.log(`🔗 Unlinked account ${accountId} from user ${user.id}`);
+  }
+  return unlinked;
+}
+
+module.exports = {
+  getOwnerId,
+  getLinkedOwnerIds,
+  getUserForToken,
+  getUserId,
+  isAdmin,
+  listAccounts,
+  getLinkedAccountClaims,
+  linkAccount,
+  linkAccountToUser,
+  unlinkAccount,
+  formatAccount,
+};
@@ -3,8 +3,20 @@
  * @module services/authService
  */
 
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const config = require("../config/environment");
+const TokenVault = require("./tokenVault");
+const TokenDenylist = require("./tokenDenylist");
+
+// Encrypted store for provider credentials, referenced from JWTs by account ID
+const tokenVault = new TokenVault({
+  storePath: config.vault.storePath,
+  encryptionKey: config.vault.encryptionKey || config.jwt.secret,
+});
+
+// Revoked JWTs, kept until they would have expired anyway
+const tokenDenylist = new TokenDenylist(config.vault.storePath);
 
 /**
  * Provider-specific token creation configurations
@@ -25,31 +37,46 @@ const PROVIDER_CONFIGS = {
 };
 
 /**
- * Creates a JWT token for any provider
+ * Creates a JWT token for any provider. Provider tokens are kept in the
+ * token vault; the JWT only carries the opaque account ID.
  * @param {string} provider - Provider name ('linkedin', 'x', 'substack')
  * @param {Object} userData - User data to encode in token
  * @param {string} accessToken - Provider access token
  * @param {string} [refreshToken] - Provider refresh token (optional)
  * @param {number} [expiresIn] - Custom expiration time in seconds (optional)
- * @returns {string} JWT token
+ * @param {number} [accessTokenExpiresIn] - Provider access token lifetime in seconds (optional)
+ * @returns {Promise<string>} JWT token
  */
-function createToken(
+async function createToken(
   provider,
   userData,
   accessToken,
   refreshToken = null,
-  expiresIn = null
+  expiresIn = null,
+  accessTokenExpiresIn = null
 ) {
   const providerConfig = PROVIDER_CONFIGS[provider];
   if (!providerConfig) {
     throw new Error(`Unsupported provider: ${provider}`);
   }
 
+  const accountId = await tokenVault.storeCredentials({
+    provider,
+    providerUserId: userData.id,
+    credentials: {
+      accessToken,
+      refreshToken,
+      accessTokenExpiresAt: accessTokenExpiresIn
+        ? Math.floor(Date.now() / 1000) + accessTokenExpiresIn
+        : null,
+    },
+  });
+
   const payload = {
     [providerConfig.userIdField]: userData.id,
     email: userData.email,
     name: userData.name,
-    accessToken,
+    accountId,
     provider,
   };
 
@@ -58,10 +85,6 @@ function createToken(
     payload.username = userData.username;
   }
 
-  if (refreshToken) {
-    payload.refreshToken = refreshToken;
-  }
-
   let tokenExpiration;
   if (expiresIn) {
     // If expiresIn is a number, treat it as seconds
@@ -73,6 +96,7 @@ function createToken(
 
   const options = {
     expiresIn: tokenExpiration,
+    jwtid: crypto.randomUUID(),
   };
 
   return jwt.sign(payload, config.jwt.secret, options);
@@ -101,22 +125,169 @@ function parseExpirationToSeconds(expirationStr) {
   return 7 * 24 * 60 * 60;
 }
 
+/**
+ * Gets the ID a token is tracked under on the denylist. Tokens issued
+ * without a jti are tracked by their hash.
+ * @param {string} token - JWT token
+ * @param {Object} tokenPayload - Decoded JWT payload
+ * @returns {string} Token ID
+ */
+function getTokenId(token, tokenPayload) {
+  return (
+    tokenPayload.jti || crypto.createHash("sha256").update(token).digest("hex")
+  );
+}
+
 /**
  * Verifies a JWT token
  * @param {string} token - JWT token to verify
  * @returns {Promise<Object>} Decoded token payload
- * @throws {Error} If token is invalid or expired
+ * @throws {Error} If token is invalid, expired or revoked
  */
-function verifyToken(token) {
-  return new Promise((resolve, reject) => {
-    jwt.verify(token, config.jwt.secret, (err, decoded) => {
+async function verifyToken(token) {
+  const decoded = await new Promise((resolve, reject) => {
+    jwt.verify(token, config.jwt.secret, (err, payload) => {
       if (err) {
         reject(new Error(`Token verification failed: ${err.message}`));
       } else {
-        resolve(decoded);
+        resolve(payload);
       }
     });
   });
+
+  if (await tokenDenylist.has(getTokenId(token, decoded))) {
+    throw new Error("Token verification failed: token has been revoked");
+  }
+
+  return decoded;
+}
+
+/**
+ * Revokes a JWT so it is rejected until it expires
+ * @param {string} token - JWT token
+ * @param {Object} tokenPayload - Decoded JWT payload
+ * @returns {Promise<void>}
+ */
+function revokeToken(token, tokenPayload) {
+  const expiresAt =
+    tokenPayload.exp ||
+    Math.floor(Date.now() / 1000) +
+      parseExpirationToSeconds(config.jwt.expiresIn);
+
+  return tokenDenylist.add(getTokenId(token, tokenPayload), expiresAt);
+}
+
+/**
+ * Adds the vault credentials referenced by a decoded JWT to its payload.
+ * Tokens issued before the vault existed are returned unchanged.
+ * @param {Object} tokenPayload - Decoded JWT payload
+ * @returns {Promise<Object>} Payload with accessToken, refreshToken and accessTokenExpiresAt
+ * @throws {Error} If the referenced credentials no longer exist
+ */
+async function resolveCredentials(tokenPayload) {
+  if (!tokenPayload.accountId) {
+    return tokenPayload;
+  }
+
+  const credentials = await tokenVault.getCredentials(tokenPayload.accountId);
+  if (!credentials) {
+    throw new Error("Stored credentials not found for this token");
+  }
+
+  return { ...tokenPayload, ...credentials };
+}
+
+/**
+ * Stores provider credentials in the token vault
+ * @param {string} provider - Provider name
+ * @param {string} providerUserId - User ID at the provider
+ * @param {Object} credentials - Credentials to store
+ * @returns {Promise<string>} Opaque account ID
+ */
+function storeCredentials(provider, providerUserId, credentials) {
+  return tokenVault.storeCredentials({ provider, providerUserId, credentials });
+}
+
+/**
+ * Writes refreshed credentials back to the token vault
+ * @param {string} accountId - Account ID
+ * @param {Object} updates - Credential fields to update
+ * @returns {Promise<Object|null>} Updated credentials or null if not found
+ */
+function updateCredentials(accountId, updates) {
+  return tokenVault.updateCredentials(accountId, updates);
+}
+
+/**
+ * Moves the credentials carried by a token issued before the token vault
+ * into the vault
+ * @param {Object} tokenPayload - Decoded legacy JWT payload
+ * @param {Object} [credentials] - Current provider credentials (defaults to
+ * the ones in the payload)
+ * @returns {Promise<Object>} Claims referencing the stored credentials by
+ * `accountId`, without credentials or JWT fields
+ * @throws {Error} If the token's provider is unsupported
+ */
+async function moveCredentialsToVault(tokenPayload, credentials) {
+  const {
+    iat,
+    exp,
+    jti,
+    accessToken,
+    refreshToken,
+    accessTokenExpiresAt,
+    ...claims
+  } = tokenPayload;
+
+  const providerConfig = PROVIDER_CONFIGS[claims.provider];
+  if (!providerConfig) {
+    throw new Error(`Unsupported provider: ${claims.provider}`);
+  }
+
+  const accountId = await tokenVault.storeCredentials({
+    provider: claims.provider,
+    providerUserId: claims[providerConfig.userIdField],
+    credentials: credentials || {
+      accessToken,
+      refreshToken,
+      accessTokenExpiresAt,
+    },
+  });
+
+  return { ...claims, accountId };
+}
+
+/**
+ * Moves the credentials of a token issued before the token vault into the
+ * vault and signs a replacement JWT referencing them. The new token keeps
+ * the claims and remaining lifetime of the old one.
+ * @param {Object} tokenPayload - Decoded legacy JWT payload
+ * @param {Object} credentials - Current provider credentials
+ * @returns {Promise<string>} Replacement JWT token
+ */
+async function reissueToken(tokenPayload, credentials) {
+  const claims = await moveCredentialsToVault(tokenPayload, credentials);
+  const { exp } = tokenPayload;
+
+  const remainingSeconds = exp
+    ? Math.max(exp - Math.floor(Date.now() / 1000), 60)
+    : parseExpirationToSeconds(
+        PROVIDER_CONFIGS[claims.provider].defaultExpiration
+      );
+
+  return jwt.sign(claims, config.jwt.secret, {
+    expiresIn: remainingSeconds,
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+/**
+ * Removes an account's credentials from the token vault
+ * @param {string} accountId - Account ID
+ * @returns {Promise<boolean>} True if the account existed
+ */
+function deleteCredentials(accountId) {
+  return tokenVault.deleteCredentials(accountId);
 }
 
 /**
@@ -161,14 +332,16 @@ function formatUserFromToken(tokenPayload) {
 }
 
 /**
- * Checks if token needs refresh (expires within specified minutes)
+ * Checks if token needs refresh (expires within specified minutes). Uses the
+ * provider access token expiry when known, otherwise the JWT expiry.
  * @param {Object} tokenPayload - Decoded JWT payload
  * @param {number} [thresholdMinutes=30] - Minutes before expiration to trigger refresh
  * @returns {boolean} True if token needs refresh
  */
 function needsRefresh(tokenPayload, thresholdMinutes = 30) {
   const now = Math.floor(Date.now() / 1000);
-  const expiresIn = tokenPayload.exp - now;
+  const expiresAt = tokenPayload.accessTokenExpiresAt || tokenPayload.exp;
+  const expiresIn = expiresAt - now;
   const threshold = thresholdMinutes * 60;
 
   return expiresIn <= threshold;
@@ -178,6 +351,13 @@ module.exports = {
   createToken,
   parseExpirationToSeconds,
   verifyToken,
+  revokeToken,
+  resolveCredentials,
+  storeCredentials,
+  updateCredentials,
+  moveCredentialsToVault,
+  reissueToken,
+  deleteCredentials,
   extractBearerToken,
   formatUserFromToken,
   needsRefresh,
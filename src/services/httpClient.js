@@ -0,0 +1,385 @@
+/**
+ * Shared HTTP client for platform API calls. Wraps axios with per-account,
+ * per-endpoint rate limit tracking and retries of transient failures with
+ * jittered exponential backoff.
+ * @module services/httpClient
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const config = require("../config/environment");
+const { ProviderRateLimitError } = require("../utils/providerErrors");
+
+/**
+ * Platform names by API host, used in rate limit errors
+ */
+const PLATFORM_HOSTS = {
+  "api.twitter.com": "x",
+  "api.x.com": "x",
+  "upload.twitter.com": "x",
+  "api.linkedin.com": "linkedin",
+  "www.linkedin.com": "linkedin",
+  "substack.com": "substack",
+};
+
+/**
+ * Display names of platforms in error messages
+ */
+const PLATFORM_NAMES = { x: "X", linkedin: "LinkedIn", substack: "Substack" };
+
+/**
+ * Methods that are safe to repeat after the request may have reached the
+ * platform
+ */
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+
+/**
+ * Network errors raised before the request was sent, safe to retry for any
+ * method
+ */
+const CONNECT_ERROR_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+/**
+ * Network errors and statuses that may resolve on their own
+ */
+const TRANSIENT_ERROR_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED"];
+const TRANSIENT_STATUSES = [502, 503, 504];
+
+/**
+ * Wait assumed when a 429 response does not say when to retry
+ */
+const DEFAULT_RETRY_AFTER_MS = 60 * 1000;
+
+/**
+ * How often expired windows are swept out of the map
+ */
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Rate limit windows keyed by account and endpoint: { remaining, resetAt }
+const windows = new Map();
+let lastPrunedAt = Date.now();
+
+/**
+ * Waits for the given time
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Identifies the account a request is made for by hashing its
+ * Authorization header (or Cookie header, for Substack), so credentials are
+ * never kept in memory as keys
+ * @param {Object} [headers] - Request headers
+ * @returns {string} Account key
+ */
+function getAccountKey(headers = {}) {
+  const credentials =
+    headers.Authorization ||
+    headers.authorization ||
+    headers.Cookie ||
+    headers.cookie;
+  if (!credentials) {
+    return "anonymous";
+  }
+  return crypto
+    .createHash("sha256")
+    .update(credentials)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Gets the platform an API host belongs to. Substack publications are
+ * served from their own subdomains.
+ * @param {string} host - Request host
+ * @returns {string|undefined} Platform name
+ */
+function getPlatform(host) {
+  return (
+    PLATFORM_HOSTS[host] ||
+    (host.endsWith(".substack.com") ? "substack" : undefined)
+  );
+}
+
+/**
+ * Names the endpoint a URL belongs to. Numeric IDs and URNs in the path are
+ * replaced with ":id" so all posts share one window, like the platforms'
+ * own limits. Short numbers are kept, as they are API versions ("/2/").
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {string} Endpoint name, e.g. "DELETE api.twitter.com/2/tweets/:id"
+ */
+function getEndpoint(method, url) {
+  const { host, pathname } = new URL(url);
+  const path = pathname
+    .split("/")
+    .map((segment) =>
+      /^\d{5,}$/.test(segment) || /^urn(:|%3A)/i.test(segment) ? ":id" : segment
+    )
+    .join("/");
+  return `${method.toUpperCase()} ${host}${path}`;
+}
+
+/**
+ * Reads how long to wait from a response's rate limit headers: Retry-After
+ * (seconds or HTTP date) or X's x-rate-limit-reset (epoch seconds)
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Milliseconds to wait or null if not given
+ */
+function getRetryAfterMs(headers = {}) {
+  const retryAfter = headers["retry-after"];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds)
+      ? new Date(retryAfter).getTime() - Date.now()
+      : seconds * 1000;
+    if (!Number.isNaN(ms)) {
+      return Math.max(ms, 0);
+    }
+  }
+
+  const reset = Number(headers["x-rate-limit-reset"]);
+  if (reset) {
+    return Math.max(reset * 1000 - Date.now(), 0);
+  }
+
+  return null;
+}
+
+/**
+ * Stores an endpoint's window. Expired windows of other accounts and
+ * endpoints are dropped at most once per PRUNE_INTERVAL_MS, so the map only
+ * holds windows that still limit requests.
+ * @param {string} key - Window key
+ * @param {Object} window - `{ remaining, resetAt }`
+ * @returns {void}
+ */
+function setWindow(key, window) {
+  const now = Date.now();
+  if (now - lastPrunedAt >= PRUNE_INTERVAL_MS) {
+    lastPrunedAt = now;
+    for (const [windowKey, { resetAt }] of windows) {
+      if (resetAt <= now) {
+        windows.delete(windowKey);
+      }
+    }
+  }
+
+  windows.set(key, window);
+}
+
+/**
+ * Updates an endpoint's window from the x-rate-limit-* headers X sends with
+ * every response
+ * @param {string} key - Window key
+ * @param {Object} [headers] - Response headers
+ * @returns {void}
+ */
+function recordWindow(key, headers = {}) {
+  const remaining = headers["x-rate-limit-remaining"];
+  const reset = headers["x-rate-limit-reset"];
+  if (remaining === undefined || reset === undefined) {
+    return;
+  }
+
+  setWindow(key, {
+    remaining: Number(remaining),
+    resetAt: Number(reset) * 1000,
+  });
+}
+
+/**
+ * Gets how long an endpoint is still exhausted for
+ * @param {string} key - Window key
+ * @returns {number} Milliseconds until requests are allowed again (0 if now)
+ */
+function getBlockedMs(key) {
+  const window = windows.get(key);
+  if (!window) {
+    return 0;
+  }
+
+  const wait = window.resetAt - Date.now();
+  if (wait <= 0) {
+    windows.delete(key);
+    return 0;
+  }
+
+  return window.remaining > 0 ? 0 : wait;
+}
+
+/**
+ * Computes a retry delay with exponential backoff and full jitter
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number} Milliseconds to wait
+ */
+function getBackoffMs(attempt) {
+  const { retryBaseDelayMs, maxRetryDelayMs } = config.http;
+  const ceiling = Math.min(maxRetryDelayMs, retryBaseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Checks whether a failed request can be sent again
+ * @param {Error} error - Axios error
+ * @param {string} method - HTTP method (lowercase)
+ * @returns {boolean} True for transient failures
+ */
+function isTransient(error, method) {
+  if (!error.response) {
+    return (
+      CONNECT_ERROR_CODES.includes(error.code) ||
+      (IDEMPOTENT_METHODS.includes(method) &&
+        TRANSIENT_ERROR_CODES.includes(error.code))
+    );
+  }
+
+  return (
+    IDEMPOTENT_METHODS.includes(method) &&
+    TRANSIENT_STATUSES.includes(error.response.status)
+  );
+}
+
+/**
+ * Builds the error for an exhausted rate limit
+ * @param {string} endpoint - Endpoint name
+ * @param {number} waitMs - Milliseconds until the limit resets
+ * @returns {ProviderRateLimitError} Error with retryAfter in seconds
+ */
+function rateLimitError(endpoint, waitMs) {
+  const platform = getPlatform(endpoint.split(" ")[1].split("/")[0]);
+  const retryAfter = Math.max(Math.ceil(waitMs / 1000), 1);
+
+  return new ProviderRateLimitError(
+    `${
+      PLATFORM_NAMES[platform] || "API"
+    } rate limit exceeded for ${endpoint}, retry after ${retryAfter}s`,
+    { provider: platform || null, endpoint, retryAfter }
+  );
+}
+
+/**
+ * Sends a request. Requests to an endpoint whose rate limit is exhausted
+ * fail with a ProviderRateLimitError without reaching the platform, unless the
+ * window resets within config.http.maxRetryDelayMs, in which case they wait.
+ * Transient failures are retried up to config.http.maxRetries times.
+ * POST requests are only retried when they cannot have been processed
+ * (429 or connection refused), and streamed bodies (form data) never are.
+ * @param {Object} options - axios request config
+ * @param {string} [options.endpoint] - Rate limit endpoint name override
+ * @param {boolean} [options.retry=true] - Whether to retry transient failures
+ * @returns {Promise<Object>} axios response
+ * @throws {ProviderRateLimitError} If the rate limit is exhausted
+ * @throws {Error} axios error for other failures
+ */
+async function request(options) {
+  const { endpoint: endpointOverride, retry = true, ...axiosConfig } = options;
+  const method = (axiosConfig.method || "get").toLowerCase();
+  const endpoint = endpointOverride || getEndpoint(method, axiosConfig.url);
+  const key = `${getAccountKey(axiosConfig.headers)} ${endpoint}`;
+  const { maxRetries, maxRetryDelayMs } = config.http;
+  const replayable =
+    retry && !(axiosConfig.data && typeof axiosConfig.data.pipe === "function");
+
+  for (let attempt = 0; ; attempt++) {
+    const blockedMs = getBlockedMs(key);
+    if (blockedMs > 0) {
+      if (blockedMs > maxRetryDelayMs) {
+        throw rateLimitError(endpoint, blockedMs);
+      }
+      await sleep(blockedMs);
+    }
+
+    try {
+      const response = await axios.request({ ...axiosConfig, method });
+      recordWindow(key, response.headers);
+      return response;
+    } catch (error) {
+      const canRetry = replayable && attempt < maxRetries;
+
+      if (error.response?.status === 429) {
+        const waitMs =
+          getRetryAfterMs(error.response.headers) ?? DEFAULT_RETRY_AFTER_MS;
+        setWindow(key, { remaining: 0, resetAt: Date.now() + waitMs });
+
+        if (canRetry && waitMs <= maxRetryDelayMs) {
+          console.warn(
+            `⏳ Rate limited on ${endpoint}, retrying in ${waitMs}ms`
+          );
+          continue;
+        }
+        throw rateLimitError(endpoint, waitMs);
+      }
+
+      if (error.response) {
+        recordWindow(key, error.response.headers);
+      }
+
+      if (canRetry && isTransient(error, method)) {
+        const delay = getBackoffMs(attempt);
+        console.warn(
+          `🔁 Retrying ${endpoint} in ${delay}ms: ${
+            error.response?.status || error.code
+          }`
+        );
+        await sleep(delay);
+        continue;
+      }
+
+      throw error;
+    }
+  }
+}
+
+/**
+ * Sends a GET request
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Request config (see request)
+ * @returns {Promise<Object>} axios response
+ */
+function get(url, options = {}) {
+  return request({ ...options, method: "get", url });
+}
+
+/**
+ * Sends a POST request
+ * @param {string} url - Request URL
+ * @param {*} data - Request body
+ * @param {Object} [options] - Request config (see request)
+ * @returns {Promise<Object>} axios response
+ */
+function post(url, data, options = {}) {
+  return request({ ...options, method: "post", url, data });
+}
+
+/**
+ * Sends a PUT request
+ * @param {string} url - Request URL
+ * @param {*} data - Request body
+ * @param {Object} [options] - Request config (see request)
+ * @returns {Promise<Object>} axios response
+ */
+function put(url, data, options = {}) {
+  return request({ ...options, method: "put", url, data });
+}
+
+/**
+ * Sends a DELETE request
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Request config (see request)
+ * @returns {Promise<Object>} axios response
+ */
+function del(url, options = {}) {
+  return request({ ...options, method: "delete", url });
+}
+
+module.exports = {
+  request,
+  get,
+  post,
+  put,
+  delete: del,
+};
@@ -0,0 +1,169 @@
+/**
+ * Tests of retries and rate limit handling in the shared HTTP client
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Short retry delays keep the tests fast
+Object.assign(process.env, {
+  JWT_SECRET: "test-secret",
+  HTTP_MAX_RETRIES: "2",
+  HTTP_RETRY_BASE_DELAY_MS: "1",
+  HTTP_MAX_RETRY_DELAY_MS: "1000",
+});
+
+const axios = require("axios");
+const httpClient = require("./httpClient");
+const { ProviderRateLimitError } = require("../utils/providerErrors");
+
+describe("httpClient", () => {
+  const axiosRequest = axios.request;
+  let calls;
+  let outcomes;
+
+  before(() => {
+    // Each call takes the next outcome: an error is thrown, anything else is
+    // the response
+    axios.request = async (options) => {
+      calls.push(options);
+      const outcome = outcomes.shift() || { status: 200, headers: {} };
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      return outcome;
+    };
+  });
+
+  after(() => {
+    axios.request = axiosRequest;
+  });
+
+  beforeEach(() => {
+    calls = [];
+    outcomes = [];
+  });
+
+  /**
+   * Builds an axios error for a response status
+   * @param {number} status - HTTP status
+   * @param {Object} [headers] - Response headers
+   * @returns {Error} axios-like error
+   */
+  function statusError(status, headers = {}) {
+    return Object.assign(new Error(`Request failed with status ${status}`), {
+      response: { status, headers, data: {} },
+    });
+  }
+
+  /**
+   * Builds an axios network error
+   * @param {string} code - Error code
+   * @returns {Error} axios-like error
+   */
+  function networkError(code) {
+    return Object.assign(new Error(code), { code });
+  }
+
+  /**
+   * Builds request headers for an account
+   * @param {string} token - Bearer token
+   * @returns {Object} Request options
+   */
+  function as(token) {
+    return { headers: { Authorization: `Bearer ${token}` } };
+  }
+
+  it("retries a GET after transient failures", async () => {
+    outcomes = [statusError(503), networkError("ECONNRESET")];
+
+    const response = await httpClient.get(
+      "https://api.x.com/2/users/me",
+      as("a")
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 3);
+  });
+
+  it("gives up after the configured number of retries", async () => {
+    outcomes = [statusError(502), statusError(502), statusError(502)];
+
+    await assert.rejects(
+      httpClient.get("https://api.x.com/2/users/me", as("b")),
+      (error) => error.response.status === 502
+    );
+    assert.equal(calls.length, 3);
+  });
+
+  it("does not repeat a POST the platform may have processed", async () => {
+    outcomes = [statusError(503)];
+
+    await assert.rejects(
+      httpClient.post("https://api.x.com/2/tweets", {}, as("c")),
+      (error) => error.response.status === 503
+    );
+    assert.equal(calls.length, 1);
+  });
+
+  it("repeats a POST whose connection was refused", async () => {
+    outcomes = [networkError("ECONNREFUSED")];
+
+    await httpClient.post("https://api.x.com/2/tweets", {}, as("d"));
+
+    assert.equal(calls.length, 2);
+  });
+
+  it("waits out a short Retry-After and retries", async () => {
+    outcomes = [statusError(429, { "retry-after": "0" })];
+
+    const response = await httpClient.post(
+      "https://api.x.com/2/tweets",
+      {},
+      as("e")
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 2);
+  });
+
+  it("blocks the account's endpoint until a long Retry-After passes", async () => {
+    outcomes = [statusError(429, { "retry-after": "120" })];
+
+    await assert.rejects(
+      httpClient.post("https://api.x.com/2/tweets", {}, as("f")),
+      (error) =>
+        error instanceof ProviderRateLimitError &&
+        error.provider === "x" &&
+        error.retryAfter === 120
+    );
+    await assert.rejects(
+      httpClient.post("https://api.x.com/2/tweets", {}, as("f")),
+      ProviderRateLimitError
+    );
+    assert.equal(calls.length, 1);
+
+    await httpClient.post("https://api.x.com/2/tweets", {}, as("g"));
+    assert.equal(calls.length, 2);
+  });
+
+  it("blocks an endpoint whose x-rate-limit window is exhausted", async () => {
+    const reset = Math.floor(Date.now() / 1000) + 900;
+    outcomes = [
+      {
+        status: 200,
+        headers: {
+          "x-rate-limit-remaining": "0",
+          "x-rate-limit-reset": String(reset),
+        },
+      },
+    ];
+
+    await httpClient.delete("https://api.x.com/2/tweets/1234567890", as("h"));
+    await assert.rejects(
+      httpClient.delete("https://api.x.com/2/tweets/9876543210", as("h")),
+      ProviderRateLimitError
+    );
+    assert.equal(calls.length, 1);
+  });
+});
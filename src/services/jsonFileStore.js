@@ -0,0 +1,123 @@
+/**
+ * JSON file holding one object, written atomically with a backup
+ * @module services/jsonFileStore
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Reads and writes an object kept in a JSON file. Writes go to a temp file
+ * renamed over the file, keeping the previous file as a backup that a
+ * corrupted file is restored from, so a crash mid-write never truncates the
+ * data. Files are only readable by their owner. Writes of one instance land
+ * in call order; the file cannot be shared by several server instances.
+ */
+class JsonFileStore {
+  /**
+   * @param {string} file - Path of the JSON file
+   */
+  constructor(file) {
+    this.file = file;
+    this.backupFile = `${file}.bak`;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Reads and parses a JSON file
+   * @param {string} file - File path
+   * @returns {Promise<Object>} Parsed object
+   * @throws {Error} If the file is missing or not a JSON object
+   */
+  async readFile(file) {
+    const data = JSON.parse(await fs.readFile(file, "utf8"));
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error(`${path.basename(file)} does not contain an object`);
+    }
+    return data;
+  }
+
+  /**
+   * Reads the object, or an empty one if the file does not exist yet. A
+   * corrupted file is moved aside and replaced with the backup of the last
+   * good write.
+   * @returns {Promise<Object>} Stored object
+   * @throws {Error} If the file is corrupted and the backup is unusable, or
+   *   the file cannot be read
+   */
+  async read() {
+    try {
+      return await this.readFile(this.file);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      // Other I/O errors (permissions, ...) are not corruption
+      if (error.code) {
+        throw error;
+      }
+
+      console.error(
+        `⚠️ ${this.file} is corrupted (${error.message}), restoring from backup`
+      );
+
+      let data;
+      try {
+        data = await this.readFile(this.backupFile);
+      } catch (backupError) {
+        throw new Error(
+          `${this.file} is corrupted and its backup is unusable: ${backupError.message}`
+        );
+      }
+
+      const corruptFile = `${this.file}.corrupt-${Date.now()}`;
+      await fs.rename(this.file, corruptFile);
+      await this.write(data);
+      console.log(
+        `✅ Restored ${this.file} from backup (corrupted file kept as ${corruptFile})`
+      );
+      return data;
+    }
+  }
+
+  /**
+   * Writes the object. It is serialized right away, so later changes to it
+   * are not written by this call.
+   * @param {Object} data - Object to store
+   * @returns {Promise<void>} Resolves once written
+   */
+  write(data) {
+    const snapshot = JSON.stringify(data, null, 2);
+    const written = this.writeQueue.then(() => this.writeFile(snapshot));
+
+    // A failed write must not stop later ones
+    this.writeQueue = written.catch(() => {});
+    return written;
+  }
+
+  /**
+   * Writes serialized data to a temp file and renames it over the file, so
+   * readers never see a partial write. The previous file is kept as the
+   * backup.
+   * @param {string} snapshot - Serialized object
+   * @returns {Promise<void>}
+   */
+  async writeFile(snapshot) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, snapshot, { mode: 0o600 });
+
+    try {
+      await fs.copyFile(this.file, this.backupFile);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+
+    await fs.rename(tempFile, this.file);
+  }
+}
+
+module.exports = JsonFileStore;
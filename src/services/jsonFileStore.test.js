@@ -0,0 +1,101 @@
+/**
+ * Tests of the atomic JSON file store
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JsonFileStore = require("./jsonFileStore");
+const TokenVault = require("./tokenVault");
+
+describe("JsonFileStore", () => {
+  let storePath;
+  let file;
+  let store;
+
+  beforeEach(() => {
+    storePath = fs.mkdtempSync(path.join(os.tmpdir(), "json-store-"));
+    file = path.join(storePath, "nested", "data.json");
+    store = new JsonFileStore(file);
+  });
+
+  afterEach(() => {
+    fs.rmSync(storePath, { recursive: true, force: true });
+  });
+
+  it("reads an empty object before the first write", async () => {
+    assert.deepEqual(await store.read(), {});
+  });
+
+  it("writes owner-only files without leaving temp files", async () => {
+    await store.write({ a: 1 });
+    await store.write({ a: 2 });
+
+    assert.deepEqual(await store.read(), { a: 2 });
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    assert.deepEqual(fs.readdirSync(path.dirname(file)).sort(), [
+      "data.json",
+      "data.json.bak",
+    ]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.bak`)), { a: 1 });
+  });
+
+  it("writes the object as it was when write was called", async () => {
+    const data = { a: 1 };
+    const written = store.write(data);
+    data.a = 2;
+    await written;
+
+    assert.deepEqual(await store.read(), { a: 1 });
+  });
+
+  it("keeps writing after a failed write", async () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.mkdirSync(`${file}.${process.pid}.tmp`);
+
+    await assert.rejects(store.write({ a: 1 }));
+    fs.rmdirSync(`${file}.${process.pid}.tmp`);
+    await store.write({ a: 2 });
+
+    assert.deepEqual(await store.read(), { a: 2 });
+  });
+
+  it("restores a corrupted file from the backup", async () => {
+    await store.write({ a: 1 });
+    await store.write({ a: 2 });
+    fs.writeFileSync(file, '{"a": ');
+
+    assert.deepEqual(await store.read(), { a: 1 });
+    assert.deepEqual(JSON.parse(fs.readFileSync(file)), { a: 1 });
+
+    const corrupt = fs
+      .readdirSync(path.dirname(file))
+      .filter((name) => name.startsWith("data.json.corrupt-"));
+    assert.equal(corrupt.length, 1);
+  });
+
+  it("refuses to read a corrupted file without a usable backup", async () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, "[]");
+
+    await assert.rejects(store.read(), /corrupted/);
+    assert.equal(fs.readFileSync(file, "utf8"), "[]");
+  });
+
+  it("keeps a store from erasing a corrupted file", async () => {
+    const vaultFile = path.join(storePath, "credentials.json");
+    fs.writeFileSync(vaultFile, "not json");
+    const vault = new TokenVault({ storePath, encryptionKey: "key" });
+
+    await assert.rejects(
+      vault.storeCredentials({
+        provider: "x",
+        providerUserId: "1",
+        credentials: { accessToken: "secret" },
+      })
+    );
+    assert.equal(fs.readFileSync(vaultFile, "utf8"), "not json");
+  });
+});
@@ -0,0 +1,361 @@
+/**
+ * LinkedIn client for the versioned REST Posts, Images and Videos APIs
+ * @module services/linkedinRestClient
+ */
+
+const config = require("../config/environment");
+const httpClient = require("./httpClient");
+const { toProviderError } = require("../utils/providerErrors");
+const { detectMediaType } = require("../utils/mediaType");
+
+/**
+ * LinkedIn REST API endpoints
+ */
+const REST_ENDPOINTS = {
+  POSTS: "https://api.linkedin.com/rest/posts",
+  IMAGES: "https://api.linkedin.com/rest/images",
+  VIDEOS: "https://api.linkedin.com/rest/videos",
+};
+
+/**
+ * Legacy UGC visibility values mapped to the Posts API
+ */
+const VISIBILITY_MAP = {
+  PUBLIC: "PUBLIC",
+  CONNECTIONS: "CONNECTIONS",
+  LOGGED_IN_MEMBERS: "LOGGED_IN",
+  LOGGED_IN: "LOGGED_IN",
+};
+
+/**
+ * Builds the headers every versioned REST request needs
+ * @param {string} accessToken - LinkedIn access token
+ * @returns {Object} Request headers
+ */
+function restHeaders(accessToken) {
+  return {
+    Authorization: `Bearer ${accessToken}`,
+    "Content-Type": "application/json",
+    "LinkedIn-Version": config.linkedin.apiVersion,
+    "X-Restli-Protocol-Version": "2.0.0",
+  };
+}
+
+/**
+ * Extracts the most specific error message from a LinkedIn API error
+ * @param {Error} error - Axios error
+ * @returns {string} Error message
+ */
+function getErrorMessage(error) {
+  return (
+    error.response?.data?.message ||
+    error.response?.data?.error_description ||
+    error.response?.data?.error ||
+    error.message
+  );
+}
+
+/**
+ * Converts a media URN to the URN type the Posts API expects. Assets from
+ * the legacy /v2/assets API share their ID with the REST image and video.
+ * @param {string} urn - Image, video or digitalmediaAsset URN
+ * @param {string} mediaType - Post media type (IMAGE or VIDEO)
+ * @returns {string} urn:li:image:... or urn:li:video:...
+ */
+function toMediaUrn(urn, mediaType) {
+  if (!urn.startsWith("urn:li:digitalmediaAsset:")) {
+    return urn;
+  }
+  const id = urn.split(":").pop();
+  return mediaType === "VIDEO" ? `urn:li:video:${id}` : `urn:li:image:${id}`;
+}
+
+/**
+ * Maps the existing createPost payload onto the Posts API content field
+ * @param {Object} postData - Post content (mediaType, media, articleUrl, ...)
+ * @returns {Object|undefined} Posts API content or undefined for text posts
+ */
+function buildContent(postData) {
+  const mediaType = postData.mediaType || "NONE";
+  const media = postData.media || [];
+
+  if (mediaType === "ARTICLE" && postData.articleUrl) {
+    return {
+      article: {
+        source: postData.articleUrl,
+        ...(postData.articleTitle && { title: postData.articleTitle }),
+        ...(postData.articleDescription && {
+          description: postData.articleDescription,
+        }),
+      },
+    };
+  }
+
+  if ((mediaType === "IMAGE" || mediaType === "VIDEO") && media.length > 0) {
+    const items = media.map((mediaItem) => ({
+      id: toMediaUrn(mediaItem.assetUrn || mediaItem.id, mediaType),
+      // Descriptions of uploaded images are their alt text
+      ...(mediaType === "IMAGE" &&
+        mediaItem.description && { altText: mediaItem.description }),
+      ...(mediaItem.title && { title: mediaItem.title }),
+    }));
+
+    if (items.length > 1) {
+      return {
+        multiImage: {
+          images: items.map(({ id, altText }) => ({
+            id,
+            ...(altText && { altText }),
+          })),
+        },
+      };
+    }
+    return { media: items[0] };
+  }
+
+  return undefined;
+}
+
+/**
+ * Creates a post through the Posts API
+ * @param {string} accessToken - LinkedIn access token
+ * @param {string} authorUrn - Author URN (person or organization)
+ * @param {Object} postData - Post content and settings (same shape as the
+ *   legacy createPost payload)
+ * @returns {Promise<Object>} Post creation response
+ * @throws {Error} If post creation fails
+ */
+async function createPost(accessToken, authorUrn, postData) {
+  try {
+    const content = buildContent(postData);
+
+    const payload = {
+      author: authorUrn,
+      commentary: postData.text,
+      visibility: VISIBILITY_MAP[postData.visibility] || "PUBLIC",
+      distribution: {
+        feedDistribution: "MAIN_FEED",
+        targetEntities: [],
+        thirdPartyDistributionChannels: [],
+      },
+      ...(content && { content }),
+      lifecycleState: "PUBLISHED",
+      isReshareDisabledByAuthor: false,
+    };
+
+    const response = await httpClient.post(REST_ENDPOINTS.POSTS, payload, {
+      headers: restHeaders(accessToken),
+    });
+
+    const postId = response.headers["x-restli-id"] || response.data?.id;
+
+    return {
+      success: true,
+      postId,
+      postUrl: `https://www.linkedin.com/feed/update/${postId}`,
+      message: "Post created successfully",
+    };
+  } catch (error) {
+    throw toProviderError(
+      "linkedin",
+      error,
+      `Post creation failed: ${getErrorMessage(error)}`
+    );
+  }
+}
+
+/**
+ * Updates the text of a published post. The Posts API only allows editing
+ * the commentary; media and articles are fixed once posted.
+ * @param {string} accessToken - LinkedIn access token
+ * @param {string} postUrn - Post URN (urn:li:share:... or urn:li:ugcPost:...)
+ * @param {Object} updates - Fields to change
+ * @param {string} updates.text - New post text
+ * @returns {Promise<Object>} Update response
+ * @throws {Error} If the update fails
+ */
+async function updatePost(accessToken, postUrn, updates) {
+  try {
+    await httpClient.post(
+      `${REST_ENDPOINTS.POSTS}/${encodeURIComponent(postUrn)}`,
+      { patch: { $set: { commentary: updates.text } } },
+      {
+        headers: {
+          ...restHeaders(accessToken),
+          "X-RestLi-Method": "PARTIAL_UPDATE",
+        },
+      }
+    );
+
+    return {
+      success: true,
+      postId: postUrn,
+      postUrl: `https://www.linkedin.com/feed/update/${postUrn}`,
+      message: "Post updated successfully",
+    };
+  } catch (error) {
+    throw toProviderError(
+      "linkedin",
+      error,
+      `Post update failed: ${getErrorMessage(error)}`
+    );
+  }
+}
+
+/**
+ * Deletes a post through the Posts API
+ * @param {string} accessToken - LinkedIn access token
+ * @param {string} postUrn - Post URN (urn:li:share:... or urn:li:ugcPost:...)
+ * @returns {Promise<void>}
+ * @throws {Error} If deletion fails
+ */
+async function deletePost(accessToken, postUrn) {
+  try {
+    await httpClient.delete(
+      `${REST_ENDPOINTS.POSTS}/${encodeURIComponent(postUrn)}`,
+      {
+        headers: {
+          ...restHeaders(accessToken),
+          "X-RestLi-Method": "DELETE",
+        },
+      }
+    );
+  } catch (error) {
+    throw toProviderError(
+      "linkedin",
+      error,
+      `Post deletion failed: ${getErrorMessage(error)}`
+    );
+  }
+}
+
+/**
+ * Uploads an image through the Images API
+ * @param {string} accessToken - LinkedIn access token
+ * @param {string} ownerUrn - Owner URN (person or organization)
+ * @param {Buffer} fileBuffer - File buffer
+ * @param {string} contentType - File MIME type
+ * @returns {Promise<string>} Image URN
+ */
+async function uploadImage(accessToken, ownerUrn, fileBuffer, contentType) {
+  const response = await httpClient.post(
+    `${REST_ENDPOINTS.IMAGES}?action=initializeUpload`,
+    { initializeUploadRequest: { owner: ownerUrn } },
+    { headers: restHeaders(accessToken) }
+  );
+  const { uploadUrl, image } = response.data.value;
+
+  await httpClient.put(uploadUrl, fileBuffer, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": contentType,
+    },
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+  });
+
+  return image;
+}
+
+/**
+ * Uploads a video through the Videos API, part by part as instructed by
+ * LinkedIn, then finalizes it
+ * @param {string} accessToken - LinkedIn access token
+ * @param {string} ownerUrn - Owner URN (person or organization)
+ * @param {Buffer} fileBuffer - File buffer
+ * @returns {Promise<string>} Video URN
+ */
+async function uploadVideo(accessToken, ownerUrn, fileBuffer) {
+  const response = await httpClient.post(
+    `${REST_ENDPOINTS.VIDEOS}?action=initializeUpload`,
+    {
+      initializeUploadRequest: {
+        owner: ownerUrn,
+        fileSizeBytes: fileBuffer.length,
+        uploadCaptions: false,
+        uploadThumbnail: false,
+      },
+    },
+    { headers: restHeaders(accessToken) }
+  );
+  const { video, uploadInstructions, uploadToken } = response.data.value;
+
+  const uploadedPartIds = [];
+  for (const { uploadUrl, firstByte, lastByte } of uploadInstructions) {
+    const partResponse = await httpClient.put(
+      uploadUrl,
+      fileBuffer.subarray(firstByte, lastByte + 1),
+      {
+        headers: { "Content-Type": "application/octet-stream" },
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+      }
+    );
+    uploadedPartIds.push(partResponse.headers.etag);
+  }
+
+  await httpClient.post(
+    `${REST_ENDPOINTS.VIDEOS}?action=finalizeUpload`,
+    {
+      finalizeUploadRequest: {
+        video,
+        uploadToken: uploadToken || "",
+        uploadedPartIds,
+      },
+    },
+    { headers: restHeaders(accessToken) }
+  );
+
+  return video;
+}
+
+/**
+ * Uploads media and returns its URN in the same shape as the legacy client
+ * @param {string} accessToken - LinkedIn access token
+ * @param {string} ownerUrn - Owner URN (person or organization)
+ * @param {Buffer} fileBuffer - File buffer
+ * @param {string} mediaType - Media type ('image' or 'video')
+ * @param {string} [title] - Media title
+ * @param {string} [description] - Media description (alt text for images)
+ * @returns {Promise<Object>} Media info ({ assetUrn, title, description, contentType })
+ * @throws {Error} If upload process fails
+ */
+async function uploadMedia(
+  accessToken,
+  ownerUrn,
+  fileBuffer,
+  mediaType,
+  title,
+  description
+) {
+  try {
+    const format = detectMediaType(fileBuffer);
+    const contentType = format ? format.mimeType : "application/octet-stream";
+
+    const assetUrn =
+      mediaType === "video"
+        ? await uploadVideo(accessToken, ownerUrn, fileBuffer)
+        : await uploadImage(accessToken, ownerUrn, fileBuffer, contentType);
+
+    return {
+      assetUrn,
+      title,
+      description,
+      contentType: format ? format.mimeType : null,
+    };
+  } catch (error) {
+    throw toProviderError(
+      "linkedin",
+      error,
+      `Media upload process failed: ${getErrorMessage(error)}`
+    );
+  }
+}
+
+module.exports = {
+  REST_ENDPOINTS,
+  createPost,
+  updatePost,
+  deletePost,
+  uploadMedia,
+};
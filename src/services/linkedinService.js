@@ -3,18 +3,53 @@
  * @module services/linkedinService
  */
 
-const axios = require("axios");
 const crypto = require("crypto");
 const config = require("../config/environment");
+const httpClient = require("./httpClient");
+const { toProviderError } = require("../utils/providerErrors");
+const { detectMediaType } = require("../utils/mediaType");
+const linkedinRestClient = require("./linkedinRestClient");
 
 /**
  * LinkedIn API endpoints
  */
 const ENDPOINTS = {
   TOKEN: "https://www.linkedin.com/oauth/v2/accessToken",
+  REVOKE: "https://www.linkedin.com/oauth/v2/revoke",
   USERINFO: "https://api.linkedin.com/v2/userinfo",
   POSTS: "https://api.linkedin.com/v2/ugcPosts",
   ASSETS: "https://api.linkedin.com/v2/assets",
+  ORGANIZATION_ACLS: "https://api.linkedin.com/v2/organizationAcls",
+};
+
+/**
+ * Pattern of organization (company page) URNs
+ */
+const ORGANIZATION_URN_PATTERN = /^urn:li:organization:\d+$/;
+
+/**
+ * Pattern of post URNs returned by createPost
+ */
+const POST_URN_PATTERN = /^urn:li:(share|ugcPost):\d+$/;
+
+/**
+ * Post visibilities accepted by createPost
+ */
+const VISIBILITIES = ["PUBLIC", "CONNECTIONS", "LOGGED_IN_MEMBERS"];
+
+/**
+ * Post media types accepted by createPost
+ */
+const MEDIA_TYPES = ["NONE", "ARTICLE", "IMAGE", "VIDEO"];
+
+/**
+ * Maximum media size per media kind in bytes (image, gif, video); GIFs are
+ * uploaded as images
+ */
+const MAX_MEDIA_SIZES = {
+  image: 20 * 1024 * 1024,
+  gif: 20 * 1024 * 1024,
+  video: 100 * 1024 * 1024,
 };
 
 /**
@@ -42,7 +77,7 @@ function generateAuthUrl(state) {
  */
 async function exchangeCodeForToken(code) {
   try {
-    const response = await axios.post(ENDPOINTS.TOKEN, null, {
+    const response = await httpClient.post(ENDPOINTS.TOKEN, null, {
       params: {
         grant_type: "authorization_code",
         code,
@@ -57,7 +92,9 @@ async function exchangeCodeForToken(code) {
 
     return response.data;
   } catch (error) {
-    throw new Error(
+    throw toProviderError(
+      "linkedin",
+      error,
       `Token exchange failed: ${
         error.response?.data?.error_description || error.message
       }`
@@ -65,6 +102,67 @@ async function exchangeCodeForToken(code) {
   }
 }
 
+/**
+ * Refreshes an access token using a refresh token
+ * @param {string} refreshToken - LinkedIn refresh token
+ * @returns {Promise<Object>} New token response (access_token, expires_in, refresh_token, refresh_token_expires_in)
+ * @throws {Error} If token refresh fails
+ */
+async function refreshAccessToken(refreshToken) {
+  try {
+    const response = await httpClient.post(ENDPOINTS.TOKEN, null, {
+      params: {
+        grant_type: "refresh_token",
+        refresh_token: refreshToken,
+        client_id: config.linkedin.clientId,
+        client_secret: config.linkedin.clientSecret,
+      },
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+
+    return response.data;
+  } catch (error) {
+    throw toProviderError(
+      "linkedin",
+      error,
+      `LinkedIn token refresh failed: ${
+        error.response?.data?.error_description || error.message
+      }`
+    );
+  }
+}
+
+/**
+ * Revokes an access token so it can no longer be used
+ * @param {string} accessToken - LinkedIn access token to revoke
+ * @returns {Promise<void>}
+ * @throws {Error} If revocation fails
+ */
+async function revokeAccessToken(accessToken) {
+  try {
+    await httpClient.post(ENDPOINTS.REVOKE, null, {
+      params: {
+        token: accessToken,
+        client_id: config.linkedin.clientId,
+        client_secret: config.linkedin.clientSecret,
+      },
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+  } catch (error) {
+    throw toProviderError(
+      "linkedin",
+      error,
+      `LinkedIn token revocation failed: ${
+        error.response?.data?.error_description || error.message
+      }`
+    );
+  }
+}
+
 /**
  * Fetches user profile from LinkedIn using OpenID Connect
  * @param {string} accessToken - LinkedIn access token
@@ -73,7 +171,7 @@ async function exchangeCodeForToken(code) {
  */
 async function getUserProfile(accessToken) {
   try {
-    const response = await axios.get(ENDPOINTS.USERINFO, {
+    const response = await httpClient.get(ENDPOINTS.USERINFO, {
       headers: {
         Authorization: `Bearer ${accessToken}`,
       },
@@ -92,14 +190,112 @@ async function getUserProfile(accessToken) {
       emailVerified: userInfo.email_verified,
     };
   } catch (error) {
-    throw new Error(
+    throw toProviderError(
+      "linkedin",
+      error,
       `Profile fetch failed: ${error.response?.data?.message || error.message}`
     );
   }
 }
 
 /**
- * Creates a LinkedIn post with optional media using OpenID Connect user info
+ * Lists the organizations (company pages) the member administers
+ * @param {string} accessToken - LinkedIn access token with organization scopes
+ * @returns {Promise<Array<Object>>} Organizations ({ organizationUrn, name, vanityName, role })
+ * @throws {Error} If the organization fetch fails
+ */
+async function listAdministeredOrganizations(accessToken) {
+  try {
+    const response = await httpClient.get(ENDPOINTS.ORGANIZATION_ACLS, {
+      params: {
+        q: "roleAssignee",
+        role: "ADMINISTRATOR",
+        state: "APPROVED",
+        projection:
+          "(elements*(organization,role,state,organization~(localizedName,vanityName)))",
+      },
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "X-Restli-Protocol-Version": "2.0.0",
+      },
+    });
+
+    return (response.data.elements || []).map((acl) => ({
+      organizationUrn: acl.organization,
+      name: acl["organization~"]?.localizedName || null,
+      vanityName: acl["organization~"]?.vanityName || null,
+      role: acl.role,
+    }));
+  } catch (error) {
+    throw toProviderError(
+      "linkedin",
+      error,
+      `Organization fetch failed: ${
+        error.response?.data?.message || error.message
+      }`
+    );
+  }
+}
+
+/**
+ * Checks whether a URN identifies an organization (company page)
+ * @param {string} urn - URN to check
+ * @returns {boolean} True for urn:li:organization:<id>
+ */
+function isOrganizationUrn(urn) {
+  return typeof urn === "string" && ORGANIZATION_URN_PATTERN.test(urn);
+}
+
+/**
+ * Checks whether a URN identifies a post
+ * @param {string} urn - URN to check
+ * @returns {boolean} True for urn:li:share:<id> and urn:li:ugcPost:<id>
+ */
+function isPostUrn(urn) {
+  return typeof urn === "string" && POST_URN_PATTERN.test(urn);
+}
+
+/**
+ * Checks whether posting goes through the versioned REST API
+ * @returns {boolean} True if config.linkedin.api is "rest"
+ */
+function usesRestApi() {
+  return config.linkedin.api === "rest";
+}
+
+/**
+ * Gets the member's author URN from OpenID Connect user info
+ * @param {string} accessToken - LinkedIn access token
+ * @returns {Promise<string>} Person URN
+ * @throws {Error} If user info fetch fails
+ */
+async function getAuthorUrn(accessToken) {
+  try {
+    const userInfoResponse = await httpClient.get(ENDPOINTS.USERINFO, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+
+    // The 'sub' field contains the person identifier
+    const personId = userInfoResponse.data.sub;
+    return personId.startsWith("urn:li:person:")
+      ? personId
+      : `urn:li:person:${personId}`;
+  } catch (error) {
+    throw toProviderError(
+      "linkedin",
+      error,
+      `User info fetch failed: ${
+        error.response?.data?.message || error.message
+      }`
+    );
+  }
+}
+
+/**
+ * Creates a LinkedIn post with optional media using OpenID Connect user info.
+ * Goes through the versioned Posts API when config.linkedin.api is "rest".
  * @param {string} accessToken - LinkedIn access token
  * @param {Object} postData - Post content and settings
  * @param {string} postData.text - Post text content
@@ -109,30 +305,23 @@ async function getUserProfile(accessToken) {
  * @param {string} [postData.articleUrl] - URL for article sharing
  * @param {string} [postData.articleTitle] - Title for article sharing
  * @param {string} [postData.articleDescription] - Description for article sharing
+ * @param {string} [postData.organizationUrn] - Organization to post as instead
+ *   of the member
  * @returns {Promise<Object>} Post creation response
  * @throws {Error} If post creation fails
  */
 async function createPost(accessToken, postData) {
-  try {
-    // Get the user's LinkedIn person ID from OpenID Connect userinfo
-    const userInfoResponse = await axios.get(ENDPOINTS.USERINFO, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-      },
-    });
-
-    // The 'sub' field contains the person identifier
-    const personId = userInfoResponse.data.sub;
+  if (usesRestApi()) {
+    return linkedinRestClient.createPost(
+      accessToken,
+      postData.organizationUrn || (await getAuthorUrn(accessToken)),
+      postData
+    );
+  }
 
-    // Format the author URN correctly for UGC Posts API
-    let authorUrn;
-    if (personId.startsWith("urn:li:person:")) {
-      // Already in URN format
-      authorUrn = personId;
-    } else {
-      // Convert to URN format
-      authorUrn = `urn:li:person:${personId}`;
-    }
+  try {
+    const authorUrn =
+      postData.organizationUrn || (await getAuthorUrn(accessToken));
 
     // Determine media type and prepare share content
     const mediaType = postData.mediaType || "NONE";
@@ -200,7 +389,7 @@ async function createPost(accessToken, postData) {
     };
 
     // Create the post
-    const response = await axios.post(ENDPOINTS.POSTS, postPayload, {
+    const response = await httpClient.post(ENDPOINTS.POSTS, postPayload, {
       headers: {
         Authorization: `Bearer ${accessToken}`,
         "Content-Type": "application/json",
@@ -217,7 +406,9 @@ async function createPost(accessToken, postData) {
       message: "Post created successfully",
     };
   } catch (error) {
-    throw new Error(
+    throw toProviderError(
+      "linkedin",
+      error,
       `Post creation failed: ${
         error.response?.data?.message ||
         error.response?.data?.error_description ||
@@ -228,15 +419,65 @@ async function createPost(accessToken, postData) {
   }
 }
 
+/**
+ * Updates the text of a published post. The UGC API cannot edit posts, so
+ * this always goes through the versioned Posts API.
+ * @param {string} accessToken - LinkedIn access token
+ * @param {string} postUrn - Post URN
+ * @param {Object} updates - Fields to change
+ * @param {string} updates.text - New post text
+ * @returns {Promise<Object>} Update response
+ * @throws {Error} If the update fails
+ */
+async function updatePost(accessToken, postUrn, updates) {
+  return linkedinRestClient.updatePost(accessToken, postUrn, updates);
+}
+
+/**
+ * Deletes a post. Goes through the versioned Posts API when
+ * config.linkedin.api is "rest".
+ * @param {string} accessToken - LinkedIn access token
+ * @param {string} postUrn - Post URN
+ * @returns {Promise<void>}
+ * @throws {Error} If deletion fails
+ */
+async function deletePost(accessToken, postUrn) {
+  if (usesRestApi()) {
+    return linkedinRestClient.deletePost(accessToken, postUrn);
+  }
+
+  try {
+    await httpClient.delete(
+      `${ENDPOINTS.POSTS}/${encodeURIComponent(postUrn)}`,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "X-Restli-Protocol-Version": "2.0.0",
+        },
+      }
+    );
+  } catch (error) {
+    throw toProviderError(
+      "linkedin",
+      error,
+      `Post deletion failed: ${
+        error.response?.data?.message ||
+        error.response?.data?.error_description ||
+        error.message
+      }`
+    );
+  }
+}
+
 /**
  * Registers an asset for upload (image or video)
  * @param {string} accessToken - LinkedIn access token
- * @param {string} personUrn - Person URN
+ * @param {string} ownerUrn - Owner URN (person or organization)
  * @param {string} mediaType - Media type ('image' or 'video')
  * @returns {Promise<Object>} Asset registration response
  * @throws {Error} If asset registration fails
  */
-async function registerAsset(accessToken, personUrn, mediaType) {
+async function registerAsset(accessToken, ownerUrn, mediaType) {
   try {
     const recipe =
       mediaType === "video"
@@ -246,7 +487,7 @@ async function registerAsset(accessToken, personUrn, mediaType) {
     const payload = {
       registerUploadRequest: {
         recipes: [recipe],
-        owner: personUrn,
+        owner: ownerUrn,
         serviceRelationships: [
           {
             relationshipType: "OWNER",
@@ -256,7 +497,7 @@ async function registerAsset(accessToken, personUrn, mediaType) {
       },
     };
 
-    const response = await axios.post(
+    const response = await httpClient.post(
       `${ENDPOINTS.ASSETS}?action=registerUpload`,
       payload,
       {
@@ -270,7 +511,9 @@ async function registerAsset(accessToken, personUrn, mediaType) {
 
     return response.data.value;
   } catch (error) {
-    throw new Error(
+    throw toProviderError(
+      "linkedin",
+      error,
       `Asset registration failed: ${
         error.response?.data?.message ||
         error.response?.data?.error_description ||
@@ -285,28 +528,38 @@ async function registerAsset(accessToken, personUrn, mediaType) {
  * @param {string} uploadUrl - Upload URL from asset registration
  * @param {Buffer} fileBuffer - File buffer
  * @param {string} accessToken - LinkedIn access token
+ * @param {string} [contentType="application/octet-stream"] - File MIME type
  * @returns {Promise<void>}
  * @throws {Error} If upload fails
  */
-async function uploadMediaFile(uploadUrl, fileBuffer, accessToken) {
+async function uploadMediaFile(
+  uploadUrl,
+  fileBuffer,
+  accessToken,
+  contentType = "application/octet-stream"
+) {
   try {
-    await axios.put(uploadUrl, fileBuffer, {
+    await httpClient.put(uploadUrl, fileBuffer, {
       headers: {
         Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/octet-stream",
+        "Content-Type": contentType,
       },
     });
   } catch (error) {
-    throw new Error(
+    throw toProviderError(
+      "linkedin",
+      error,
       `Media upload failed: ${error.response?.data?.message || error.message}`
     );
   }
 }
 
 /**
- * Uploads media and returns asset URN
+ * Uploads media and returns asset URN. Goes through the Images and Videos
+ * APIs when config.linkedin.api is "rest".
  * @param {string} accessToken - LinkedIn access token
- * @param {string} personUrn - Person URN
+ * @param {string} ownerUrn - Owner URN: the member's person URN, or the
+ *   organization URN for media posted as a company page
  * @param {Buffer} fileBuffer - File buffer
  * @param {string} mediaType - Media type ('image' or 'video')
  * @param {string} [title] - Media title
@@ -316,31 +569,85 @@ async function uploadMediaFile(uploadUrl, fileBuffer, accessToken) {
  */
 async function uploadMedia(
   accessToken,
-  personUrn,
+  ownerUrn,
   fileBuffer,
   mediaType,
   title,
   description
 ) {
+  if (usesRestApi()) {
+    return linkedinRestClient.uploadMedia(
+      accessToken,
+      ownerUrn,
+      fileBuffer,
+      mediaType,
+      title,
+      description
+    );
+  }
+
   try {
     // Step 1: Register the asset
-    const assetInfo = await registerAsset(accessToken, personUrn, mediaType);
+    const assetInfo = await registerAsset(accessToken, ownerUrn, mediaType);
 
     // Step 2: Upload the file
     const uploadUrl =
       assetInfo.uploadMechanism[
         "com.linkedin.digitalmedia.uploading.MediaUploadHttpRequest"
       ].uploadUrl;
-    await uploadMediaFile(uploadUrl, fileBuffer, accessToken);
+    const format = detectMediaType(fileBuffer);
+    await uploadMediaFile(
+      uploadUrl,
+      fileBuffer,
+      accessToken,
+      format ? format.mimeType : undefined
+    );
 
     // Step 3: Return asset info
     return {
       assetUrn: assetInfo.asset,
       title,
       description,
+      contentType: format ? format.mimeType : null,
     };
   } catch (error) {
-    throw new Error(`Media upload process failed: ${error.message}`);
+    throw toProviderError(
+      "linkedin",
+      error,
+      `Media upload process failed: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Deletes an uploaded asset that will not be used in a post
+ * @param {string} accessToken - LinkedIn access token
+ * @param {string} assetUrn - Asset URN (urn:li:digitalmediaAsset:...)
+ * @returns {Promise<void>}
+ * @throws {Error} If deletion fails
+ */
+async function deleteAsset(accessToken, assetUrn) {
+  // The REST Images and Videos APIs have no delete; media that is never
+  // attached to a post is simply not shown anywhere
+  if (!assetUrn.startsWith("urn:li:digitalmediaAsset:")) {
+    return;
+  }
+
+  try {
+    const assetId = assetUrn.split(":").pop();
+    await httpClient.delete(`${ENDPOINTS.ASSETS}/${assetId}`, {
+      endpoint: "DELETE api.linkedin.com/v2/assets/:id",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "X-Restli-Protocol-Version": "2.0.0",
+      },
+    });
+  } catch (error) {
+    throw toProviderError(
+      "linkedin",
+      error,
+      `Asset deletion failed: ${error.response?.data?.message || error.message}`
+    );
   }
 }
 
@@ -353,12 +660,25 @@ function generateState() {
 }
 
 module.exports = {
+  ORGANIZATION_URN_PATTERN,
+  POST_URN_PATTERN,
+  VISIBILITIES,
+  MEDIA_TYPES,
+  MAX_MEDIA_SIZES,
   generateAuthUrl,
   exchangeCodeForToken,
+  refreshAccessToken,
+  revokeAccessToken,
   getUserProfile,
+  listAdministeredOrganizations,
+  isOrganizationUrn,
+  isPostUrn,
   createPost,
+  updatePost,
+  deletePost,
   uploadMedia,
   registerAsset,
   uploadMediaFile,
+  deleteAsset,
   generateState,
 };
@@ -0,0 +1,160 @@
+/**
+ * Post history service recording every post made through the API
+ * @module services/postHistoryService
+ */
+
+const crypto = require("crypto");
+const config = require("../config/environment");
+const accountService = require("./accountService");
+const PostHistoryStore = require("./postHistoryStore");
+
+/**
+ * Post lifecycle states
+ */
+const POST_STATUS = {
+  PUBLISHED: "published",
+  DRAFT: "draft",
+  FAILED: "failed",
+  DELETED: "deleted",
+};
+
+/**
+ * Platforms posts are recorded for
+ */
+const PLATFORMS = ["linkedin", "x", "substack"];
+
+// Post history backend (file-backed unless replaced with setStore)
+let store = new PostHistoryStore(config.postHistory.storePath);
+
+/**
+ * Replaces the post history backend, e.g. with a database-backed store
+ * implementing the PostHistoryStore methods
+ * @param {Object} customStore - Store implementation
+ */
+function setStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Hashes post content so identical posts can be spotted without storing
+ * the full text
+ * @param {string|Object} content - Post text or structured content
+ * @returns {string|null} SHA-256 hex digest or null without content
+ */
+function hashContent(content) {
+  if (content === undefined || content === null) {
+    return null;
+  }
+  const text = typeof content === "string" ? content : JSON.stringify(content);
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Records the outcome of a post. Failures to record are logged, not thrown,
+ * so history never breaks posting.
+ * @param {Object} entry - Post outcome
+ * @param {Object|null} entry.user - Decoded JWT of the author, if known
+ * @param {string} entry.platform - Platform name
+ * @param {string|Object} entry.content - Posted text or content
+ * @param {string} entry.status - Post status (see POST_STATUS)
+ * @param {string} [entry.platformPostId] - Post ID on the platform
+ * @param {string} [entry.postUrl] - Public URL of the post
+ * @param {Array<string>} [entry.mediaIds] - Attached media IDs or URNs
+ * @param {string} [entry.error] - Error message of a failed post
+ * @returns {Promise<Object|null>} Stored record or null if recording failed
+ */
+async function recordPost(entry) {
+  try {
+    const now = new Date().toISOString();
+    const { user } = entry;
+
+    const record = {
+      id: crypto.randomUUID(),
+      ownerId: user ? accountService.getOwnerId(user) : null,
+      author: user
+        ? {
+            provider: user.provider,
+            accountId: user.accountId || null,
+            name: user.name || null,
+            username: user.username || null,
+          }
+        : null,
+      platform: entry.platform,
+      contentHash: hashContent(entry.content),
+      platformPostId: entry.platformPostId || null,
+      postUrl: entry.postUrl || null,
+      mediaIds: entry.mediaIds || [],
+      status: entry.status,
+      error: entry.error || null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    return await store.insert(record);
+  } catch (error) {
+    console.error("Error recording post history:", error);
+    return null;
+  }
+}
+
+/**
+ * Records a change to a post made after it was published (edit, deletion,
+ * unpublishing). Failures are logged, not thrown.
+ * @param {string} platform - Platform name
+ * @param {string} platformPostId - Post ID on the platform
+ * @param {Object} changes - What changed
+ * @param {string} [changes.status] - New status
+ * @param {string|Object} [changes.content] - New content
+ * @returns {Promise<Object|null>} Updated record or null if none matched
+ */
+async function recordChange(platform, platformPostId, changes) {
+  try {
+    const record = await store.findByPlatformPostId(platform, platformPostId);
+    if (!record) {
+      return null;
+    }
+
+    return await store.update(record.id, {
+      ...(changes.status && { status: changes.status }),
+      ...(changes.content !== undefined && {
+        contentHash: hashContent(changes.content),
+      }),
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error updating post history:", error);
+    return null;
+  }
+}
+
+/**
+ * Lists recorded posts of the given owners, newest first
+ * @param {Array<string>} ownerIds - Owner IDs
+ * @param {Object} [filters] - Filters (platform, status, from, to)
+ * @param {Object} [page] - Pagination (limit, offset)
+ * @returns {Promise<Object>} `{ posts, total }`
+ */
+function listPosts(ownerIds, filters = {}, page = { limit: 20, offset: 0 }) {
+  return store.query({ ownerIds, ...filters }, page);
+}
+
+/**
+ * Formats a post record for API responses
+ * @param {Object} record - Stored post record
+ * @returns {Object} Public post representation
+ */
+function formatPost(record) {
+  const { ownerId, ...post } = record;
+  return post;
+}
+
+module.exports = {
+  POST_STATUS,
+  PLATFORMS,
+  setStore,
+  hashContent,
+  recordPost,
+  recordChange,
+  listPosts,
+  formatPost,
+};
@@ -0,0 +1,147 @@
+/**
+ * Persistent file-backed store of published posts. Other backends (e.g. a
+ * database) can replace it by implementing the same async methods: insert,
+ * update, findById, findByPlatformPostId and query.
+ * @module services/postHistoryStore
+ */
+
+const path = require("path");
+const JsonFileStore = require("./jsonFileStore");
+
+class PostHistoryStore {
+  /**
+   * @param {string} storePath - Directory holding the posts file
+   */
+  constructor(storePath = "./posts") {
+    this.storePath = storePath;
+    this.file = new JsonFileStore(path.join(storePath, "posts.json"));
+    this.posts = null;
+    this.loading = null;
+  }
+
+  /**
+   * Loads posts into memory on first use
+   * @returns {Promise<Object>} Posts keyed by ID
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.file.read().then(
+        (posts) => {
+          this.posts = posts;
+          return posts;
+        },
+        (error) => {
+          console.error("Error loading post history:", error);
+          this.loading = null;
+          throw error;
+        }
+      );
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Writes all posts to disk. Writes are queued so they land in call order.
+   * @returns {Promise<void>}
+   */
+  persist() {
+    return this.file.write(this.posts).catch((error) => {
+      console.error("Error saving post history:", error);
+    });
+  }
+
+  /**
+   * Adds a post record
+   * @param {Object} record - Post record with an `id`
+   * @returns {Promise<Object>} Stored record
+   */
+  async insert(record) {
+    const posts = await this.load();
+    posts[record.id] = record;
+    await this.persist();
+    return record;
+  }
+
+  /**
+   * Merges changes into a post record
+   * @param {string} id - Record ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} Updated record or null if not found
+   */
+  async update(id, changes) {
+    const posts = await this.load();
+    if (!posts[id]) {
+      return null;
+    }
+
+    posts[id] = { ...posts[id], ...changes };
+    await this.persist();
+    return posts[id];
+  }
+
+  /**
+   * Gets a post record by ID
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async findById(id) {
+    const posts = await this.load();
+    return posts[id] || null;
+  }
+
+  /**
+   * Gets the most recent record of a post on a platform
+   * @param {string} platform - Platform name
+   * @param {string} platformPostId - Post ID on the platform
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async findByPlatformPostId(platform, platformPostId) {
+    const posts = await this.load();
+    return (
+      Object.values(posts)
+        .filter(
+          (post) =>
+            post.platform === platform && post.platformPostId === platformPostId
+        )
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null
+    );
+  }
+
+  /**
+   * Lists posts matching a filter, newest first
+   * @param {Object} filter - Filter
+   * @param {Array<string>} filter.ownerIds - Owners whose posts to include
+   * @param {string} [filter.platform] - Platform name
+   * @param {string} [filter.status] - Post status
+   * @param {Date} [filter.from] - Earliest creation time (inclusive)
+   * @param {Date} [filter.to] - Latest creation time (inclusive)
+   * @param {Object} page - Pagination
+   * @param {number} page.limit - Maximum number of posts
+   * @param {number} page.offset - Number of posts to skip
+   * @returns {Promise<Object>} `{ posts, total }`
+   */
+  async query(filter, page) {
+    const posts = await this.load();
+    const from = filter.from ? filter.from.toISOString() : null;
+    const to = filter.to ? filter.to.toISOString() : null;
+
+    const matching = Object.values(posts)
+      .filter(
+        (post) =>
+          filter.ownerIds.includes(post.ownerId) &&
+          (!filter.platform || post.platform === filter.platform) &&
+          (!filter.status || post.status === filter.status) &&
+          (!from || post.createdAt >= from) &&
+          (!to || post.createdAt <= to)
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      posts: matching.slice(page.offset, page.offset + page.limit),
+      total: matching.length,
+    };
+  }
+}
+
+module.exports = PostHistoryStore;
@@ -0,0 +1,36 @@
+/**
+ * Persistent store for scheduled post jobs
+ * @module services/scheduleStore
+ */
+
+const path = require("path");
+const JsonFileStore = require("./jsonFileStore");
+
+class ScheduleStore {
+  constructor(storePath = "./schedules") {
+    this.storePath = storePath;
+    this.file = new JsonFileStore(path.join(storePath, "jobs.json"));
+  }
+
+  /**
+   * Load all jobs from disk
+   * @returns {Promise<Object>} Jobs keyed by job ID
+   * @throws {Error} If the jobs file is corrupted and its backup is unusable
+   */
+  loadJobs() {
+    return this.file.read();
+  }
+
+  /**
+   * Save all jobs to disk. Writes are queued so they land in call order.
+   * @param {Object} jobs - Jobs keyed by job ID
+   * @returns {Promise<void>}
+   */
+  saveJobs(jobs) {
+    return this.file.write(jobs).catch((error) => {
+      console.error("Error saving scheduled jobs:", error);
+    });
+  }
+}
+
+module.exports = ScheduleStore;
@@ -0,0 +1,334 @@
+/**
+ * Scheduler service for publishing posts at a later time
+ * @module services/schedulerService
+ */
+
+const crypto = require("crypto");
+const config = require("../config/environment");
+const ScheduleStore = require("./scheduleStore");
+
+/**
+ * Job lifecycle states
+ */
+const JOB_STATUS = {
+  SCHEDULED: "scheduled",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  PARTIAL: "partial",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+  MISSED: "missed",
+};
+
+/**
+ * What to do with a job whose time passed while the server was down
+ */
+const MISSED_POLICIES = ["run", "skip"];
+
+/**
+ * Largest delay accepted by setTimeout (~24.8 days)
+ */
+const MAX_TIMER_DELAY = 2147483647;
+
+// Jobs keyed by ID (in-memory source of truth, mirrored to disk)
+const jobs = new Map();
+
+// Pending timers keyed by job ID
+const timers = new Map();
+
+// Persistent job store
+const scheduleStore = new ScheduleStore(config.scheduler.storePath);
+
+// Function that publishes a job's post, set by start()
+let jobExecutor = null;
+
+/**
+ * Persists the current job map to disk
+ * @returns {Promise<void>}
+ */
+function persistJobs() {
+  return scheduleStore.saveJobs(Object.fromEntries(jobs));
+}
+
+/**
+ * Clears the pending timer of a job, if any
+ * @param {string} jobId - Job ID
+ */
+function clearTimer(jobId) {
+  const timer = timers.get(jobId);
+  if (timer) {
+    clearTimeout(timer);
+    timers.delete(jobId);
+  }
+}
+
+/**
+ * Arms a timer that runs the job at its publish time. Delays longer than
+ * setTimeout allows are split into several hops.
+ * @param {Object} job - Scheduled job
+ */
+function armTimer(job) {
+  clearTimer(job.id);
+
+  const delay = Math.max(0, new Date(job.publishAt).getTime() - Date.now());
+  const timer = setTimeout(() => {
+    timers.delete(job.id);
+    if (delay > MAX_TIMER_DELAY) {
+      armTimer(job);
+    } else {
+      runJob(job.id);
+    }
+  }, Math.min(delay, MAX_TIMER_DELAY));
+
+  // Don't keep the process alive just for pending jobs
+  timer.unref();
+  timers.set(job.id, timer);
+}
+
+/**
+ * Runs a job through the executor and records its outcome
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Updated job or null if it was not runnable
+ */
+async function runJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.status !== JOB_STATUS.SCHEDULED) {
+    return null;
+  }
+
+  job.status = JOB_STATUS.RUNNING;
+  job.startedAt = new Date().toISOString();
+  job.attempts = (job.attempts || 0) + 1;
+  await persistJobs();
+
+  console.log(`⏰ Running scheduled job: ${jobId}`);
+
+  try {
+    const outcome = await jobExecutor(job);
+
+    job.results = outcome.results;
+    if (outcome.failed === 0) {
+      job.status = JOB_STATUS.COMPLETED;
+    } else if (outcome.succeeded > 0) {
+      job.status = JOB_STATUS.PARTIAL;
+    } else {
+      job.status = JOB_STATUS.FAILED;
+    }
+  } catch (error) {
+    console.error(`Error running scheduled job ${jobId}:`, error);
+    job.status = JOB_STATUS.FAILED;
+    job.error = error.message;
+  }
+
+  job.completedAt = new Date().toISOString();
+  await persistJobs();
+
+  console.log(`✅ Scheduled job ${jobId} finished: ${job.status}`);
+  return job;
+}
+
+/**
+ * Loads persisted jobs, re-arms pending ones and applies the missed-job
+ * policy to jobs whose time passed while the server was down
+ * @param {Function} executor - Async function publishing a job's post
+ * @returns {Promise<Object>} Counts of restored, missed and rerun jobs
+ */
+async function start(executor) {
+  jobExecutor = executor;
+
+  const storedJobs = await scheduleStore.loadJobs();
+
+  const now = Date.now();
+  let restored = 0;
+  let missed = 0;
+  let runLate = 0;
+
+  for (const job of Object.values(storedJobs)) {
+    jobs.set(job.id, job);
+
+    if (job.status === JOB_STATUS.RUNNING) {
+      // The server stopped mid-run; re-running could post twice
+      job.status = JOB_STATUS.FAILED;
+      job.error = "Interrupted by server restart";
+      job.completedAt = new Date().toISOString();
+      continue;
+    }
+
+    if (job.status !== JOB_STATUS.SCHEDULED) {
+      continue;
+    }
+
+    const overdueMs = now - new Date(job.publishAt).getTime();
+    if (overdueMs > config.scheduler.missedGraceMs) {
+      job.missedAt = new Date().toISOString();
+
+      if (job.missedPolicy === "skip") {
+        job.status = JOB_STATUS.MISSED;
+        missed++;
+        continue;
+      }
+
+      runLate++;
+    } else {
+      restored++;
+    }
+
+    armTimer(job);
+  }
+
+  await persistJobs();
+
+  if (restored > 0 || missed > 0 || runLate > 0) {
+    console.log(
+      `⏰ Scheduler restored ${restored} jobs, ${runLate} missed jobs running late, ${missed} marked as missed`
+    );
+  }
+
+  return { restored, missed, runLate };
+}
+
+/**
+ * Schedules a post for later publishing
+ * @param {Object} jobData - Job definition
+ * @param {string} jobData.ownerId - ID of the user owning the job
+ * @param {Object} jobData.post - Canonical post
+ * @param {Array<Object>} jobData.targets - Publish targets
+ * @param {Date} jobData.publishAt - When to publish
+ * @param {string} [jobData.missedPolicy="run"] - "run" or "skip" after downtime
+ * @returns {Promise<Object>} Created job
+ */
+async function scheduleJob({
+  ownerId,
+  post,
+  targets,
+  publishAt,
+  missedPolicy,
+}) {
+  const job = {
+    id: crypto.randomUUID(),
+    ownerId,
+    status: JOB_STATUS.SCHEDULED,
+    publishAt: new Date(publishAt).toISOString(),
+    missedPolicy: missedPolicy || "run",
+    post,
+    targets,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  jobs.set(job.id, job);
+  await persistJobs();
+  armTimer(job);
+
+  console.log(`🗓️ Scheduled job ${job.id} for ${job.publishAt}`);
+  return job;
+}
+
+/**
+ * Gets a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job or null if not found
+ */
+function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Lists jobs of an owner, soonest first
+ * @param {string} ownerId - Owner ID
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.status] - Only return jobs with this status
+ * @returns {Array<Object>} Matching jobs
+ */
+function listJobs(ownerId, { status } = {}) {
+  return Array.from(jobs.values())
+    .filter((job) => job.ownerId === ownerId)
+    .filter((job) => !status || job.status === status)
+    .sort((a, b) => new Date(a.publishAt) - new Date(b.publishAt));
+}
+
+/**
+ * Moves a scheduled or missed job to a new publish time
+ * @param {string} jobId - Job ID
+ * @param {Date} publishAt - New publish time
+ * @param {string} [missedPolicy] - Optional new missed-job policy
+ * @returns {Promise<Object>} Updated job
+ * @throws {Error} If the job can no longer be rescheduled
+ */
+async function rescheduleJob(jobId, publishAt, missedPolicy) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    throw new Error("Job not found");
+  }
+
+  if (![JOB_STATUS.SCHEDULED, JOB_STATUS.MISSED].includes(job.status)) {
+    throw new Error(`Job cannot be rescheduled in status: ${job.status}`);
+  }
+
+  job.publishAt = new Date(publishAt).toISOString();
+  job.status = JOB_STATUS.SCHEDULED;
+  if (missedPolicy) {
+    job.missedPolicy = missedPolicy;
+  }
+  job.updatedAt = new Date().toISOString();
+
+  await persistJobs();
+  armTimer(job);
+
+  console.log(`🗓️ Rescheduled job ${jobId} to ${job.publishAt}`);
+  return job;
+}
+
+/**
+ * Cancels a pending job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Cancelled job
+ * @throws {Error} If the job already ran or is running
+ */
+async function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    throw new Error("Job not found");
+  }
+
+  if (![JOB_STATUS.SCHEDULED, JOB_STATUS.MISSED].includes(job.status)) {
+    throw new Error(`Job cannot be cancelled in status: ${job.status}`);
+  }
+
+  clearTimer(jobId);
+  job.status = JOB_STATUS.CANCELLED;
+  job.cancelledAt = new Date().toISOString();
+  job.updatedAt = job.cancelledAt;
+
+  await persistJobs();
+
+  console.log(`🗑️ Cancelled scheduled job: ${jobId}`);
+  return job;
+}
+
+/**
+ * Formats a job for API responses, leaving out stored credentials
+ * @param {Object} job - Job
+ * @returns {Object} Public job representation
+ */
+function formatJob(job) {
+  const { targets, ...rest } = job;
+  return {
+    ...rest,
+    targets: targets.map(({ user, token, ...target }) => target),
+  };
+}
+
+module.exports = {
+  JOB_STATUS,
+  MISSED_POLICIES,
+  start,
+  scheduleJob,
+  getJob,
+  listJobs,
+  rescheduleJob,
+  cancelJob,
+  runJob,
+  formatJob,
+};
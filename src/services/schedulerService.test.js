@@ -0,0 +1,139 @@
+/**
+ * Tests of restoring scheduled jobs after a restart
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Jobs live in a temporary directory
+const storePath = fs.mkdtempSync(path.join(os.tmpdir(), "schedules-"));
+Object.assign(process.env, {
+  JWT_SECRET: "test-secret",
+  SCHEDULER_STORE_PATH: storePath,
+  SCHEDULER_MISSED_GRACE_MS: "60000",
+});
+
+const schedulerService = require("./schedulerService");
+
+const { JOB_STATUS } = schedulerService;
+const MINUTE = 60 * 1000;
+
+/**
+ * Builds a stored job
+ * @param {string} id - Job ID
+ * @param {string} status - Job status
+ * @param {number} offsetMs - Publish time relative to now
+ * @param {string} [missedPolicy="run"] - Missed-job policy
+ * @returns {Object} Job
+ */
+function storedJob(id, status, offsetMs, missedPolicy = "run") {
+  return {
+    id,
+    ownerId: "owner",
+    status,
+    publishAt: new Date(Date.now() + offsetMs).toISOString(),
+    missedPolicy,
+    post: { text: id },
+    targets: [{ platform: "x" }],
+    attempts: 0,
+  };
+}
+
+/**
+ * Reads the jobs file
+ * @returns {Object} Stored jobs keyed by ID
+ */
+function readStoredJobs() {
+  return JSON.parse(fs.readFileSync(path.join(storePath, "jobs.json"), "utf8"));
+}
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Returns true once done
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe("schedulerService.start", () => {
+  const ran = [];
+  let counts;
+
+  before(async () => {
+    const jobs = [
+      storedJob("interrupted", JOB_STATUS.RUNNING, -MINUTE),
+      storedJob("pending", JOB_STATUS.SCHEDULED, 60 * MINUTE),
+      storedJob("just-due", JOB_STATUS.SCHEDULED, -1000),
+      storedJob("missed-run", JOB_STATUS.SCHEDULED, -10 * MINUTE),
+      storedJob("missed-skip", JOB_STATUS.SCHEDULED, -10 * MINUTE, "skip"),
+      storedJob("done", JOB_STATUS.COMPLETED, -60 * MINUTE),
+    ];
+    fs.writeFileSync(
+      path.join(storePath, "jobs.json"),
+      JSON.stringify(Object.fromEntries(jobs.map((job) => [job.id, job])))
+    );
+
+    counts = await schedulerService.start(async (job) => {
+      ran.push(job.id);
+      return { results: [], succeeded: 1, failed: 0 };
+    });
+    await waitFor(() =>
+      ["just-due", "missed-run"].every(
+        (id) => readStoredJobs()[id].status === JOB_STATUS.COMPLETED
+      )
+    );
+    // Let the runs finish logging before the tests report
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  });
+
+  after(() => {
+    fs.rmSync(storePath, { recursive: true, force: true });
+  });
+
+  it("counts restored, late and missed jobs", () => {
+    assert.deepEqual(counts, { restored: 2, missed: 1, runLate: 1 });
+  });
+
+  it("runs due jobs, late ones included, and waits for the rest", () => {
+    assert.deepEqual(ran.sort(), ["just-due", "missed-run"]);
+    assert.equal(
+      schedulerService.getJob("missed-run").status,
+      JOB_STATUS.COMPLETED
+    );
+    assert.ok(schedulerService.getJob("missed-run").missedAt);
+    assert.equal(
+      schedulerService.getJob("pending").status,
+      JOB_STATUS.SCHEDULED
+    );
+  });
+
+  it("fails jobs interrupted mid-run instead of posting twice", () => {
+    const job = schedulerService.getJob("interrupted");
+
+    assert.equal(job.status, JOB_STATUS.FAILED);
+    assert.equal(job.error, "Interrupted by server restart");
+  });
+
+  it("marks missed jobs with the skip policy", () => {
+    assert.equal(
+      schedulerService.getJob("missed-skip").status,
+      JOB_STATUS.MISSED
+    );
+    assert.equal(schedulerService.getJob("done").status, JOB_STATUS.COMPLETED);
+  });
+
+  it("persists the recovered states", () => {
+    const stored = readStoredJobs();
+
+    assert.equal(stored.interrupted.status, JOB_STATUS.FAILED);
+    assert.equal(stored["missed-skip"].status, JOB_STATUS.MISSED);
+    assert.equal(stored["missed-run"].status, JOB_STATUS.COMPLETED);
+    assert.equal(stored.pending.status, JOB_STATUS.SCHEDULED);
+  });
+});
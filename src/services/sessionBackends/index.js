@@ -0,0 +1,52 @@
+/**
+ * Storage backends of the Substack session store
+ * @module services/sessionBackends
+ *
+ * A backend stores opaque session records (already encrypted by
+ * SessionStore) and implements:
+ *   get(sessionId)         -> Promise<Object|null>
+ *   getAll()               -> Promise<Object> keyed by session ID
+ *   put(sessionId, record) -> Promise<void>
+ *   delete(sessionIds)     -> Promise<number> of deleted records
+ *   close()                -> Promise<void>
+ */
+
+const JsonFileBackend = require("./jsonFileBackend");
+const SqliteBackend = require("./sqliteBackend");
+const MemoryBackend = require("./memoryBackend");
+
+/**
+ * Backend names accepted in config (SESSION_STORE_BACKEND)
+ */
+const BACKEND_NAMES = ["json", "sqlite", "memory"];
+
+/**
+ * Creates the backend named in the sessions config
+ * @param {Object} options - Sessions config (see config.sessions)
+ * @param {string} [options.backend="json"] - "json", "sqlite" or "memory"
+ * @param {string} [options.storePath] - Directory of the JSON file
+ * @param {string} [options.sqlitePath] - SQLite database file
+ * @returns {Object} Session storage backend
+ * @throws {Error} If the backend name is unknown
+ */
+function createSessionBackend({ backend = "json", storePath, sqlitePath }) {
+  switch (backend) {
+    case "json":
+      return new JsonFileBackend({ storePath });
+    case "sqlite":
+      return new SqliteBackend({ databasePath: sqlitePath });
+    case "memory":
+      return new MemoryBackend();
+    default:
+      throw new Error(
+        `Unknown session store backend "${backend}" (expected one of: ${BACKEND_NAMES.join(
+          ", "
+        )})`
+      );
+  }
+}
+
+module.exports = {
+  BACKEND_NAMES,
+  createSessionBackend,
+};
@@ -0,0 +1,92 @@
+/**
+ * Tests every session storage backend against the same behavior
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BACKEND_NAMES, createSessionBackend } = require(".");
+
+describe("createSessionBackend", () => {
+  it("rejects unknown backends", () => {
+    assert.throws(
+      () => createSessionBackend({ backend: "redis" }),
+      /Unknown session store backend "redis"/
+    );
+  });
+});
+
+for (const name of BACKEND_NAMES) {
+  describe(`${name} session backend`, () => {
+    let storePath;
+    let backend;
+
+    /**
+     * Creates the backend on the test directory
+     * @returns {Object} Session storage backend
+     */
+    function openBackend() {
+      return createSessionBackend({
+        backend: name,
+        storePath,
+        sqlitePath: path.join(storePath, "sessions.db"),
+      });
+    }
+
+    beforeEach(() => {
+      storePath = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-backend-`));
+      backend = openBackend();
+    });
+
+    afterEach(async () => {
+      await backend.close();
+      fs.rmSync(storePath, { recursive: true, force: true });
+    });
+
+    it("stores, replaces and reads records", async () => {
+      await backend.put("a", { id: "a", status: "pending" });
+      await backend.put("b", { id: "b", status: "logged_in" });
+      await backend.put("a", { id: "a", status: "logged_in" });
+
+      assert.deepEqual(await backend.get("a"), {
+        id: "a",
+        status: "logged_in",
+      });
+      assert.equal(await backend.get("missing"), null);
+      assert.deepEqual(await backend.getAll(), {
+        a: { id: "a", status: "logged_in" },
+        b: { id: "b", status: "logged_in" },
+      });
+    });
+
+    it("deletes records and counts the ones that existed", async () => {
+      await backend.put("a", { id: "a" });
+      await backend.put("b", { id: "b" });
+
+      assert.equal(await backend.delete(["a", "missing"]), 1);
+      assert.equal(await backend.delete([]), 0);
+      assert.deepEqual(Object.keys(await backend.getAll()), ["b"]);
+    });
+
+    it("hands out copies of the stored records", async () => {
+      const record = { id: "a", userData: { subdomain: "blog" } };
+      await backend.put("a", record);
+      record.userData.subdomain = "changed";
+      (await backend.get("a")).userData.subdomain = "changed";
+
+      assert.equal((await backend.get("a")).userData.subdomain, "blog");
+    });
+
+    if (name !== "memory") {
+      it("keeps records after reopening", async () => {
+        await backend.put("a", { id: "a" });
+        await backend.close();
+        backend = openBackend();
+
+        assert.deepEqual(await backend.get("a"), { id: "a" });
+      });
+    }
+  });
+}
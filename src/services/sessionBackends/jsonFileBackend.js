@@ -0,0 +1,100 @@
+/**
+ * Session storage backend keeping all sessions in one JSON file
+ * @module services/sessionBackends/jsonFileBackend
+ */
+
+const path = require("path");
+const JsonFileStore = require("../jsonFileStore");
+
+/**
+ * Stores session records in `<storePath>/sessions.json`, written atomically
+ * with a backup (see JsonFileStore). Every call reads the file, so callers
+ * must serialize read-modify-write sequences (SessionStore does); the file
+ * cannot be shared by several server instances.
+ */
+class JsonFileBackend {
+  /**
+   * @param {Object} [options] - Backend options
+   * @param {string} [options.storePath="./sessions"] - Directory holding the sessions file
+   */
+  constructor({ storePath = "./sessions" } = {}) {
+    this.storePath = storePath;
+    this.sessionsFile = path.join(storePath, "sessions.json");
+    this.file = new JsonFileStore(this.sessionsFile);
+  }
+
+  /**
+   * Reads all records
+   * @returns {Promise<Object>} Records keyed by session ID
+   * @throws {Error} If the file is corrupted and the backup is unusable
+   */
+  readRecords() {
+    return this.file.read();
+  }
+
+  /**
+   * Writes all records
+   * @param {Object} records - Records keyed by session ID
+   * @returns {Promise<void>}
+   */
+  writeRecords(records) {
+    return this.file.write(records);
+  }
+
+  /**
+   * Gets a record
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async get(sessionId) {
+    const records = await this.readRecords();
+    return records[sessionId] || null;
+  }
+
+  /**
+   * Gets all records
+   * @returns {Promise<Object>} Records keyed by session ID
+   */
+  async getAll() {
+    return this.readRecords();
+  }
+
+  /**
+   * Creates or replaces a record
+   * @param {string} sessionId - Session ID
+   * @param {Object} record - Record to store
+   * @returns {Promise<void>}
+   */
+  async put(sessionId, record) {
+    const records = await this.readRecords();
+    records[sessionId] = record;
+    await this.writeRecords(records);
+  }
+
+  /**
+   * Deletes records
+   * @param {Array<string>} sessionIds - Session IDs
+   * @returns {Promise<number>} Number of deleted records
+   */
+  async delete(sessionIds) {
+    const records = await this.readRecords();
+    const existing = sessionIds.filter((sessionId) => records[sessionId]);
+    if (existing.length === 0) {
+      return 0;
+    }
+
+    for (const sessionId of existing) {
+      delete records[sessionId];
+    }
+    await this.writeRecords(records);
+    return existing.length;
+  }
+
+  /**
+   * Releases resources held by the backend (none for files)
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = JsonFileBackend;
@@ -0,0 +1,69 @@
+/**
+ * In-memory session storage backend for tests
+ * @module services/sessionBackends/memoryBackend
+ */
+
+/**
+ * Keeps session records in a Map. Records are copied in and out, like a
+ * real backend serializing them, and are lost when the process exits.
+ */
+class MemoryBackend {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Copies a record so callers cannot change stored data by reference
+   * @param {Object} record - Record
+   * @returns {Object} Deep copy
+   */
+  copy(record) {
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  /**
+   * Gets a record
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async get(sessionId) {
+    const record = this.records.get(sessionId);
+    return record ? this.copy(record) : null;
+  }
+
+  /**
+   * Gets all records
+   * @returns {Promise<Object>} Records keyed by session ID
+   */
+  async getAll() {
+    return this.copy(Object.fromEntries(this.records));
+  }
+
+  /**
+   * Creates or replaces a record
+   * @param {string} sessionId - Session ID
+   * @param {Object} record - Record to store
+   * @returns {Promise<void>}
+   */
+  async put(sessionId, record) {
+    this.records.set(sessionId, this.copy(record));
+  }
+
+  /**
+   * Deletes records
+   * @param {Array<string>} sessionIds - Session IDs
+   * @returns {Promise<number>} Number of deleted records
+   */
+  async delete(sessionIds) {
+    return sessionIds.filter((sessionId) => this.records.delete(sessionId))
+      .length;
+  }
+
+  /**
+   * Releases resources held by the backend (none in memory)
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,119 @@
+/**
+ * Session storage backend using an embedded SQLite database
+ * @module services/sessionBackends/sqliteBackend
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Stores session records as rows of a SQLite database file. Each write is a
+ * single statement, and the database runs in WAL mode with a busy timeout,
+ * so several server instances on one host can share the file.
+ * Needs the optional better-sqlite3 package.
+ */
+class SqliteBackend {
+  /**
+   * @param {Object} [options] - Backend options
+   * @param {string} [options.databasePath="./sessions/sessions.db"] - Database file
+   * @throws {Error} If better-sqlite3 is not installed
+   */
+  constructor({ databasePath = "./sessions/sessions.db" } = {}) {
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error(
+        "The sqlite session backend needs the better-sqlite3 package (npm install better-sqlite3)"
+      );
+    }
+
+    fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+
+    this.databasePath = databasePath;
+    this.db = new Database(databasePath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("busy_timeout = 5000");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare("SELECT data FROM sessions WHERE id = ?"),
+      getAll: this.db.prepare("SELECT id, data FROM sessions"),
+      put: this.db.prepare(
+        `INSERT INTO sessions (id, data, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET
+           data = excluded.data,
+           updated_at = excluded.updated_at`
+      ),
+      delete: this.db.prepare("DELETE FROM sessions WHERE id = ?"),
+    };
+    this.deleteMany = this.db.transaction((sessionIds) =>
+      sessionIds.reduce(
+        (deleted, sessionId) =>
+          deleted + this.statements.delete.run(sessionId).changes,
+        0
+      )
+    );
+  }
+
+  /**
+   * Gets a record
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async get(sessionId) {
+    const row = this.statements.get.get(sessionId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Gets all records
+   * @returns {Promise<Object>} Records keyed by session ID
+   */
+  async getAll() {
+    const records = {};
+    for (const row of this.statements.getAll.all()) {
+      records[row.id] = JSON.parse(row.data);
+    }
+    return records;
+  }
+
+  /**
+   * Creates or replaces a record
+   * @param {string} sessionId - Session ID
+   * @param {Object} record - Record to store
+   * @returns {Promise<void>}
+   */
+  async put(sessionId, record) {
+    this.statements.put.run(
+      sessionId,
+      JSON.stringify(record),
+      new Date().toISOString()
+    );
+  }
+
+  /**
+   * Deletes records in one transaction
+   * @param {Array<string>} sessionIds - Session IDs
+   * @returns {Promise<number>} Number of deleted records
+   */
+  async delete(sessionIds) {
+    return this.deleteMany(sessionIds);
+  }
+
+  /**
+   * Closes the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteBackend;
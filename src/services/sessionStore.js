@@ -3,82 +3,147 @@
  * @module services/sessionStore
  */
 
-const fs = require("fs").promises;
-const path = require("path");
+const { deriveKey, encrypt, decrypt } = require("../utils/encryption");
+const JsonFileBackend = require("./sessionBackends/jsonFileBackend");
+
+/**
+ * Session fields encrypted at rest (login cookies and account details)
+ */
+const SECRET_FIELDS = ["email", "userData", "authTokens"];
 
 class SessionStore {
-  constructor(storePath = "./sessions") {
-    this.storePath = storePath;
-    this.sessionsFile = path.join(storePath, "sessions.json");
-    this.init();
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} [options.backend] - Storage backend (see sessionBackends);
+   * defaults to the JSON file in ./sessions
+   * @param {string} options.encryptionKey - Key material for AES-256-GCM
+   */
+  constructor({ backend = new JsonFileBackend(), encryptionKey } = {}) {
+    this.backend = backend;
+    this.key = deriveKey(encryptionKey || "");
+    this.lock = Promise.resolve();
+    this.migrated = false;
   }
 
   /**
-   * Initialize the session store
+   * Runs a task once all previously queued tasks have finished, so
+   * read-modify-write cycles never interleave. Sessions stored in plain
+   * text by older versions are encrypted before the first task.
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Result of the task
    */
-  async init() {
-    try {
-      // Create sessions directory if it doesn't exist
-      await fs.mkdir(this.storePath, { recursive: true });
-
-      // Create sessions file if it doesn't exist
-      try {
-        await fs.access(this.sessionsFile);
-      } catch (error) {
-        await fs.writeFile(this.sessionsFile, JSON.stringify({}));
+  withLock(task) {
+    const run = this.lock.then(async () => {
+      if (!this.migrated) {
+        await this.encryptPlainSessions();
+        this.migrated = true;
       }
-    } catch (error) {
-      console.error("Error initializing session store:", error);
+      return task();
+    });
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Encrypts sessions that were stored before sessions were encrypted
+   * @returns {Promise<void>}
+   */
+  async encryptPlainSessions() {
+    const records = await this.backend.getAll();
+    const plainSessionIds = Object.keys(records).filter(
+      (sessionId) => !records[sessionId].secrets
+    );
+
+    for (const sessionId of plainSessionIds) {
+      await this.backend.put(
+        sessionId,
+        this.toRecord(sessionId, records[sessionId])
+      );
+    }
+
+    if (plainSessionIds.length > 0) {
+      console.log(`🔐 Encrypted ${plainSessionIds.length} stored sessions`);
     }
   }
 
   /**
-   * Load all sessions from disk
-   * @returns {Promise<Object>} Sessions object
+   * Converts session data to its stored form with the secret fields
+   * encrypted, binding the ciphertext to the session ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session data
+   * @returns {Object} Stored record
    */
-  async loadSessions() {
-    try {
-      const data = await fs.readFile(this.sessionsFile, "utf8");
-      return JSON.parse(data);
-    } catch (error) {
-      console.error("Error loading sessions:", error);
-      return {};
+  toRecord(sessionId, session) {
+    const record = { ...session, id: sessionId };
+    const secrets = {};
+    for (const field of SECRET_FIELDS) {
+      secrets[field] = session[field] === undefined ? null : session[field];
+      delete record[field];
     }
+
+    record.secrets = encrypt(this.key, sessionId, secrets);
+    return record;
   }
 
   /**
-   * Save all sessions to disk
-   * @param {Object} sessions - Sessions object to save
+   * Converts a stored record back to session data. Secrets that cannot be
+   * decrypted (e.g. after a key change) are returned as null.
+   * @param {Object} record - Stored record
+   * @returns {Object} Session data
    */
-  async saveSessions(sessions) {
+  fromRecord(record) {
+    const { secrets, ...session } = record;
+
     try {
-      await fs.writeFile(this.sessionsFile, JSON.stringify(sessions, null, 2));
+      return { ...session, ...decrypt(this.key, record.id, secrets) };
     } catch (error) {
-      console.error("Error saving sessions:", error);
+      console.error(`Error decrypting session ${record.id}:`, error.message);
+      return { ...session, email: null, userData: null, authTokens: null };
     }
   }
 
+  /**
+   * Load all sessions
+   * @returns {Promise<Object>} Sessions object
+   */
+  loadSessions() {
+    return this.withLock(async () => {
+      const records = await this.backend.getAll();
+      const sessions = {};
+      for (const [sessionId, record] of Object.entries(records)) {
+        sessions[sessionId] = this.fromRecord(record);
+      }
+      return sessions;
+    });
+  }
+
   /**
    * Save a single session
    * @param {string} sessionId - Session ID
    * @param {Object} sessionData - Session data to save
+   * @returns {Promise<void>}
    */
-  async saveSession(sessionId, sessionData) {
-    const sessions = await this.loadSessions();
-
-    // Store session metadata (not the WebDriver instance)
-    sessions[sessionId] = {
-      id: sessionId,
-      status: sessionData.status,
-      email: sessionData.email || null,
-      createdAt: sessionData.createdAt,
-      lastActiveAt: new Date().toISOString(),
-      userData: sessionData.userData || null,
-      authTokens: sessionData.authTokens || null,
-      // Don't store the WebDriver instance - it can't be serialized
-    };
-
-    await this.saveSessions(sessions);
+  saveSession(sessionId, sessionData) {
+    return this.withLock(async () => {
+      const existing = await this.backend.get(sessionId);
+
+      // Store session metadata (not the WebDriver instance)
+      await this.backend.put(
+        sessionId,
+        this.toRecord(sessionId, {
+          // App user the session belongs to; kept when callers don't pass it
+          ownerId:
+            sessionData.ownerId || (existing && existing.ownerId) || null,
+          status: sessionData.status,
+          email: sessionData.email || null,
+          createdAt: sessionData.createdAt,
+          lastActiveAt: new Date().toISOString(),
+          userData: sessionData.userData || null,
+          authTokens: sessionData.authTokens || null,
+          // Don't store the WebDriver instance - it can't be serialized
+        })
+      );
+    });
   }
 
   /**
@@ -86,9 +151,11 @@ class SessionStore {
    * @param {string} sessionId - Session ID
    * @returns {Promise<Object|null>} Session data or null if not found
    */
-  async getSession(sessionId) {
-    const sessions = await this.loadSessions();
-    return sessions[sessionId] || null;
+  getSession(sessionId) {
+    return this.withLock(async () => {
+      const record = await this.backend.get(sessionId);
+      return record ? this.fromRecord(record) : null;
+    });
   }
 
   /**
@@ -102,48 +169,54 @@ class SessionStore {
   /**
    * Delete a session
    * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
    */
-  async deleteSession(sessionId) {
-    const sessions = await this.loadSessions();
-    delete sessions[sessionId];
-    await this.saveSessions(sessions);
+  deleteSession(sessionId) {
+    return this.withLock(async () => {
+      await this.backend.delete([sessionId]);
+    });
   }
 
   /**
    * Clean up expired sessions
    * @param {number} maxAgeMs - Maximum age in milliseconds (default: 7 days)
+   * @returns {Promise<number>} Number of removed sessions
    */
-  async cleanupExpiredSessions(maxAgeMs = 7 * 24 * 60 * 60 * 1000) {
-    const sessions = await this.loadSessions();
-    const now = Date.now();
-    let cleanedCount = 0;
-
-    for (const [sessionId, session] of Object.entries(sessions)) {
-      const sessionAge = now - new Date(session.createdAt).getTime();
-      if (sessionAge > maxAgeMs) {
-        delete sessions[sessionId];
-        cleanedCount++;
+  cleanupExpiredSessions(maxAgeMs = 7 * 24 * 60 * 60 * 1000) {
+    return this.withLock(async () => {
+      const records = await this.backend.getAll();
+      const now = Date.now();
+
+      const expiredSessionIds = Object.keys(records).filter(
+        (sessionId) =>
+          now - new Date(records[sessionId].createdAt).getTime() > maxAgeMs
+      );
+      const cleanedCount =
+        expiredSessionIds.length > 0
+          ? await this.backend.delete(expiredSessionIds)
+          : 0;
+
+      if (cleanedCount > 0) {
+        console.log(`🧹 Cleaned up ${cleanedCount} expired sessions`);
       }
-    }
 
-    if (cleanedCount > 0) {
-      await this.saveSessions(sessions);
-      console.log(`🧹 Cleaned up ${cleanedCount} expired sessions`);
-    }
-
-    return cleanedCount;
+      return cleanedCount;
+    });
   }
 
   /**
    * Update session last active time
    * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
    */
-  async updateLastActive(sessionId) {
-    const sessions = await this.loadSessions();
-    if (sessions[sessionId]) {
-      sessions[sessionId].lastActiveAt = new Date().toISOString();
-      await this.saveSessions(sessions);
-    }
+  updateLastActive(sessionId) {
+    return this.withLock(async () => {
+      const record = await this.backend.get(sessionId);
+      if (record) {
+        record.lastActiveAt = new Date().toISOString();
+        await this.backend.put(sessionId, record);
+      }
+    });
   }
 
   /**
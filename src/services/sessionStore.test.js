@@ -0,0 +1,140 @@
+/**
+ * Tests of encrypting stored Substack sessions
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SessionStore = require("./sessionStore");
+const JsonFileBackend = require("./sessionBackends/jsonFileBackend");
+
+/**
+ * Builds a logged-in session
+ * @returns {Object} Session data
+ */
+function loggedInSession() {
+  return {
+    ownerId: "user-1",
+    status: "logged_in",
+    email: "writer@example.com",
+    createdAt: new Date().toISOString(),
+    userData: { subdomain: "blog" },
+    authTokens: { cookies: { "substack.sid": "secret-cookie" } },
+  };
+}
+
+describe("SessionStore", () => {
+  let storePath;
+  let sessionsFile;
+  let store;
+
+  beforeEach(() => {
+    storePath = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+    sessionsFile = path.join(storePath, "sessions.json");
+    store = new SessionStore({
+      backend: new JsonFileBackend({ storePath }),
+      encryptionKey: "key",
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(storePath, { recursive: true, force: true });
+  });
+
+  it("encrypts login cookies and account details at rest", async () => {
+    await store.saveSession("s1", loggedInSession());
+
+    const stored = fs.readFileSync(sessionsFile, "utf8");
+    assert.doesNotMatch(stored, /secret-cookie|writer@example\.com|blog/);
+    assert.equal(fs.statSync(sessionsFile).mode & 0o777, 0o600);
+
+    const record = JSON.parse(stored).s1;
+    assert.equal(record.status, "logged_in");
+    assert.equal(record.ownerId, "user-1");
+    assert.ok(record.secrets);
+  });
+
+  it("reads back the decrypted session", async () => {
+    await store.saveSession("s1", loggedInSession());
+
+    const session = await store.getSession("s1");
+    assert.equal(session.email, "writer@example.com");
+    assert.deepEqual(session.userData, { subdomain: "blog" });
+    assert.deepEqual(session.authTokens, {
+      cookies: { "substack.sid": "secret-cookie" },
+    });
+  });
+
+  it("drops secrets that cannot be decrypted with the key", async () => {
+    await store.saveSession("s1", loggedInSession());
+
+    const otherKeyStore = new SessionStore({
+      backend: new JsonFileBackend({ storePath }),
+      encryptionKey: "other-key",
+    });
+    const session = await otherKeyStore.getSession("s1");
+
+    assert.equal(session.status, "logged_in");
+    assert.equal(session.authTokens, null);
+    assert.equal(session.email, null);
+  });
+
+  it("binds secrets to their session ID", async () => {
+    await store.saveSession("s1", loggedInSession());
+    const records = JSON.parse(fs.readFileSync(sessionsFile, "utf8"));
+    fs.writeFileSync(
+      sessionsFile,
+      JSON.stringify({ ...records, s2: { ...records.s1, id: "s2" } })
+    );
+
+    const copied = await store.getSession("s2");
+    assert.equal(copied.authTokens, null);
+  });
+
+  it("encrypts sessions stored in plain text by older versions", async () => {
+    fs.writeFileSync(
+      sessionsFile,
+      JSON.stringify({ old: { id: "old", ...loggedInSession() } })
+    );
+
+    const session = await store.getSession("old");
+
+    assert.equal(session.authTokens.cookies["substack.sid"], "secret-cookie");
+    assert.doesNotMatch(fs.readFileSync(sessionsFile, "utf8"), /secret-cookie/);
+  });
+
+  it("keeps the owner when a session is saved without one", async () => {
+    await store.saveSession("s1", loggedInSession());
+    await store.saveSession("s1", { status: "expired" });
+
+    const session = await store.getSession("s1");
+    assert.equal(session.ownerId, "user-1");
+    assert.equal(session.status, "expired");
+  });
+
+  it("keeps concurrent saves", async () => {
+    await Promise.all(
+      ["a", "b", "c"].map((sessionId) =>
+        store.saveSession(sessionId, loggedInSession())
+      )
+    );
+
+    assert.deepEqual(Object.keys(await store.getAllSessions()).sort(), [
+      "a",
+      "b",
+      "c",
+    ]);
+  });
+
+  it("removes sessions older than the maximum age", async () => {
+    const old = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+    await store.saveSession("old", { ...loggedInSession(), createdAt: old });
+    await store.saveSession("new", loggedInSession());
+
+    assert.equal(await store.cleanupExpiredSessions(), 1);
+    assert.equal(await store.getSession("old"), null);
+    assert.equal(await store.isSessionValid("new"), true);
+  });
+});
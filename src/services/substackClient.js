@@ -0,0 +1,281 @@
+/**
+ * Substack HTTP client posting through Substack's web API with the cookies
+ * of a logged-in browser session, without driving the browser
+ * @module services/substackClient
+ */
+
+const httpClient = require("./httpClient");
+const { toProviderError } = require("../utils/providerErrors");
+const { toDocument } = require("../utils/substackDocument");
+
+/**
+ * Site-wide Substack API (user profile)
+ */
+const SUBSTACK_API_URL = "https://substack.com/api/v1";
+
+/**
+ * Builds the error of a post that failed before anything was sent to
+ * Substack to create it, so it can safely be created another way
+ * @param {string} message - Error message
+ * @returns {Error} Error with `postNotSent` set
+ */
+function notSentError(message) {
+  return Object.assign(new Error(message), { postNotSent: true });
+}
+
+/**
+ * Builds the Cookie header from the auth tokens extracted after login
+ * @param {Object} [authTokens] - Auth tokens (see extractAuthTokens)
+ * @returns {string} Cookie header value
+ * @throws {Error} If no cookies were captured (`postNotSent` set)
+ */
+function buildCookieHeader(authTokens) {
+  const cookies = (authTokens && authTokens.cookies) || {};
+  const names = Object.keys(cookies);
+  if (names.length === 0) {
+    throw notSentError("No Substack cookies stored for this session");
+  }
+
+  return names.map((name) => `${name}=${cookies[name]}`).join("; ");
+}
+
+/**
+ * Builds request options for a publication's API
+ * @param {string} cookieHeader - Cookie header value
+ * @param {string} [subdomain] - Publication subdomain (site-wide API if omitted)
+ * @returns {Object} Request options (headers)
+ */
+function requestOptions(cookieHeader, subdomain) {
+  const origin = subdomain
+    ? `https://${subdomain}.substack.com`
+    : "https://substack.com";
+
+  return {
+    headers: {
+      Cookie: cookieHeader,
+      "Content-Type": "application/json",
+      Origin: origin,
+      Referer: `${origin}/publish`,
+    },
+  };
+}
+
+/**
+ * Gets the base URL of a publication's API
+ * @param {string} subdomain - Publication subdomain
+ * @returns {string} API base URL
+ */
+function publicationApiUrl(subdomain) {
+  return `https://${subdomain}.substack.com/api/v1`;
+}
+
+/**
+ * Gets the logged-in user's profile
+ * @param {string} cookieHeader - Cookie header value
+ * @returns {Promise<Object>} `{ userId, subdomain }` (subdomain of the
+ * primary publication, null if the user has none)
+ * @throws {ProviderError} If the request fails
+ */
+async function getProfile(cookieHeader) {
+  try {
+    const response = await httpClient.get(
+      `${SUBSTACK_API_URL}/user/profile/self`,
+      requestOptions(cookieHeader)
+    );
+    const profile = response.data;
+
+    return {
+      userId: profile.id,
+      subdomain: profile.primaryPublication?.subdomain || null,
+    };
+  } catch (error) {
+    throw toProviderError(
+      "substack",
+      error,
+      `Failed to get Substack profile: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Creates a draft
+ * @param {string} cookieHeader - Cookie header value
+ * @param {string} subdomain - Publication subdomain
+ * @param {Object} draft - Draft fields
+ * @param {number} draft.userId - Author's Substack user ID (byline)
+ * @param {string} draft.title - Post title
+ * @param {string} [draft.subtitle] - Post subtitle
+ * @param {Object} draft.body - Substack document (see utils/substackDocument)
+ * @returns {Promise<Object>} Created draft (id, ...)
+ * @throws {ProviderError} If the request fails
+ */
+async function createDraft(cookieHeader, subdomain, draft) {
+  try {
+    const response = await httpClient.post(
+      `${publicationApiUrl(subdomain)}/drafts`,
+      {
+        type: "newsletter",
+        audience: "everyone",
+        draft_title: draft.title,
+        draft_subtitle: draft.subtitle || "",
+        draft_body: JSON.stringify(draft.body),
+        draft_bylines: [{ id: draft.userId, is_guest: false }],
+      },
+      requestOptions(cookieHeader, subdomain)
+    );
+    return response.data;
+  } catch (error) {
+    throw toProviderError(
+      "substack",
+      error,
+      `Failed to create Substack draft: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Publishes a draft and emails it to subscribers, like the editor's
+ * Publish button
+ * @param {string} cookieHeader - Cookie header value
+ * @param {string} subdomain - Publication subdomain
+ * @param {number|string} draftId - Draft ID
+ * @returns {Promise<Object>} Published post (id, slug, canonical_url, ...)
+ * @throws {ProviderError} If the request fails
+ */
+async function publishDraft(cookieHeader, subdomain, draftId) {
+  try {
+    const response = await httpClient.post(
+      `${publicationApiUrl(subdomain)}/drafts/${draftId}/publish`,
+      { send: true, share_automatically: false },
+      requestOptions(cookieHeader, subdomain)
+    );
+    return response.data;
+  } catch (error) {
+    throw toProviderError(
+      "substack",
+      error,
+      `Failed to publish Substack draft: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Deletes a draft
+ * @param {string} cookieHeader - Cookie header value
+ * @param {string} subdomain - Publication subdomain
+ * @param {number|string} draftId - Draft ID
+ * @returns {Promise<void>}
+ * @throws {ProviderError} If the request fails
+ */
+async function deleteDraft(cookieHeader, subdomain, draftId) {
+  try {
+    await httpClient.delete(
+      `${publicationApiUrl(subdomain)}/drafts/${draftId}`,
+      requestOptions(cookieHeader, subdomain)
+    );
+  } catch (error) {
+    throw toProviderError(
+      "substack",
+      error,
+      `Failed to delete Substack draft: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Creates a post: a draft with title, subtitle and body, published unless
+ * only a draft is wanted. When Substack rejects the publish, the draft is
+ * deleted so the post can be retried another way without duplicates.
+ * @param {Object} authTokens - Auth tokens of the logged-in session
+ * @param {Object} postData - Post data
+ * @param {string} postData.title - Post title
+ * @param {string} postData.content - Post content
+ * @param {string} [postData.format="plain"] - Content format ("plain",
+ * "markdown" or "html")
+ * @param {string} [postData.subtitle] - Post subtitle
+ * @param {boolean} [postData.isDraft=false] - Whether to only save a draft
+ * @param {string} [postData.subdomain] - Publication subdomain (defaults to
+ * the user's primary publication)
+ * @returns {Promise<Object>} `{ postId, postUrl, subdomain }`
+ * @throws {Error} If the post could not be created; `postNotSent` is set if
+ * no request to create it was sent (the session has no cookies, or no
+ * publication, or Substack refused it), and `draftId` if the draft is still
+ * on Substack (and may even have been published)
+ */
+async function createPost(authTokens, postData) {
+  const {
+    title,
+    content,
+    format = "plain",
+    subtitle = "",
+    isDraft = false,
+  } = postData;
+  const cookieHeader = buildCookieHeader(authTokens);
+
+  const profile = await getProfile(cookieHeader).catch((profileError) => {
+    // A 4xx means Substack refused the session before anything was posted;
+    // other failures are not marked, like every failure from here on
+    const { upstreamStatus } = profileError;
+    if (upstreamStatus >= 400 && upstreamStatus < 500) {
+      profileError.postNotSent = true;
+    }
+    throw profileError;
+  });
+  const subdomain = postData.subdomain || profile.subdomain;
+  if (!subdomain) {
+    throw notSentError(
+      "User has no Substack publication yet. Please create a publication first by visiting https://substack.com and clicking 'Start writing'."
+    );
+  }
+
+  const draft = await createDraft(cookieHeader, subdomain, {
+    userId: profile.userId,
+    title,
+    subtitle,
+    body: toDocument(content, format),
+  });
+
+  if (isDraft) {
+    return {
+      postId: String(draft.id),
+      postUrl: null,
+      subdomain,
+    };
+  }
+
+  let post;
+  try {
+    post = await publishDraft(cookieHeader, subdomain, draft.id);
+  } catch (publishError) {
+    // Without a 4xx answer the post may have been published anyway, and
+    // deleting the draft would delete it
+    const { upstreamStatus } = publishError;
+    const rejected = upstreamStatus >= 400 && upstreamStatus < 500;
+
+    publishError.draftId = String(draft.id);
+    if (rejected) {
+      try {
+        await deleteDraft(cookieHeader, subdomain, draft.id);
+        delete publishError.draftId;
+      } catch (deleteError) {
+        console.error(
+          `Error deleting Substack draft ${draft.id}:`,
+          deleteError.message
+        );
+      }
+    }
+    throw publishError;
+  }
+
+  return {
+    postId: String(post.id || draft.id),
+    postUrl:
+      post.canonical_url ||
+      (post.slug ? `https://${subdomain}.substack.com/p/${post.slug}` : null),
+    subdomain,
+  };
+}
+
+module.exports = {
+  createPost,
+};
@@ -0,0 +1,118 @@
+/**
+ * Tests of posting through Substack's web API
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Failed requests are not retried
+Object.assign(process.env, {
+  JWT_SECRET: "test-secret",
+  HTTP_MAX_RETRIES: "0",
+});
+
+const axios = require("axios");
+const substackClient = require("./substackClient");
+const { ProviderError } = require("../utils/providerErrors");
+
+describe("substackClient.createPost", () => {
+  const axiosRequest = axios.request;
+  const authTokens = { cookies: { "substack.sid": "sid" } };
+  const postData = { title: "Title", content: "Body" };
+  let calls;
+  let statuses;
+
+  before(() => {
+    // Answers each request with the status given for its path, 200 if none
+    axios.request = async (options) => {
+      const { pathname } = new URL(options.url);
+      calls.push(`${options.method.toUpperCase()} ${pathname}`);
+
+      const status = statuses[pathname] || 200;
+      if (status >= 400) {
+        throw Object.assign(new Error(`Request failed with status ${status}`), {
+          isAxiosError: true,
+          response: { status, headers: {}, data: {} },
+        });
+      }
+      return {
+        status,
+        headers: {},
+        data: {
+          id: 1,
+          slug: "title",
+          primaryPublication: { subdomain: "blog" },
+        },
+      };
+    };
+  });
+
+  after(() => {
+    axios.request = axiosRequest;
+  });
+
+  beforeEach(() => {
+    calls = [];
+    statuses = {};
+  });
+
+  it("publishes a draft", async () => {
+    const result = await substackClient.createPost(authTokens, postData);
+
+    assert.deepEqual(result, {
+      postId: "1",
+      postUrl: "https://blog.substack.com/p/title",
+      subdomain: "blog",
+    });
+    assert.deepEqual(calls, [
+      "GET /api/v1/user/profile/self",
+      "POST /api/v1/drafts",
+      "POST /api/v1/drafts/1/publish",
+    ]);
+  });
+
+  it("marks a session without cookies as not sent", async () => {
+    await assert.rejects(
+      substackClient.createPost({ cookies: {} }, postData),
+      (error) => error.postNotSent === true
+    );
+    assert.deepEqual(calls, []);
+  });
+
+  it("marks a refused profile request as not sent", async () => {
+    statuses["/api/v1/user/profile/self"] = 401;
+
+    await assert.rejects(
+      substackClient.createPost(authTokens, postData),
+      (error) => error instanceof ProviderError && error.postNotSent === true
+    );
+  });
+
+  it("does not mark a profile request without an answer", async () => {
+    statuses["/api/v1/user/profile/self"] = 503;
+
+    await assert.rejects(
+      substackClient.createPost(authTokens, postData),
+      (error) => error instanceof ProviderError && !error.postNotSent
+    );
+  });
+
+  it("does not mark a failed draft request", async () => {
+    statuses["/api/v1/drafts"] = 400;
+
+    await assert.rejects(
+      substackClient.createPost(authTokens, postData),
+      (error) => error instanceof ProviderError && !error.postNotSent
+    );
+  });
+
+  it("deletes a draft whose publishing was rejected", async () => {
+    statuses["/api/v1/drafts/1/publish"] = 400;
+
+    await assert.rejects(
+      substackClient.createPost(authTokens, postData),
+      (error) => !error.postNotSent && error.draftId === undefined
+    );
+    assert.equal(calls.at(-1), "DELETE /api/v1/drafts/1");
+  });
+});
@@ -5,21 +5,36 @@
 
 const { Builder, By, until, Key } = require("selenium-webdriver");
 const chrome = require("selenium-webdriver/chrome");
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const config = require("../config/environment");
 const SessionStore = require("./sessionStore");
+const substackClient = require("./substackClient");
+const { toDocument, toHtml } = require("../utils/substackDocument");
+const { createSessionBackend } = require("./sessionBackends");
+const authService = require("./authService");
+const accountService = require("./accountService");
+const postHistoryService = require("./postHistoryService");
+const {
+  ProviderError,
+  ProviderDraftError,
+} = require("../utils/providerErrors");
 
 // Store active sessions (in-memory for WebDriver instances)
 const activeSessions = new Map();
 
-// Persistent session store
-const sessionStore = new SessionStore();
+// Persistent session store (login cookies encrypted at rest)
+const sessionStore = new SessionStore({
+  backend: createSessionBackend(config.sessions),
+  encryptionKey: config.sessions.encryptionKey || config.jwt.secret,
+});
 
 /**
  * Creates a new browser session for Substack login
+ * @param {string} ownerId - ID of the app user the session belongs to
  * @returns {Promise<Object>} Session object with browser instance and sessionId
  */
-async function createSession() {
+async function createSession(ownerId) {
   try {
     // Configure Chrome options
     const options = new chrome.Options();
@@ -47,6 +62,7 @@ async function createSession() {
 
     const session = {
       id: sessionId,
+      ownerId,
       driver,
       createdAt: new Date(),
       status: "created",
@@ -203,7 +219,7 @@ async function initiateLogin(sessionId, email) {
       return {
         success: true,
         status: "logged_in",
-        userData,
+        userData: toPublicUserData(userData),
         message: "Already logged in - no verification needed",
       };
     }
@@ -299,7 +315,7 @@ async function submitVerificationCode(sessionId, verificationCode) {
 
     // Take a screenshot for debugging (optional)
     try {
-      const screenshot = await driver.takeScreenshot();
+      await driver.takeScreenshot();
       console.log("Screenshot taken for debugging");
     } catch (screenshotError) {
       console.log("Could not take screenshot:", screenshotError.message);
@@ -456,7 +472,10 @@ async function submitVerificationCode(sessionId, verificationCode) {
     session.userData = userData;
 
     // Create JWT auth token
-    const substackAuthToken = createSubstackAuthToken(userData);
+    const substackAuthToken = await createSubstackAuthToken(
+      userData,
+      sessionId
+    );
 
     // Save updated session state
     await sessionStore.saveSession(sessionId, session);
@@ -470,7 +489,7 @@ async function submitVerificationCode(sessionId, verificationCode) {
     return {
       success: true,
       status: "logged_in",
-      userData,
+      userData: toPublicUserData(userData),
       substackAuthToken,
       message: "Successfully logged in to Substack",
     };
@@ -630,7 +649,7 @@ async function getUserData(driver) {
         try {
           // Check page source for email patterns
           const pageSource = await driver.getPageSource();
-          const emailMatch = pageSource.match(/[\w\.-]+@[\w\.-]+\.\w+/);
+          const emailMatch = pageSource.match(/[\w.-]+@[\w.-]+\.\w+/);
           if (emailMatch) {
             userData.email = emailMatch[0];
             console.log(`✅ Found email in page source: ${userData.email}`);
@@ -809,7 +828,7 @@ async function getUserData(driver) {
               return data;
             });
 
-            for (const [key, value] of Object.entries(localStorageData)) {
+            for (const value of Object.values(localStorageData)) {
               const match = value.match(/https:\/\/([^.]+)\.substack\.com/);
               if (match && match[1] !== "www" && match[1] !== "support") {
                 userData.subdomain = match[1];
@@ -915,6 +934,39 @@ async function getSessionStatus(sessionId) {
   };
 }
 
+/**
+ * Gets the app user a session belongs to
+ * @param {string} sessionId - Browser session ID
+ * @returns {Promise<Object>} `{ exists, ownerId }`; ownerId is null for
+ * sessions created before sessions were bound to users
+ */
+async function getSessionOwner(sessionId) {
+  const session =
+    (await sessionStore.getSession(sessionId)) || activeSessions.get(sessionId);
+
+  if (!session) {
+    return { exists: false, ownerId: null };
+  }
+
+  return { exists: true, ownerId: session.ownerId || null };
+}
+
+/**
+ * Checks whether a session belongs to the token's app user. Sessions
+ * without an owner belong to nobody.
+ * @param {Object} tokenPayload - Decoded JWT payload
+ * @param {string} sessionId - Browser session ID
+ * @returns {Promise<boolean>} True if the session exists and is the user's
+ * @throws {Error} If the token is not backed by stored credentials
+ */
+async function ownsSession(tokenPayload, sessionId) {
+  const [userId, owner] = await Promise.all([
+    accountService.getUserId(tokenPayload),
+    getSessionOwner(sessionId),
+  ]);
+  return owner.exists && owner.ownerId === userId;
+}
+
 /**
  * Gets all active sessions (for debugging)
  * @returns {Promise<Object>} List of active and persistent sessions
@@ -927,6 +979,8 @@ async function getAllActiveSessions() {
   for (const [sessionId, session] of activeSessions.entries()) {
     activeSessions_array.push({
       sessionId,
+      ownerId:
+        session.ownerId || persistentSessions[sessionId]?.ownerId || null,
       status: session.status,
       email: session.email || null,
       createdAt: session.createdAt,
@@ -942,6 +996,7 @@ async function getAllActiveSessions() {
     if (!activeSessions.has(sessionId)) {
       persistentSessions_array.push({
         sessionId,
+        ownerId: session.ownerId || null,
         status: session.status,
         email: session.email || null,
         createdAt: session.createdAt,
@@ -1042,12 +1097,21 @@ async function cleanupOldSessions(
 }
 
 /**
- * Creates a JWT token containing Substack authentication data
+ * Creates a JWT token for a Substack login. The auth cookies are kept in the
+ * token vault; the JWT only carries the account ID. The Substack account is
+ * linked to the app user owning the session, so the token can manage it.
  * @param {Object} userData - User data from successful login
- * @returns {string} JWT token
+ * @param {string} sessionId - Browser session ID the login happened in
+ * @returns {Promise<string>} JWT token
  */
-function createSubstackAuthToken(userData) {
+async function createSubstackAuthToken(userData, sessionId) {
   try {
+    const accountId = await authService.storeCredentials(
+      "substack",
+      userData.email || sessionId,
+      { authTokens: userData.authTokens || null, sessionId }
+    );
+
     const tokenData = {
       provider: "substack",
       email: userData.email,
@@ -1055,13 +1119,20 @@ function createSubstackAuthToken(userData) {
       profileUrl: userData.profileUrl,
       isLoggedIn: userData.isLoggedIn,
       loginTime: userData.loginTime,
-      authTokens: userData.authTokens,
+      accountId,
       // Add expiration (24 hours)
       exp: Math.floor(Date.now() / 1000) + 24 * 60 * 60,
       iat: Math.floor(Date.now() / 1000),
     };
 
-    const token = jwt.sign(tokenData, config.jwt.secret);
+    const { ownerId } = await getSessionOwner(sessionId);
+    if (ownerId) {
+      await accountService.linkAccountToUser(ownerId, tokenData);
+    }
+
+    const token = jwt.sign(tokenData, config.jwt.secret, {
+      jwtid: crypto.randomUUID(),
+    });
     console.log("🔐 Created Substack auth token");
     return token;
   } catch (error) {
@@ -1070,6 +1141,16 @@ function createSubstackAuthToken(userData) {
   }
 }
 
+/**
+ * Removes auth cookies from user data before it is returned to clients
+ * @param {Object} userData - User data extracted after login
+ * @returns {Object} User data without authTokens
+ */
+function toPublicUserData(userData) {
+  const { authTokens, ...publicUserData } = userData || {};
+  return publicUserData;
+}
+
 /**
  * Generates a unique session ID
  * @returns {string} Random session ID
@@ -1187,7 +1268,10 @@ async function waitForEmailVerification(sessionId, timeoutMs = 300000) {
           const userData = await getUserData(driver);
 
           // Create JWT auth token
-          const substackAuthToken = createSubstackAuthToken(userData);
+          const substackAuthToken = await createSubstackAuthToken(
+            userData,
+            sessionId
+          );
 
           console.log(
             `✅ Email verification completed: ${
@@ -1198,7 +1282,7 @@ async function waitForEmailVerification(sessionId, timeoutMs = 300000) {
           return {
             success: true,
             status: "logged_in",
-            userData,
+            userData: toPublicUserData(userData),
             substackAuthToken,
             message: "Email verification completed successfully",
             verificationMethod: "email_click",
@@ -1581,9 +1665,10 @@ function shouldRefreshAuth(session) {
  * @param {WebDriver} driver - Selenium WebDriver instance
  * @param {string} title - Post title
  * @param {string} content - Post content
+ * @param {string} [format="plain"] - Content format
  * @returns {Promise<boolean>} True if editor was found and content filled
  */
-async function tryToFindEditor(driver, title, content) {
+async function tryToFindEditor(driver, title, content, format = "plain") {
   try {
     // Step 2: Look for and click the "New post" button
     console.log(`🔍 Looking for "New post" button...`);
@@ -1622,7 +1707,7 @@ async function tryToFindEditor(driver, title, content) {
         console.log(`🎯 Successfully navigated to post editor: ${currentUrl}`);
 
         // Try to fill in the title and content
-        return await fillPostContent(driver, title, content);
+        return await fillPostContent(driver, title, content, format);
       }
     } catch (error) {
       console.log(
@@ -1643,9 +1728,10 @@ async function tryToFindEditor(driver, title, content) {
  * @param {WebDriver} driver - Selenium WebDriver instance
  * @param {string} title - Post title
  * @param {string} content - Post content
+ * @param {string} [format="plain"] - Content format
  * @returns {Promise<boolean>} True if content was successfully filled
  */
-async function fillPostContent(driver, title, content) {
+async function fillPostContent(driver, title, content, format = "plain") {
   try {
     // Wait for editor to load and fill in title
     console.log(`📝 Filling in post title: "${title}"`);
@@ -1673,7 +1759,7 @@ async function fillPostContent(driver, title, content) {
 
     await contentEditor.click();
     await contentEditor.clear();
-    await contentEditor.sendKeys(content);
+    await insertContent(driver, contentEditor, content, format);
     console.log(`✅ Content entered (${content.length} characters)`);
 
     return true;
@@ -1684,61 +1770,548 @@ async function fillPostContent(driver, title, content) {
 }
 
 /**
- * Creates a post on Substack using an authenticated session
+ * Gets an active, logged-in session, reconnecting a persisted one and
+ * refreshing stale auth when needed
+ * @param {string} sessionId - Browser session ID
+ * @returns {Promise<Object>} Active session (driver, status, userData)
+ * @throws {Error} If the session cannot be used for publishing
+ */
+async function getLoggedInSession(sessionId) {
+  let session = activeSessions.get(sessionId);
+
+  // If session not active but exists in persistent storage, try to reconnect
+  if (!session) {
+    const persistentSession = await sessionStore.getSession(sessionId);
+    if (persistentSession && persistentSession.status === "logged_in") {
+      console.log(
+        `🔄 Session ${sessionId} not active, attempting reconnection...`
+      );
+      await reconnectSession(sessionId);
+      session = activeSessions.get(sessionId);
+    }
+  }
+
+  if (!session) {
+    throw new Error("Session not found and could not be reconnected");
+  }
+
+  if (session.status !== "logged_in") {
+    throw new Error(`Session not logged in. Current status: ${session.status}`);
+  }
+
+  // Check if authentication needs refresh to prevent login issues
+  if (shouldRefreshAuth(session)) {
+    console.log(`🔄 Session authentication is stale, refreshing...`);
+    try {
+      await refreshSessionAuth(sessionId);
+      // Get updated session after refresh
+      session = activeSessions.get(sessionId);
+    } catch (refreshError) {
+      console.log(
+        `⚠️ Could not refresh auth, continuing with existing tokens:`,
+        refreshError.message
+      );
+    }
+  }
+
+  return session;
+}
+
+/**
+ * Extracts the post ID from a Substack editor URL (/publish/post/<id>)
+ * @param {string} url - Page URL
+ * @returns {string|null} Post ID or null if the URL has none
+ */
+function getPostIdFromUrl(url) {
+  const match = url && url.match(/\/publish\/post\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Finds the first element matching any of the selectors (XPath when the
+ * selector starts with "//", CSS otherwise)
+ * @param {WebDriver} driver - Selenium WebDriver instance
+ * @param {Array<string>} selectors - Selectors in order of preference
+ * @param {WebElement} [root] - Element to search within (defaults to the page)
+ * @returns {Promise<WebElement|null>} Matching element or null
+ */
+async function findFirstElement(driver, selectors, root = driver) {
+  for (const selector of selectors) {
+    try {
+      return await root.findElement(
+        selector.startsWith("//") || selector.startsWith(".//")
+          ? By.xpath(selector)
+          : By.css(selector)
+      );
+    } catch (error) {
+      console.log(`Selector "${selector}" not found, trying next...`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets the publication subdomain posts are managed under
+ * @param {Object} session - Active session
+ * @param {string} [subdomain] - Explicit subdomain override
+ * @returns {string} Subdomain
+ * @throws {Error} If no subdomain is known for the session
+ */
+function getPublicationSubdomain(session, subdomain) {
+  const userSubdomain = subdomain || session.userData?.subdomain;
+  if (!userSubdomain) {
+    throw new Error(
+      "Could not determine the publication subdomain. Pass `subdomain` or publish a post from this session first."
+    );
+  }
+  return userSubdomain;
+}
+
+/**
+ * Opens the editor of an existing post
+ * @param {WebDriver} driver - Selenium WebDriver instance
+ * @param {string} subdomain - Publication subdomain
+ * @param {string} postId - Substack post ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the session is logged out or the post does not exist
+ */
+async function openPostEditor(driver, subdomain, postId) {
+  const editorUrl = `https://${subdomain}.substack.com/publish/post/${postId}`;
+  console.log(`📝 Opening post editor: ${editorUrl}`);
+  await driver.get(editorUrl);
+  await driver.sleep(5000);
+
+  const currentUrl = await driver.getCurrentUrl();
+  if (currentUrl.includes("sign-in") || currentUrl.includes("login")) {
+    throw new Error("Session expired. Please log in again.");
+  }
+  if (!currentUrl.includes(`/publish/post/${postId}`)) {
+    throw new Error(`Post ${postId} not found. Current URL: ${currentUrl}`);
+  }
+}
+
+/**
+ * Types post content into the editor. Plain text is typed as it is; Markdown
+ * and HTML are converted to rich text and pasted, so the editor keeps the
+ * formatting instead of showing the markup.
+ * @param {WebDriver} driver - Selenium WebDriver instance
+ * @param {WebElement} editor - Content editor element
+ * @param {string} content - Post content
+ * @param {string} [format="plain"] - "plain", "markdown" or "html"
+ * @returns {Promise<void>}
+ */
+async function insertContent(driver, editor, content, format = "plain") {
+  if (format === "plain") {
+    await editor.sendKeys(content);
+    return;
+  }
+
+  await driver.executeScript(
+    `const [editor, html, text] = arguments;
+    const data = new DataTransfer();
+    data.setData("text/html", html);
+    data.setData("text/plain", text);
+    editor.focus();
+    editor.dispatchEvent(
+      new ClipboardEvent("paste", { clipboardData: data, bubbles: true, cancelable: true })
+    );`,
+    editor,
+    toHtml(toDocument(content, format)),
+    content
+  );
+}
+
+/**
+ * Replaces the text of an editor field
+ * @param {WebDriver} driver - Selenium WebDriver instance
+ * @param {WebElement} element - Input, textarea or contenteditable element
+ * @param {string} text - New text
+ * @param {string} [format="plain"] - Content format of the text
+ * @returns {Promise<void>}
+ */
+async function replaceFieldText(driver, element, text, format = "plain") {
+  const isContentEditable = await element.getAttribute("contenteditable");
+
+  await element.click();
+  if (isContentEditable === "true") {
+    await driver.executeScript("arguments[0].innerHTML = '';", element);
+  } else {
+    await element.sendKeys(Key.chord(Key.CONTROL, "a"), Key.BACK_SPACE);
+  }
+  await insertContent(driver, element, text, format);
+}
+
+/**
+ * Edits a draft or published post through the browser session. Only the
+ * fields provided are changed.
+ * @param {string} sessionId - Browser session ID
+ * @param {string} postId - Substack post ID (from the editor URL)
+ * @param {Object} postData - Fields to change
+ * @param {string} [postData.title] - New title
+ * @param {string} [postData.subtitle] - New subtitle
+ * @param {string} [postData.content] - New content
+ * @param {string} [postData.format="plain"] - Content format ("plain",
+ * "markdown" or "html")
+ * @param {string} [postData.subdomain] - Publication subdomain override
+ * @returns {Promise<Object>} Update result
+ */
+async function updatePost(sessionId, postId, postData) {
+  try {
+    const session = await getLoggedInSession(sessionId);
+    const { driver } = session;
+    const { title, subtitle, content, format = "plain" } = postData;
+    const subdomain = getPublicationSubdomain(session, postData.subdomain);
+
+    await openPostEditor(driver, subdomain, postId);
+
+    const updatedFields = [];
+
+    if (title !== undefined) {
+      const titleInput = await findFirstElement(driver, [
+        'textarea[data-testid="post-title"]',
+        'textarea[id="post-title"]',
+        'textarea[placeholder="Title"]',
+        'h1[contenteditable="true"]',
+      ]);
+      if (!titleInput) {
+        throw new Error("Could not find title input field");
+      }
+      await replaceFieldText(driver, titleInput, title);
+      updatedFields.push("title");
+      console.log(`✅ Title updated: "${title}"`);
+    }
+
+    if (subtitle !== undefined) {
+      const subtitleInput = await findFirstElement(driver, [
+        'textarea[data-testid="post-subtitle"]',
+        'textarea[placeholder*="subtitle"]',
+        'input[placeholder*="subtitle"]',
+        'input[placeholder*="Subtitle"]',
+      ]);
+      if (!subtitleInput) {
+        throw new Error("Could not find subtitle input field");
+      }
+      await replaceFieldText(driver, subtitleInput, subtitle);
+      updatedFields.push("subtitle");
+      console.log(`✅ Subtitle updated: "${subtitle}"`);
+    }
+
+    if (content !== undefined) {
+      const contentEditor = await findFirstElement(driver, [
+        'div[data-testid="editor"]',
+        ".tiptap.ProseMirror",
+        ".ProseMirror",
+        'div[contenteditable="true"]',
+      ]);
+      if (!contentEditor) {
+        throw new Error("Could not find content editor");
+      }
+      await replaceFieldText(driver, contentEditor, content, format);
+      updatedFields.push("content");
+      console.log(`✅ Content updated (${content.length} characters)`);
+    }
+
+    // Drafts autosave; published posts need their changes pushed out
+    await driver.sleep(3000);
+    const updateButton = await findFirstElement(driver, [
+      '//button[normalize-space(text())="Update"]',
+      '//button[contains(text(), "Update")]',
+    ]);
+
+    let republished = false;
+    if (updateButton) {
+      await updateButton.click();
+      console.log(`✅ Clicked Update button`);
+      await driver.sleep(2000);
+
+      const confirmButton = await findFirstElement(driver, [
+        '//button[contains(text(), "Update now")]',
+        '//button[contains(text(), "Save changes")]',
+        '//button[contains(text(), "Publish update")]',
+      ]);
+      if (confirmButton) {
+        await confirmButton.click();
+        console.log(`✅ Confirmed update`);
+        await driver.sleep(3000);
+      }
+      republished = true;
+    }
+
+    console.log(`🎉 Substack post ${postId} updated`);
+    return {
+      success: true,
+      postId,
+      updatedFields,
+      republished,
+      currentUrl: await driver.getCurrentUrl(),
+      message: "Post updated successfully",
+      updatedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    console.error("Error updating Substack post:", error);
+    throw new Error(`Failed to update post: ${error.message}`);
+  }
+}
+
+/**
+ * Unpublishes a post through the browser session, turning it back into a
+ * draft. Subscribers who already received the email keep it.
+ * @param {string} sessionId - Browser session ID
+ * @param {string} postId - Substack post ID (from the editor URL)
+ * @param {Object} [options] - Options
+ * @param {string} [options.subdomain] - Publication subdomain override
+ * @returns {Promise<Object>} Unpublish result
+ */
+async function unpublishPost(sessionId, postId, options = {}) {
+  try {
+    const session = await getLoggedInSession(sessionId);
+    const { driver } = session;
+    const subdomain = getPublicationSubdomain(session, options.subdomain);
+
+    const publishedPostsUrl = `https://${subdomain}.substack.com/publish/posts/published`;
+    console.log(`🏠 Opening published posts: ${publishedPostsUrl}`);
+    await driver.get(publishedPostsUrl);
+    await driver.sleep(5000);
+
+    const currentUrl = await driver.getCurrentUrl();
+    if (currentUrl.includes("sign-in") || currentUrl.includes("login")) {
+      throw new Error("Session expired. Please log in again.");
+    }
+
+    // The row holding a link to the post's editor
+    const postRow = await findFirstElement(driver, [
+      `//a[contains(@href, "/publish/post/${postId}")]/ancestor::*[.//button][1]`,
+    ]);
+    if (!postRow) {
+      throw new Error(`Published post ${postId} not found`);
+    }
+
+    const menuButton = await findFirstElement(
+      driver,
+      [
+        'button[aria-label*="More"]',
+        'button[aria-label*="options"]',
+        'button[data-testid="post-menu"]',
+        './/button[contains(text(), "…")]',
+        ".//button[last()]",
+      ],
+      postRow
+    );
+    if (!menuButton) {
+      throw new Error("Could not find the post's menu button");
+    }
+    await driver.executeScript(
+      "arguments[0].scrollIntoView({block: 'center'});",
+      menuButton
+    );
+    await menuButton.click();
+    await driver.sleep(1000);
+
+    const unpublishOption = await findFirstElement(driver, [
+      '//button[normalize-space(text())="Unpublish"]',
+      '//*[@role="menuitem"][contains(., "Unpublish")]',
+      '//*[contains(text(), "Unpublish")]',
+    ]);
+    if (!unpublishOption) {
+      throw new Error("Could not find Unpublish option");
+    }
+    await unpublishOption.click();
+    await driver.sleep(1000);
+
+    // Substack asks for confirmation in a dialog
+    const confirmButton = await findFirstElement(driver, [
+      '//div[@role="dialog"]//button[contains(text(), "Unpublish")]',
+      '//button[normalize-space(text())="Unpublish"]',
+      '//button[contains(text(), "Confirm")]',
+    ]);
+    if (confirmButton) {
+      await confirmButton.click();
+      console.log(`✅ Confirmed unpublish`);
+    }
+    await driver.sleep(3000);
+
+    console.log(`🗑️ Substack post ${postId} unpublished`);
+    return {
+      success: true,
+      postId,
+      isDraft: true,
+      message: "Post unpublished successfully",
+      unpublishedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    console.error("Error unpublishing Substack post:", error);
+    throw new Error(`Failed to unpublish post: ${error.message}`);
+  }
+}
+
+/**
+ * Creates a post on Substack using an authenticated session. The post is
+ * sent through Substack's web API with the session's cookies; the browser
+ * editor is only driven when that fails before a request that could create
+ * the post was sent (or SUBSTACK_API_POSTING=false), so it never posts twice.
  * @param {string} sessionId - Browser session ID
  * @param {Object} postData - Post data
  * @param {string} postData.title - Post title
- * @param {string} postData.content - Post content (HTML or markdown)
+ * @param {string} postData.content - Post content
+ * @param {string} [postData.format="plain"] - Content format ("plain",
+ * "markdown" or "html")
  * @param {boolean} [postData.isDraft=false] - Whether to save as draft
  * @param {string} [postData.subtitle] - Post subtitle
  * @param {string} [postData.subdomain] - User's Substack subdomain (optional override)
- * @returns {Promise<Object>} Post creation result
+ * @returns {Promise<Object>} Post creation result (`via` "api" or "browser")
+ * @throws {ProviderError} If the API request failed after reaching Substack
  */
 async function createPost(sessionId, postData) {
-  try {
-    let session = activeSessions.get(sessionId);
-
-    // If session not active but exists in persistent storage, try to reconnect
-    if (!session) {
-      const persistentSession = await sessionStore.getSession(sessionId);
-      if (persistentSession && persistentSession.status === "logged_in") {
-        console.log(
-          `🔄 Session ${sessionId} not active, attempting reconnection...`
+  if (config.substack.apiPosting) {
+    try {
+      return await createPostViaApi(sessionId, postData);
+    } catch (error) {
+      // The draft is still on Substack, so the browser could post it twice
+      if (error.draftId) {
+        throw new ProviderDraftError(
+          `Failed to create post: ${error.message} (check draft ${error.draftId} on Substack before retrying)`,
+          {
+            provider: "substack",
+            upstreamStatus: error.upstreamStatus ?? null,
+            draftId: error.draftId,
+          }
         );
-        await reconnectSession(sessionId);
-        session = activeSessions.get(sessionId);
       }
+      // The post may exist anyway, and the browser would post it twice
+      if (!error.postNotSent) {
+        throw error instanceof ProviderError
+          ? error
+          : new ProviderError(`Failed to create post: ${error.message}`, {
+              provider: "substack",
+            });
+      }
+      console.warn(
+        `⚠️ Substack API posting failed, falling back to the browser: ${error.message}`
+      );
     }
+  }
 
-    if (!session) {
-      throw new Error("Session not found and could not be reconnected");
-    }
+  return {
+    ...(await createPostInBrowser(sessionId, postData)),
+    via: "browser",
+  };
+}
 
-    if (session.status !== "logged_in") {
-      throw new Error(
-        `Session not logged in. Current status: ${session.status}`
-      );
-    }
+/**
+ * Creates a post and records the outcome in the post history. Shared by
+ * POST /api/substack/post and cross-platform publishing, which both
+ * validate the fields against the createPost schema first.
+ * @param {Object} user - Decoded JWT of the posting user
+ * @param {string} sessionId - Browser session ID owned by the user
+ * @param {Object} fields - Request fields (title, content, subtitle,
+ * format, isDraft)
+ * @returns {Promise<Object>} Post creation result
+ */
+async function publishPost(user, sessionId, fields) {
+  const postData = {
+    title: fields.title.trim(),
+    content: fields.content.trim(),
+    subtitle: fields.subtitle ? fields.subtitle.trim() : "",
+    format: fields.format || "plain",
+    isDraft: !!fields.isDraft,
+  };
+  const historyEntry = { user, platform: "substack", content: postData };
 
-    // Check if authentication needs refresh to prevent login issues
-    if (shouldRefreshAuth(session)) {
-      console.log(`🔄 Session authentication is stale, refreshing...`);
-      try {
-        await refreshSessionAuth(sessionId);
-        // Get updated session after refresh
-        session = activeSessions.get(sessionId);
-      } catch (refreshError) {
-        console.log(
-          `⚠️ Could not refresh auth, continuing with existing tokens:`,
-          refreshError.message
-        );
-      }
+  let result;
+  try {
+    result = await createPost(sessionId, postData);
+  } catch (postError) {
+    await postHistoryService.recordPost({
+      ...historyEntry,
+      status: postHistoryService.POST_STATUS.FAILED,
+      error: postError.message,
+    });
+    throw postError;
+  }
+
+  await postHistoryService.recordPost({
+    ...historyEntry,
+    status: postData.isDraft
+      ? postHistoryService.POST_STATUS.DRAFT
+      : postHistoryService.POST_STATUS.PUBLISHED,
+    platformPostId: result.postId,
+    postUrl: result.postUrl,
+  });
+
+  return result;
+}
+
+/**
+ * Creates a post through Substack's web API with the cookies captured at
+ * login. Needs no running browser, only a logged-in session.
+ * @param {string} sessionId - Browser session ID
+ * @param {Object} postData - Post data (see createPost)
+ * @returns {Promise<Object>} Post creation result
+ * @throws {Error} If the session has no cookies or a request fails;
+ * `postNotSent` is set if nothing was sent to create the post
+ */
+async function createPostViaApi(sessionId, postData) {
+  const session =
+    activeSessions.get(sessionId) || (await sessionStore.getSession(sessionId));
+  if (!session || session.status !== "logged_in") {
+    throw Object.assign(new Error("Session not logged in"), {
+      postNotSent: true,
+    });
+  }
+
+  const {
+    title,
+    content,
+    format = "plain",
+    isDraft = false,
+    subtitle = "",
+  } = postData;
+  console.log(`📝 Creating Substack post via API: "${title}"`);
+
+  const { postId, postUrl } = await substackClient.createPost(
+    session.userData?.authTokens || session.authTokens,
+    {
+      title,
+      content,
+      format,
+      subtitle,
+      isDraft,
+      subdomain: postData.subdomain || session.userData?.subdomain,
     }
+  );
+  await sessionStore.updateLastActive(sessionId);
+
+  console.log(
+    `🎉 Substack post ${isDraft ? "draft saved" : "published"}: "${title}"`
+  );
+  return {
+    success: true,
+    postId,
+    title,
+    subtitle,
+    content: content.substring(0, 100) + (content.length > 100 ? "..." : ""),
+    isDraft,
+    postUrl,
+    message: `Post ${isDraft ? "saved as draft" : "published"} successfully`,
+    createdAt: new Date().toISOString(),
+    via: "api",
+  };
+}
 
+/**
+ * Creates a post by driving the Substack editor in the session's browser
+ * @param {string} sessionId - Browser session ID
+ * @param {Object} postData - Post data (see createPost)
+ * @returns {Promise<Object>} Post creation result
+ */
+async function createPostInBrowser(sessionId, postData) {
+  try {
+    const session = await getLoggedInSession(sessionId);
     const { driver } = session;
     const {
       title,
       content,
+      format = "plain",
       isDraft = false,
       subtitle = "",
       subdomain = null,
@@ -2006,7 +2579,12 @@ async function createPost(sessionId, postData) {
           console.log(`📍 After direct publish navigation: ${currentUrl}`);
 
           // Check if we have editor elements
-          const editorFound = await tryToFindEditor(driver, title, content);
+          const editorFound = await tryToFindEditor(
+            driver,
+            title,
+            content,
+            format
+          );
           if (editorFound) {
             foundEditor = true;
             console.log(`✅ Found editor via direct publish URL`);
@@ -2069,7 +2647,12 @@ async function createPost(sessionId, postData) {
             console.log(`📍 After clicking write button: ${newUrl}`);
 
             // Try to find editor
-            const editorFound = await tryToFindEditor(driver, title, content);
+            const editorFound = await tryToFindEditor(
+              driver,
+              title,
+              content,
+              format
+            );
             if (editorFound) {
               foundEditor = true;
               console.log(`✅ Found editor after clicking write button`);
@@ -2262,12 +2845,15 @@ async function createPost(sessionId, postData) {
     // Clear existing content and add new content
     await contentEditor.click();
     await driver.executeScript("arguments[0].innerHTML = '';", contentEditor);
-    await contentEditor.sendKeys(content);
+    await insertContent(driver, contentEditor, content, format);
     console.log(`✅ Content entered (${content.length} characters)`);
 
     // Wait a moment for the content to be processed
     await driver.sleep(2000);
 
+    // New drafts get their ID in the editor URL once autosaved
+    const editorUrl = await driver.getCurrentUrl();
+
     // First, look for "Continue" button to go to publish settings
     let continueButton;
     try {
@@ -2460,7 +3046,7 @@ async function createPost(sessionId, postData) {
 
       try {
         // Look for the subscribe buttons popup modal
-        const modal = await driver.findElement(
+        await driver.findElement(
           By.xpath(
             '//div[contains(text(), "Add subscribe buttons to your post")]'
           )
@@ -2538,6 +3124,7 @@ async function createPost(sessionId, postData) {
 
     // Get the current URL to check if post was created
     const finalUrl = await driver.getCurrentUrl();
+    const postId = getPostIdFromUrl(editorUrl) || getPostIdFromUrl(finalUrl);
 
     // Try to get the post URL if available
     let postUrl = null;
@@ -2555,6 +3142,7 @@ async function createPost(sessionId, postData) {
 
     const result = {
       success: true,
+      postId,
       title,
       subtitle,
       content: content.substring(0, 100) + (content.length > 100 ? "..." : ""),
@@ -2603,99 +3191,13 @@ async function updateSessionStatus(sessionId, updatedSession) {
   }
 }
 
-// Cleanup old sessions every 24 hours (once per day)
-setInterval(cleanupOldSessions, 24 * 60 * 60 * 1000);
-
-/**
- * Helper function to handle the publish process after content is filled
- * @param {WebDriver} driver - Selenium WebDriver instance
- * @param {string} title - Post title
- * @param {string} content - Post content
- * @param {string} currentUrl - Current page URL
- * @returns {Promise<Object>} Publish result
- */
-async function handlePublishProcess(driver, title, content, currentUrl) {
-  try {
-    // Look for Continue/Publish button
-    console.log(`🔍 Looking for Continue or Publish button...`);
-
-    const continueSelectors = [
-      'button[data-testid="publish-button"]',
-      '//button[contains(text(), "Continue")]',
-      '//button[contains(text(), "Next")]',
-      'button[data-testid="publish"]',
-    ];
-
-    let continueClicked = false;
-    for (const selector of continueSelectors) {
-      try {
-        const button = selector.startsWith("//")
-          ? await driver.findElement(By.xpath(selector))
-          : await driver.findElement(By.css(selector));
-
-        console.log(`✅ Found Continue button with selector: ${selector}`);
-        await button.click();
-        console.log(`✅ Clicked Continue button`);
-        continueClicked = true;
-        await driver.sleep(3000);
-        break;
-      } catch (e) {
-        console.log(`Button selector "${selector}" not found, trying next...`);
-        continue;
-      }
-    }
-
-    if (continueClicked) {
-      const newUrl = await driver.getCurrentUrl();
-      console.log(`📍 Now on publish settings page: ${newUrl}`);
-
-      // Look for final publish button
-      const publishSelectors = [
-        '//button[normalize-space(text())="Send to everyone now"]',
-        '//button[contains(text(), "Send to everyone now")]',
-        '//button[contains(text(), "Publish now")]',
-        'button[data-testid="final-publish"]',
-      ];
-
-      for (const selector of publishSelectors) {
-        try {
-          const publishButton = await driver.findElement(By.xpath(selector));
-          console.log(`✅ Found publish button with selector: ${selector}`);
-          await publishButton.click();
-          console.log(`✅ Clicked publish button`);
-          break;
-        } catch (e) {
-          console.log(
-            `Button selector "${selector}" not found, trying next...`
-          );
-          continue;
-        }
-      }
-    } else {
-      console.log(
-        `⚠️ Could not find Continue button, post may be saved as draft`
-      );
-    }
-
-    console.log(`🎉 Substack post published: "${title}"`);
-
-    return {
-      success: true,
-      title,
-      subtitle: "",
-      content: content.substring(0, 100) + (content.length > 100 ? "..." : ""),
-      isDraft: !continueClicked,
-      postUrl: await driver.getCurrentUrl(),
-      message: continueClicked
-        ? "Post published successfully"
-        : "Post saved as draft",
-      createdAt: new Date().toISOString(),
-    };
-  } catch (error) {
-    console.error(`Error in publish process:`, error);
-    throw new Error(`Failed to publish post: ${error.message}`);
-  }
-}
+// Cleanup old sessions every 24 hours (once per day); the timer alone
+// doesn't keep the process running
+setInterval(() => {
+  cleanupOldSessions().catch((error) =>
+    console.error("Error cleaning up sessions:", error)
+  );
+}, 24 * 60 * 60 * 1000).unref();
 
 module.exports = {
   createSession,
@@ -2703,6 +3205,8 @@ module.exports = {
   submitVerificationCode,
   waitForEmailVerification,
   getSessionStatus,
+  getSessionOwner,
+  ownsSession,
   getAllActiveSessions,
   reconnectSession,
   recreateWebDriverSession,
@@ -2711,6 +3215,9 @@ module.exports = {
   getPageState,
   createSubstackAuthToken,
   createPost,
+  publishPost,
+  updatePost,
+  unpublishPost,
   updateSessionStatus,
   refreshSessionAuth,
   shouldRefreshAuth,
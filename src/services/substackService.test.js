@@ -0,0 +1,78 @@
+/**
+ * Tests of when Substack posts fall back to the browser
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Stores live in a temporary directory; sessions stay in memory
+const storeRoot = fs.mkdtempSync(path.join(os.tmpdir(), "substack-"));
+Object.assign(process.env, {
+  JWT_SECRET: "test-secret",
+  TOKEN_VAULT_PATH: path.join(storeRoot, "vault"),
+  USER_STORE_PATH: path.join(storeRoot, "users"),
+  POST_HISTORY_PATH: path.join(storeRoot, "posts"),
+  SESSION_STORE_BACKEND: "memory",
+});
+
+const substackClient = require("./substackClient");
+const substackService = require("./substackService");
+const {
+  ProviderError,
+  ProviderUnavailableError,
+} = require("../utils/providerErrors");
+
+describe("substackService.createPost", () => {
+  const createPost = substackClient.createPost;
+  const postData = { title: "Title", content: "Body" };
+  let clientError;
+
+  before(async () => {
+    substackClient.createPost = async () => {
+      throw clientError;
+    };
+    await substackService.updateSessionStatus("session", {
+      status: "logged_in",
+      createdAt: new Date(),
+      authTokens: { cookies: { "substack.sid": "sid" } },
+    });
+  });
+
+  after(() => {
+    substackClient.createPost = createPost;
+    fs.rmSync(storeRoot, { recursive: true, force: true });
+  });
+
+  it("surfaces an API failure that may have reached Substack", async () => {
+    clientError = new ProviderUnavailableError("Substack timed out", {
+      provider: "substack",
+    });
+
+    await assert.rejects(
+      substackService.createPost("session", postData),
+      (error) => error === clientError
+    );
+  });
+
+  it("answers other API failures with a provider error", async () => {
+    clientError = new Error("Unexpected response");
+
+    await assert.rejects(
+      substackService.createPost("session", postData),
+      (error) =>
+        error instanceof ProviderError &&
+        error.provider === "substack" &&
+        /Unexpected response/.test(error.message)
+    );
+  });
+
+  it("falls back to the browser when nothing was sent", async () => {
+    await assert.rejects(
+      substackService.createPost("unknown-session", postData),
+      /Session not found/
+    );
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Persistent denylist of revoked JWTs
+ * @module services/tokenDenylist
+ */
+
+const path = require("path");
+const JsonFileStore = require("./jsonFileStore");
+
+class TokenDenylist {
+  /**
+   * @param {string} storePath - Directory holding the denylist file
+   */
+  constructor(storePath) {
+    this.storePath = storePath;
+    this.file = new JsonFileStore(path.join(storePath, "revoked-tokens.json"));
+    this.entries = null;
+    this.loading = null;
+  }
+
+  /**
+   * Loads the denylist into memory on first use
+   * @returns {Promise<Object>} Expiry timestamps (seconds) keyed by token ID
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.file.read().then(
+        (entries) => {
+          this.entries = entries;
+          return entries;
+        },
+        (error) => {
+          console.error("Error loading token denylist:", error);
+          this.loading = null;
+          throw error;
+        }
+      );
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Writes the denylist to disk. Writes are queued so they land in call order.
+   * @returns {Promise<void>}
+   */
+  persist() {
+    return this.file.write(this.entries).catch((error) => {
+      console.error("Error saving token denylist:", error);
+    });
+  }
+
+  /**
+   * Adds a token to the denylist and drops entries whose tokens have expired
+   * @param {string} tokenId - Token ID (jti)
+   * @param {number} expiresAt - Token expiry in seconds since epoch
+   * @returns {Promise<void>}
+   */
+  async add(tokenId, expiresAt) {
+    const entries = await this.load();
+    const now = Math.floor(Date.now() / 1000);
+
+    for (const [id, entryExpiresAt] of Object.entries(entries)) {
+      if (entryExpiresAt <= now) {
+        delete entries[id];
+      }
+    }
+
+    entries[tokenId] = expiresAt;
+    await this.persist();
+  }
+
+  /**
+   * Checks whether a token was revoked
+   * @param {string} tokenId - Token ID (jti)
+   * @returns {Promise<boolean>} True if the token is on the denylist
+   */
+  async has(tokenId) {
+    const entries = await this.load();
+    return Object.prototype.hasOwnProperty.call(entries, tokenId);
+  }
+}
+
+module.exports = TokenDenylist;
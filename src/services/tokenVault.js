@@ -0,0 +1,171 @@
+/**
+ * Encrypted server-side vault for provider credentials
+ * @module services/tokenVault
+ */
+
+const path = require("path");
+const JsonFileStore = require("./jsonFileStore");
+const crypto = require("crypto");
+const { deriveKey, encrypt, decrypt } = require("../utils/encryption");
+
+class TokenVault {
+  /**
+   * @param {Object} options - Vault options
+   * @param {string} options.storePath - Directory holding the vault file
+   * @param {string} options.encryptionKey - Key material for AES-256-GCM
+   */
+  constructor({ storePath, encryptionKey }) {
+    this.storePath = storePath;
+    this.file = new JsonFileStore(path.join(storePath, "credentials.json"));
+    this.key = deriveKey(encryptionKey || "");
+    this.records = null;
+    this.loading = null;
+  }
+
+  /**
+   * Loads the vault file into memory on first use
+   * @returns {Promise<Object>} Records keyed by account ID
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.file.read().then(
+        (records) => {
+          this.records = records;
+          return records;
+        },
+        (error) => {
+          console.error("Error loading token vault:", error);
+          this.loading = null;
+          throw error;
+        }
+      );
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Writes all records to disk. Writes are queued so they land in call order.
+   * @returns {Promise<void>}
+   */
+  persist() {
+    return this.file.write(this.records).catch((error) => {
+      console.error("Error saving token vault:", error);
+    });
+  }
+
+  /**
+   * Encrypts credentials, binding the ciphertext to its account ID
+   * @param {string} accountId - Account ID used as additional data
+   * @param {Object} credentials - Plain credentials
+   * @returns {Object} Encrypted payload ({ iv, tag, data }, base64)
+   */
+  encrypt(accountId, credentials) {
+    return encrypt(this.key, accountId, credentials);
+  }
+
+  /**
+   * Decrypts credentials of an account
+   * @param {string} accountId - Account ID used as additional data
+   * @param {Object} payload - Encrypted payload
+   * @returns {Object} Plain credentials
+   * @throws {Error} If the payload was tampered with or the key is wrong
+   */
+  decrypt(accountId, payload) {
+    return decrypt(this.key, accountId, payload);
+  }
+
+  /**
+   * Stores credentials for a provider account. Logging in again with the
+   * same provider account reuses its account ID.
+   * @param {Object} account - Account to store
+   * @param {string} account.provider - Provider name
+   * @param {string} account.providerUserId - User ID at the provider
+   * @param {Object} account.credentials - Credentials (accessToken, refreshToken, ...)
+   * @returns {Promise<string>} Opaque account ID
+   */
+  async storeCredentials({ provider, providerUserId, credentials }) {
+    const records = await this.load();
+
+    const existing = Object.values(records).find(
+      (record) =>
+        record.provider === provider &&
+        record.providerUserId === String(providerUserId)
+    );
+    const accountId = existing ? existing.accountId : crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    records[accountId] = {
+      accountId,
+      provider,
+      providerUserId: String(providerUserId),
+      credentials: this.encrypt(accountId, credentials),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
+
+    await this.persist();
+    return accountId;
+  }
+
+  /**
+   * Gets the decrypted credentials of an account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object|null>} Credentials or null if not found
+   */
+  async getCredentials(accountId) {
+    const records = await this.load();
+    const record = records[accountId];
+    if (!record) {
+      return null;
+    }
+
+    try {
+      return this.decrypt(accountId, record.credentials);
+    } catch (error) {
+      console.error(`Error decrypting credentials for ${accountId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Merges new values into an account's credentials
+   * @param {string} accountId - Account ID
+   * @param {Object} updates - Credential fields to update
+   * @returns {Promise<Object|null>} Updated credentials or null if not found
+   */
+  async updateCredentials(accountId, updates) {
+    const current = await this.getCredentials(accountId);
+    if (!current) {
+      return null;
+    }
+
+    const credentials = { ...current, ...updates };
+    this.records[accountId] = {
+      ...this.records[accountId],
+      credentials: this.encrypt(accountId, credentials),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this.persist();
+    return credentials;
+  }
+
+  /**
+   * Removes an account's credentials
+   * @param {string} accountId - Account ID
+   * @returns {Promise<boolean>} True if the account existed
+   */
+  async deleteCredentials(accountId) {
+    const records = await this.load();
+    if (!records[accountId]) {
+      return false;
+    }
+
+    delete records[accountId];
+    await this.persist();
+    return true;
+  }
+}
+
+module.exports = TokenVault;
@@ -0,0 +1,143 @@
+/**
+ * Tests of the encrypted token vault
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TokenVault = require("./tokenVault");
+
+const KEY = "test-vault-key";
+const CREDENTIALS = { accessToken: "access-secret", refreshToken: "refresh" };
+
+describe("TokenVault", () => {
+  let storePath;
+  let vault;
+
+  beforeEach(() => {
+    storePath = fs.mkdtempSync(path.join(os.tmpdir(), "vault-"));
+    vault = new TokenVault({ storePath, encryptionKey: KEY });
+  });
+
+  afterEach(() => {
+    fs.rmSync(storePath, { recursive: true, force: true });
+  });
+
+  /**
+   * Reads the vault file as written to disk
+   * @returns {Object} Records keyed by account ID
+   */
+  function readVaultFile() {
+    return JSON.parse(
+      fs.readFileSync(path.join(storePath, "credentials.json"), "utf8")
+    );
+  }
+
+  it("returns stored credentials and keeps them encrypted on disk", async () => {
+    const accountId = await vault.storeCredentials({
+      provider: "x",
+      providerUserId: 42,
+      credentials: CREDENTIALS,
+    });
+
+    assert.deepEqual(await vault.getCredentials(accountId), CREDENTIALS);
+
+    const raw = fs.readFileSync(path.join(storePath, "credentials.json"));
+    assert.ok(!raw.includes("access-secret"));
+    assert.equal(readVaultFile()[accountId].providerUserId, "42");
+  });
+
+  it("reads credentials written by another instance", async () => {
+    const accountId = await vault.storeCredentials({
+      provider: "linkedin",
+      providerUserId: "abc",
+      credentials: CREDENTIALS,
+    });
+
+    const reopened = new TokenVault({ storePath, encryptionKey: KEY });
+    assert.deepEqual(await reopened.getCredentials(accountId), CREDENTIALS);
+  });
+
+  it("reuses the account ID of a provider account logging in again", async () => {
+    const first = await vault.storeCredentials({
+      provider: "x",
+      providerUserId: "42",
+      credentials: CREDENTIALS,
+    });
+    const second = await vault.storeCredentials({
+      provider: "x",
+      providerUserId: "42",
+      credentials: { accessToken: "new-access" },
+    });
+    const other = await vault.storeCredentials({
+      provider: "linkedin",
+      providerUserId: "42",
+      credentials: CREDENTIALS,
+    });
+
+    assert.equal(second, first);
+    assert.notEqual(other, first);
+    assert.deepEqual(await vault.getCredentials(first), {
+      accessToken: "new-access",
+    });
+  });
+
+  it("returns null for unknown accounts", async () => {
+    assert.equal(await vault.getCredentials("missing"), null);
+    assert.equal(await vault.updateCredentials("missing", {}), null);
+    assert.equal(await vault.deleteCredentials("missing"), false);
+  });
+
+  it("rejects credentials decrypted with another key", async () => {
+    const accountId = await vault.storeCredentials({
+      provider: "x",
+      providerUserId: "42",
+      credentials: CREDENTIALS,
+    });
+
+    const otherKey = new TokenVault({ storePath, encryptionKey: "other" });
+    assert.equal(await otherKey.getCredentials(accountId), null);
+  });
+
+  it("rejects ciphertext moved to another account", async () => {
+    const victim = await vault.storeCredentials({
+      provider: "x",
+      providerUserId: "1",
+      credentials: CREDENTIALS,
+    });
+    const attacker = await vault.storeCredentials({
+      provider: "x",
+      providerUserId: "2",
+      credentials: { accessToken: "attacker" },
+    });
+
+    const records = readVaultFile();
+    records[attacker].credentials = records[victim].credentials;
+    fs.writeFileSync(
+      path.join(storePath, "credentials.json"),
+      JSON.stringify(records)
+    );
+
+    const reopened = new TokenVault({ storePath, encryptionKey: KEY });
+    assert.equal(await reopened.getCredentials(attacker), null);
+    assert.deepEqual(await reopened.getCredentials(victim), CREDENTIALS);
+  });
+
+  it("merges updates and deletes credentials", async () => {
+    const accountId = await vault.storeCredentials({
+      provider: "x",
+      providerUserId: "42",
+      credentials: CREDENTIALS,
+    });
+
+    assert.deepEqual(
+      await vault.updateCredentials(accountId, { accessToken: "refreshed" }),
+      { ...CREDENTIALS, accessToken: "refreshed" }
+    );
+    assert.equal(await vault.deleteCredentials(accountId), true);
+    assert.equal(await vault.getCredentials(accountId), null);
+    assert.deepEqual(readVaultFile(), {});
+  });
+});
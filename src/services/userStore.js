@@ -0,0 +1,154 @@
+/**
+ * Persistent store of app users and their linked provider accounts
+ * @module services/userStore
+ */
+
+const path = require("path");
+const JsonFileStore = require("./jsonFileStore");
+const crypto = require("crypto");
+
+class UserStore {
+  /**
+   * @param {string} storePath - Directory holding the users file
+   */
+  constructor(storePath = "./users") {
+    this.storePath = storePath;
+    this.file = new JsonFileStore(path.join(storePath, "users.json"));
+    this.users = null;
+    this.loading = null;
+  }
+
+  /**
+   * Loads users into memory on first use
+   * @returns {Promise<Object>} Users keyed by user ID
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.file.read().then(
+        (users) => {
+          this.users = users;
+          return users;
+        },
+        (error) => {
+          console.error("Error loading users:", error);
+          this.loading = null;
+          throw error;
+        }
+      );
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Writes all users to disk. Writes are queued so they land in call order.
+   * @returns {Promise<void>}
+   */
+  persist() {
+    return this.file.write(this.users).catch((error) => {
+      console.error("Error saving users:", error);
+    });
+  }
+
+  /**
+   * Finds the user an account is linked to
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object|null>} User or null if the account is not linked
+   */
+  async findUserByAccount(accountId) {
+    const users = await this.load();
+    return (
+      Object.values(users).find((user) =>
+        user.accounts.some((account) => account.accountId === accountId)
+      ) || null
+    );
+  }
+
+  /**
+   * Creates a user owning a single account
+   * @param {Object} account - Account record (accountId, provider, claims)
+   * @returns {Promise<Object>} Created user
+   */
+  async createUser(account) {
+    const users = await this.load();
+    const now = new Date().toISOString();
+
+    const user = {
+      id: crypto.randomUUID(),
+      accounts: [{ ...account, linkedAt: now }],
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    users[user.id] = user;
+    await this.persist();
+    return user;
+  }
+
+  /**
+   * Links an account to a user, moving it away from any other user. Users
+   * left without accounts are removed.
+   * @param {string} userId - User ID
+   * @param {Object} account - Account record (accountId, provider, claims)
+   * @returns {Promise<Object>} Updated user
+   */
+  async linkAccount(userId, account) {
+    const users = await this.load();
+    const user = users[userId];
+    if (!user) {
+      throw new Error(`User not found: ${userId}`);
+    }
+
+    const previousOwner = await this.findUserByAccount(account.accountId);
+    if (previousOwner && previousOwner.id !== userId) {
+      previousOwner.accounts = previousOwner.accounts.filter(
+        (linked) => linked.accountId !== account.accountId
+      );
+      if (previousOwner.accounts.length === 0) {
+        delete users[previousOwner.id];
+      }
+    }
+
+    const now = new Date().toISOString();
+    user.accounts = user.accounts.filter(
+      (linked) => linked.accountId !== account.accountId
+    );
+    user.accounts.push({ ...account, linkedAt: now });
+    user.updatedAt = now;
+
+    await this.persist();
+    return user;
+  }
+
+  /**
+   * Removes an account from a user. Users left without accounts are removed.
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<boolean>} True if the account was linked to the user
+   */
+  async unlinkAccount(userId, accountId) {
+    const users = await this.load();
+    const user = users[userId];
+    if (!user) {
+      return false;
+    }
+
+    const remaining = user.accounts.filter(
+      (account) => account.accountId !== accountId
+    );
+    if (remaining.length === user.accounts.length) {
+      return false;
+    }
+
+    user.accounts = remaining;
+    user.updatedAt = new Date().toISOString();
+    if (remaining.length === 0) {
+      delete users[userId];
+    }
+
+    await this.persist();
+    return true;
+  }
+}
+
+module.exports = UserStore;
@@ -3,9 +3,17 @@
  * @module services/xService
  */
 
-const axios = require("axios");
 const crypto = require("crypto");
+const FormData = require("form-data");
 const config = require("../config/environment");
+const httpClient = require("./httpClient");
+const {
+  ProviderError,
+  ProviderRateLimitError,
+  toProviderError,
+} = require("../utils/providerErrors");
+const tweetLength = require("../utils/tweetLength");
+const { detectMediaType, toMediaType } = require("../utils/mediaType");
 
 /**
  * X API endpoints
@@ -17,6 +25,33 @@ const X_ENDPOINTS = {
   USER_ME: "https://api.twitter.com/2/users/me",
   TWEETS: "https://api.twitter.com/2/tweets",
   MEDIA_UPLOAD: "https://api.twitter.com/2/media/upload", // Correct v2 endpoint
+  MEDIA_METADATA: "https://api.twitter.com/2/media/metadata",
+};
+
+/**
+ * Pattern of tweet, user and media IDs (numeric strings)
+ */
+const ID_PATTERN = /^\d+$/;
+
+/**
+ * Media upload limits
+ */
+const MEDIA_UPLOAD = {
+  // Images up to this size are sent in a single request
+  SIMPLE_UPLOAD_MAX_BYTES: 5 * 1024 * 1024,
+  // Segment size for chunked APPEND requests
+  CHUNK_SIZE: 4 * 1024 * 1024,
+  // Give up waiting for X to process media after this long
+  MAX_PROCESSING_WAIT_MS: 10 * 60 * 1000,
+};
+
+/**
+ * Maximum media size per media kind in bytes (image, gif, video)
+ */
+const MAX_MEDIA_SIZES = {
+  image: 5 * 1024 * 1024,
+  gif: 15 * 1024 * 1024,
+  video: 512 * 1024 * 1024,
 };
 
 /**
@@ -80,7 +115,7 @@ async function exchangeCodeForToken(code, codeVerifier) {
   };
 
   try {
-    const response = await axios.post(X_ENDPOINTS.OAUTH_TOKEN, tokenData, {
+    const response = await httpClient.post(X_ENDPOINTS.OAUTH_TOKEN, tokenData, {
       headers: {
         "Content-Type": "application/x-www-form-urlencoded",
         Authorization: `Basic ${Buffer.from(
@@ -91,7 +126,9 @@ async function exchangeCodeForToken(code, codeVerifier) {
 
     return response.data;
   } catch (error) {
-    throw new Error(
+    throw toProviderError(
+      "x",
+      error,
       `X token exchange failed: ${
         error.response?.data?.error_description || error.message
       }`
@@ -106,7 +143,7 @@ async function exchangeCodeForToken(code, codeVerifier) {
  */
 async function getUserProfile(accessToken) {
   try {
-    const response = await axios.get(X_ENDPOINTS.USER_ME, {
+    const response = await httpClient.get(X_ENDPOINTS.USER_ME, {
       headers: {
         Authorization: `Bearer ${accessToken}`,
       },
@@ -130,7 +167,9 @@ async function getUserProfile(accessToken) {
       publicMetrics: userData.public_metrics,
     };
   } catch (error) {
-    throw new Error(
+    throw toProviderError(
+      "x",
+      error,
       `Failed to fetch X user profile: ${
         error.response?.data?.error || error.message
       }`
@@ -165,7 +204,7 @@ async function createTweet(accessToken, tweetData) {
       throw new Error("Tweet text is required");
     }
 
-    if (tweetData.text.length > 280) {
+    if (!tweetLength.isWithinLimit(tweetData.text)) {
       throw new Error("Tweet text exceeds 280 character limit");
     }
 
@@ -208,7 +247,7 @@ async function createTweet(accessToken, tweetData) {
       payload.for_super_followers_only = tweetData.for_super_followers_only;
     }
 
-    const response = await axios.post(X_ENDPOINTS.TWEETS, payload, {
+    const response = await httpClient.post(X_ENDPOINTS.TWEETS, payload, {
       headers: {
         Authorization: `Bearer ${accessToken}`,
         "Content-Type": "application/json",
@@ -217,7 +256,9 @@ async function createTweet(accessToken, tweetData) {
 
     return response.data.data;
   } catch (error) {
-    throw new Error(
+    throw toProviderError(
+      "x",
+      error,
       `Failed to create X tweet: ${
         error.response?.data?.detail ||
         error.response?.data?.errors?.[0]?.detail ||
@@ -228,6 +269,100 @@ async function createTweet(accessToken, tweetData) {
   }
 }
 
+/**
+ * Deletes a tweet posted by the authenticated user
+ * @param {string} accessToken - X access token
+ * @param {string} tweetId - Tweet ID
+ * @returns {Promise<Object>} `{ id, deleted }`
+ */
+async function deleteTweet(accessToken, tweetId) {
+  try {
+    const response = await httpClient.delete(
+      `${X_ENDPOINTS.TWEETS}/${encodeURIComponent(tweetId)}`,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      }
+    );
+
+    return { id: tweetId, deleted: response.data.data.deleted };
+  } catch (error) {
+    throw toProviderError(
+      "x",
+      error,
+      `Failed to delete X tweet: ${
+        error.response?.data?.detail ||
+        error.response?.data?.errors?.[0]?.detail ||
+        error.response?.data?.error ||
+        error.message
+      }`
+    );
+  }
+}
+
+/**
+ * Publishes a thread by chaining each tweet as a reply to the previous one.
+ * Stops at the first failure and reports which segments were posted, with
+ * the error `code` of provider failures and `retryAfter` (seconds) of rate
+ * limits. If the first tweet fails nothing was posted and its error is thrown.
+ * @param {string} accessToken - X access token
+ * @param {Array<string>} segments - Tweet texts in thread order
+ * @param {Object} [options] - Thread options
+ * @param {string} [options.replyToTweetId] - Tweet the thread continues from
+ * @param {Array} [options.mediaIds] - Media IDs attached to the first tweet
+ * @returns {Promise<Object>} Posted tweets and failure details, if any
+ * @throws {Error} If the first tweet fails
+ */
+async function createThread(accessToken, segments, options = {}) {
+  const tweets = [];
+  let previousTweetId = options.replyToTweetId || null;
+
+  for (let index = 0; index < segments.length; index++) {
+    const tweetData = { text: segments[index] };
+
+    if (index === 0 && options.mediaIds && options.mediaIds.length > 0) {
+      tweetData.media = { media_ids: options.mediaIds };
+    }
+
+    if (previousTweetId) {
+      tweetData.reply = { in_reply_to_tweet_id: previousTweetId };
+    }
+
+    try {
+      const createdTweet = await createTweet(accessToken, tweetData);
+      tweets.push({ index, id: createdTweet.id, text: createdTweet.text });
+      previousTweetId = createdTweet.id;
+    } catch (error) {
+      if (tweets.length === 0) {
+        throw error;
+      }
+
+      return {
+        complete: false,
+        tweetIds: tweets.map((tweet) => tweet.id),
+        tweets,
+        failed: {
+          index,
+          text: segments[index],
+          error: error.message,
+          ...(error instanceof ProviderError && { code: error.code }),
+          ...(error instanceof ProviderRateLimitError && {
+            retryAfter: error.retryAfter,
+          }),
+        },
+        remaining: segments.slice(index),
+      };
+    }
+  }
+
+  return {
+    complete: true,
+    tweetIds: tweets.map((tweet) => tweet.id),
+    tweets,
+  };
+}
+
 /**
  * Refreshes an access token using refresh token
  * @param {string} refreshToken - X refresh token
@@ -240,7 +375,7 @@ async function refreshAccessToken(refreshToken) {
   };
 
   try {
-    const response = await axios.post(X_ENDPOINTS.OAUTH_TOKEN, tokenData, {
+    const response = await httpClient.post(X_ENDPOINTS.OAUTH_TOKEN, tokenData, {
       headers: {
         "Content-Type": "application/x-www-form-urlencoded",
         Authorization: `Basic ${Buffer.from(
@@ -251,7 +386,9 @@ async function refreshAccessToken(refreshToken) {
 
     return response.data;
   } catch (error) {
-    throw new Error(
+    throw toProviderError(
+      "x",
+      error,
       `X token refresh failed: ${
         error.response?.data?.error_description || error.message
       }`
@@ -260,92 +397,322 @@ async function refreshAccessToken(refreshToken) {
 }
 
 /**
- * Uploads media to X using the v2 API endpoint
+ * Extracts the most specific error message from an X API v2 error
+ * @param {Error} error - Axios error
+ * @returns {string} Error message
+ */
+function getMediaErrorMessage(error) {
+  return (
+    error.response?.data?.errors?.[0]?.detail ||
+    error.response?.data?.detail ||
+    error.response?.data?.error ||
+    error.message
+  );
+}
+
+/**
+ * Normalizes a v2 media upload response
+ * @param {Object} data - Response body
+ * @returns {Object} Media info with media_id
+ * @throws {Error} If no media ID was returned
+ */
+function toMediaInfo(data) {
+  const mediaId = data.data?.id || data.media_id_string;
+
+  if (!mediaId) {
+    throw new Error("No media ID returned from X API");
+  }
+
+  return {
+    media_id: mediaId,
+    media_id_string: mediaId,
+    media_key: data.data?.media_key,
+    size: data.data?.size,
+    expires_after_secs: data.data?.expires_after_secs,
+    processing_info: data.data?.processing_info,
+  };
+}
+
+/**
+ * Gets the X media_category for a detected media format
+ * @param {Object} format - Detected media format
+ * @returns {string} tweet_image, tweet_gif or tweet_video
+ */
+function getMediaCategory(format) {
+  return `tweet_${format.kind}`;
+}
+
+/**
+ * Uploads small media in a single multipart request
  * @param {string} accessToken - X access token
  * @param {Buffer} mediaBuffer - Media file buffer
- * @param {string} mediaType - Media type ('image' or 'video')
+ * @param {Object} format - Detected media format
  * @param {string} [altText] - Alt text for accessibility
- * @returns {Promise<Object>} Media upload response with media_id
+ * @returns {Promise<Object>} Media info with media_id
  */
-async function uploadMedia(accessToken, mediaBuffer, mediaType, altText) {
-  try {
-    // Validate media type
-    const allowedTypes = ["image", "video"];
-    if (!allowedTypes.includes(mediaType)) {
-      throw new Error(
-        `Invalid media type: ${mediaType}. Allowed: ${allowedTypes.join(", ")}`
-      );
+async function uploadMediaSimple(accessToken, mediaBuffer, format, altText) {
+  const { mimeType } = format;
+  const category = getMediaCategory(format);
+
+  // Prepare form data according to X API v2 specification
+  const form = new FormData();
+
+  // Add required fields according to the documentation
+  form.append("media", mediaBuffer, {
+    filename: `media.${format.extension}`,
+    contentType: mimeType,
+  });
+
+  form.append("media_type", mimeType);
+  form.append("media_category", category);
+
+  // Add optional fields
+  if (altText) {
+    form.append("alt_text", altText);
+  }
+
+  const response = await httpClient.post(X_ENDPOINTS.MEDIA_UPLOAD, form, {
+    headers: {
+      ...form.getHeaders(),
+      Authorization: `Bearer ${accessToken}`,
+    },
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    timeout: 60000, // 60 second timeout for media uploads
+  });
+
+  return toMediaInfo(response.data);
+}
+
+/**
+ * Polls the STATUS command until X finished processing uploaded media
+ * @param {string} accessToken - X access token
+ * @param {string} mediaId - Media ID
+ * @param {Object} processingInfo - processing_info returned by FINALIZE
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} Final processing_info
+ * @throws {Error} If processing fails or takes too long
+ */
+async function waitForMediaProcessing(
+  accessToken,
+  mediaId,
+  processingInfo,
+  onProgress
+) {
+  const deadline = Date.now() + MEDIA_UPLOAD.MAX_PROCESSING_WAIT_MS;
+  let info = processingInfo;
+
+  while (info && ["pending", "in_progress"].includes(info.state)) {
+    if (Date.now() >= deadline) {
+      throw new Error("Media processing timed out");
     }
 
-    // Determine MIME type based on media type
-    const mimeType = mediaType === "image" ? "image/png" : "video/mp4";
-    const category = mediaType === "image" ? "tweet_image" : "tweet_video";
+    onProgress({
+      phase: "processing",
+      state: info.state,
+      percent: info.progress_percent || 0,
+    });
 
-    // Prepare form data according to X API v2 specification
-    const FormData = require("form-data");
-    const form = new FormData();
+    await new Promise((resolve) =>
+      setTimeout(resolve, (info.check_after_secs || 1) * 1000)
+    );
 
-    // Add required fields according to the documentation
-    form.append("media", mediaBuffer, {
-      filename: `media.${mediaType === "image" ? "png" : "mp4"}`,
-      contentType: mimeType,
+    const response = await httpClient.get(X_ENDPOINTS.MEDIA_UPLOAD, {
+      params: { command: "STATUS", media_id: mediaId },
+      headers: { Authorization: `Bearer ${accessToken}` },
     });
+    info = response.data.data?.processing_info || response.data.processing_info;
+  }
+
+  if (info && info.state === "failed") {
+    throw new Error(
+      `Media processing failed: ${
+        info.error?.message || info.error?.name || "unknown error"
+      }`
+    );
+  }
 
-    form.append("media_type", mimeType);
-    form.append("media_category", category);
+  return info;
+}
 
-    // Add optional fields
-    if (altText) {
-      form.append("alt_text", altText);
+/**
+ * Uploads media with the chunked INIT/APPEND/FINALIZE flow and waits for
+ * X to finish processing it
+ * @param {string} accessToken - X access token
+ * @param {Buffer} mediaBuffer - Media file buffer
+ * @param {Object} format - Detected media format
+ * @param {string} [altText] - Alt text for accessibility
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} Media info with media_id
+ */
+async function uploadMediaChunked(
+  accessToken,
+  mediaBuffer,
+  format,
+  altText,
+  onProgress
+) {
+  const { mimeType } = format;
+  const category = getMediaCategory(format);
+  const headers = { Authorization: `Bearer ${accessToken}` };
+  const totalBytes = mediaBuffer.length;
+
+  // INIT: announce the upload
+  const initForm = new FormData();
+  initForm.append("command", "INIT");
+  initForm.append("total_bytes", String(totalBytes));
+  initForm.append("media_type", mimeType);
+  initForm.append("media_category", category);
+
+  const initResponse = await httpClient.post(
+    X_ENDPOINTS.MEDIA_UPLOAD,
+    initForm,
+    {
+      headers: { ...initForm.getHeaders(), ...headers },
     }
+  );
+  const { media_id: mediaId } = toMediaInfo(initResponse.data);
+
+  // APPEND: send the file in segments
+  const segmentCount = Math.ceil(totalBytes / MEDIA_UPLOAD.CHUNK_SIZE);
+  for (let segmentIndex = 0; segmentIndex < segmentCount; segmentIndex++) {
+    const start = segmentIndex * MEDIA_UPLOAD.CHUNK_SIZE;
+    const chunk = mediaBuffer.subarray(start, start + MEDIA_UPLOAD.CHUNK_SIZE);
+
+    const appendForm = new FormData();
+    appendForm.append("command", "APPEND");
+    appendForm.append("media_id", mediaId);
+    appendForm.append("segment_index", String(segmentIndex));
+    appendForm.append("media", chunk, {
+      filename: "chunk",
+      contentType: "application/octet-stream",
+    });
 
-    const response = await axios.post(X_ENDPOINTS.MEDIA_UPLOAD, form, {
-      headers: {
-        ...form.getHeaders(),
-        Authorization: `Bearer ${accessToken}`,
-      },
+    await httpClient.post(X_ENDPOINTS.MEDIA_UPLOAD, appendForm, {
+      headers: { ...appendForm.getHeaders(), ...headers },
       maxContentLength: Infinity,
       maxBodyLength: Infinity,
-      timeout: 60000, // 60 second timeout for media uploads
+      timeout: 60000,
     });
 
-    // Extract media ID from v2 API response
-    const mediaId = response.data.data?.id || response.data.media_id_string;
+    const bytesUploaded = Math.min(start + chunk.length, totalBytes);
+    onProgress({
+      phase: "uploading",
+      bytesUploaded,
+      totalBytes,
+      percent: Math.round((bytesUploaded / totalBytes) * 100),
+    });
+  }
+
+  // FINALIZE: let X start processing
+  const finalizeForm = new FormData();
+  finalizeForm.append("command", "FINALIZE");
+  finalizeForm.append("media_id", mediaId);
+
+  const finalizeResponse = await httpClient.post(
+    X_ENDPOINTS.MEDIA_UPLOAD,
+    finalizeForm,
+    { headers: { ...finalizeForm.getHeaders(), ...headers } }
+  );
+  const mediaInfo = toMediaInfo(finalizeResponse.data);
+
+  mediaInfo.processing_info = await waitForMediaProcessing(
+    accessToken,
+    mediaId,
+    mediaInfo.processing_info,
+    onProgress
+  );
+
+  if (altText) {
+    await httpClient.post(
+      X_ENDPOINTS.MEDIA_METADATA,
+      { id: mediaId, metadata: { alt_text: { text: altText } } },
+      { headers }
+    );
+  }
+
+  return { ...mediaInfo, segments: segmentCount };
+}
+
+/**
+ * Uploads media to X using the v2 API endpoint. The content type and
+ * media_category come from the file's signature. Small images go up in a
+ * single request; GIFs, videos and larger files use the chunked upload flow.
+ * @param {string} accessToken - X access token
+ * @param {Buffer} mediaBuffer - Media file buffer
+ * @param {string} mediaType - Media type ('image' or 'video')
+ * @param {string} [altText] - Alt text for accessibility
+ * @param {Object} [options] - Upload options
+ * @param {Function} [options.onProgress] - Called with progress updates
+ *   ({ phase, percent, bytesUploaded, totalBytes, state })
+ * @returns {Promise<Object>} Media upload response with media_id
+ */
+async function uploadMedia(
+  accessToken,
+  mediaBuffer,
+  mediaType,
+  altText,
+  options = {}
+) {
+  const onProgress = options.onProgress || (() => {});
+
+  try {
+    // Validate media type
+    const allowedTypes = ["image", "video"];
+    if (!allowedTypes.includes(mediaType)) {
+      throw new Error(
+        `Invalid media type: ${mediaType}. Allowed: ${allowedTypes.join(", ")}`
+      );
+    }
 
-    if (!mediaId) {
-      throw new Error("No media ID returned from X API");
+    // Label the upload with what the file really is
+    const format = detectMediaType(mediaBuffer);
+    if (!format) {
+      throw new Error("Unsupported media format");
+    }
+    if (toMediaType(format) !== mediaType) {
+      throw new Error(
+        `Media type ${mediaType} does not match file contents (${format.mimeType})`
+      );
     }
 
-    return {
-      media_id: mediaId,
-      media_id_string: mediaId,
-      media_key: response.data.data?.media_key,
-      size: response.data.data?.size,
-      expires_after_secs: response.data.data?.expires_after_secs,
-      processing_info: response.data.data?.processing_info,
-    };
+    const chunked =
+      format.kind !== "image" ||
+      mediaBuffer.length > MEDIA_UPLOAD.SIMPLE_UPLOAD_MAX_BYTES;
+
+    const mediaInfo = chunked
+      ? await uploadMediaChunked(
+          accessToken,
+          mediaBuffer,
+          format,
+          altText,
+          onProgress
+        )
+      : await uploadMediaSimple(accessToken, mediaBuffer, format, altText);
+
+    onProgress({ phase: "done", percent: 100 });
+    return { ...mediaInfo, chunked };
   } catch (error) {
-    // Handle specific X API v2 error format
-    const errorMessage =
-      error.response?.data?.errors?.[0]?.detail ||
-      error.response?.data?.detail ||
-      error.response?.data?.error ||
-      error.message;
-
-    throw new Error(`Failed to upload X media: ${errorMessage}`);
+    onProgress({ phase: "failed", error: error.message });
+    throw toProviderError(
+      "x",
+      error,
+      `Failed to upload X media: ${getMediaErrorMessage(error)}`
+    );
   }
 }
 
 /**
- * Revokes an X access token
- * @param {string} accessToken - X access token to revoke
+ * Revokes an X access or refresh token
+ * @param {string} token - X token to revoke
+ * @param {string} [tokenTypeHint="access_token"] - "access_token" or "refresh_token"
  * @returns {Promise<void>}
  */
-async function revokeAccessToken(accessToken) {
+async function revokeAccessToken(token, tokenTypeHint = "access_token") {
   try {
-    await axios.post(
+    await httpClient.post(
       X_ENDPOINTS.OAUTH_REVOKE,
-      { token: accessToken },
+      { token, token_type_hint: tokenTypeHint, client_id: config.x.clientId },
       {
         headers: {
           "Content-Type": "application/x-www-form-urlencoded",
@@ -356,7 +723,9 @@ async function revokeAccessToken(accessToken) {
       }
     );
   } catch (error) {
-    throw new Error(
+    throw toProviderError(
+      "x",
+      error,
       `Failed to revoke X access token: ${
         error.response?.data?.error || error.message
       }`
@@ -371,8 +740,13 @@ module.exports = {
   exchangeCodeForToken,
   getUserProfile,
   createTweet,
+  deleteTweet,
+  createThread,
   uploadMedia,
   refreshAccessToken,
   revokeAccessToken,
   X_ENDPOINTS,
+  MEDIA_UPLOAD,
+  MAX_MEDIA_SIZES,
+  ID_PATTERN,
 };
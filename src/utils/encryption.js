@@ -0,0 +1,84 @@
+/**
+ * AES-256-GCM encryption of JSON values stored at rest
+ * @module utils/encryption
+ */
+
+const crypto = require("crypto");
+
+const CIPHER_ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+
+/**
+ * Derives a 32-byte AES key from the configured key material. Accepts a
+ * 64-character hex string or base64 encoding 32 bytes; anything else is
+ * hashed with SHA-256.
+ * @param {string} keyMaterial - Configured key
+ * @returns {Buffer} AES-256 key
+ */
+function deriveKey(keyMaterial) {
+  if (/^[0-9a-fA-F]{64}$/.test(keyMaterial)) {
+    return Buffer.from(keyMaterial, "hex");
+  }
+
+  const base64Key = Buffer.from(keyMaterial, "base64");
+  if (base64Key.length === 32 && /^[A-Za-z0-9+/]+={0,2}$/.test(keyMaterial)) {
+    return base64Key;
+  }
+
+  return crypto.createHash("sha256").update(keyMaterial).digest();
+}
+
+/**
+ * Encrypts a JSON value, binding the ciphertext to the record it belongs to
+ * @param {Buffer} key - AES-256 key (see deriveKey)
+ * @param {string} recordId - Record ID used as additional data
+ * @param {*} value - JSON-serializable value
+ * @returns {Object} Encrypted payload ({ iv, tag, data }, base64)
+ */
+function encrypt(key, recordId, value) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(recordId));
+
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+/**
+ * Decrypts a value encrypted with encrypt
+ * @param {Buffer} key - AES-256 key (see deriveKey)
+ * @param {string} recordId - Record ID used as additional data
+ * @param {Object} payload - Encrypted payload
+ * @returns {*} Decrypted value
+ * @throws {Error} If the payload was tampered with or the key is wrong
+ */
+function decrypt(key, recordId, payload) {
+  const decipher = crypto.createDecipheriv(
+    CIPHER_ALGORITHM,
+    key,
+    Buffer.from(payload.iv, "base64")
+  );
+  decipher.setAAD(Buffer.from(recordId));
+  decipher.setAuthTag(Buffer.from(payload.tag, "base64"));
+
+  const data = Buffer.concat([
+    decipher.update(Buffer.from(payload.data, "base64")),
+    decipher.final(),
+  ]);
+
+  return JSON.parse(data.toString("utf8"));
+}
+
+module.exports = {
+  deriveKey,
+  encrypt,
+  decrypt,
+};
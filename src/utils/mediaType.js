@@ -0,0 +1,116 @@
+/**
+ * Media type detection from file signatures (magic bytes)
+ * @module utils/mediaType
+ */
+
+/**
+ * Supported media formats
+ */
+const MEDIA_FORMATS = {
+  JPEG: { mimeType: "image/jpeg", extension: "jpg", kind: "image" },
+  PNG: { mimeType: "image/png", extension: "png", kind: "image" },
+  GIF: { mimeType: "image/gif", extension: "gif", kind: "gif" },
+  WEBP: { mimeType: "image/webp", extension: "webp", kind: "image" },
+  MP4: { mimeType: "video/mp4", extension: "mp4", kind: "video" },
+  MOV: { mimeType: "video/quicktime", extension: "mov", kind: "video" },
+};
+
+/**
+ * ftyp major brands of MP4 video files. Other ISO base media files (HEIC and
+ * AVIF images, M4A audio, 3GP, ...) are not supported.
+ */
+const MP4_BRANDS = [
+  "isom",
+  "iso2",
+  "iso3",
+  "iso4",
+  "iso5",
+  "iso6",
+  "mp41",
+  "mp42",
+  "avc1",
+  "dash",
+  "M4V ",
+  "M4VH",
+  "M4VP",
+  "msnv",
+  "mmp4",
+];
+
+/**
+ * Top-level atoms that can open a QuickTime file without an ftyp atom
+ */
+const QUICKTIME_ATOMS = ["moov", "mdat", "wide", "free", "skip", "pnot"];
+
+/**
+ * Checks whether a buffer contains the given bytes at an offset
+ * @param {Buffer} buffer - File contents
+ * @param {Array<number>|string} bytes - Expected bytes or ASCII string
+ * @param {number} [offset=0] - Offset to compare at
+ * @returns {boolean} True if the bytes match
+ */
+function hasBytes(buffer, bytes, offset = 0) {
+  const expected = typeof bytes === "string" ? Buffer.from(bytes) : bytes;
+  if (buffer.length < offset + expected.length) {
+    return false;
+  }
+  return Array.from(expected).every(
+    (byte, index) => buffer[offset + index] === byte
+  );
+}
+
+/**
+ * Detects the format of a media file from its leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} Format ({ mimeType, extension, kind }) or null if
+ *   the file is not a supported format
+ */
+function detectMediaType(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (hasBytes(buffer, [0xff, 0xd8, 0xff])) {
+    return MEDIA_FORMATS.JPEG;
+  }
+  if (hasBytes(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return MEDIA_FORMATS.PNG;
+  }
+  if (hasBytes(buffer, "GIF87a") || hasBytes(buffer, "GIF89a")) {
+    return MEDIA_FORMATS.GIF;
+  }
+  if (hasBytes(buffer, "RIFF") && hasBytes(buffer, "WEBP", 8)) {
+    return MEDIA_FORMATS.WEBP;
+  }
+
+  // ISO base media files: the ftyp atom's major brand tells MP4 from MOV
+  // and from other formats in the same container
+  if (hasBytes(buffer, "ftyp", 4)) {
+    const brand = buffer.toString("latin1", 8, 12);
+    if (brand === "qt  ") {
+      return MEDIA_FORMATS.MOV;
+    }
+    return MP4_BRANDS.includes(brand) ? MEDIA_FORMATS.MP4 : null;
+  }
+  if (QUICKTIME_ATOMS.some((atom) => hasBytes(buffer, atom, 4))) {
+    return MEDIA_FORMATS.MOV;
+  }
+
+  return null;
+}
+
+/**
+ * Maps a detected format to the coarse media type used by the API
+ * ('image' or 'video'); GIFs count as images
+ * @param {Object} format - Detected format
+ * @returns {string} 'image' or 'video'
+ */
+function toMediaType(format) {
+  return format.kind === "video" ? "video" : "image";
+}
+
+module.exports = {
+  MEDIA_FORMATS,
+  detectMediaType,
+  toMediaType,
+};
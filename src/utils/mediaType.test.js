@@ -0,0 +1,77 @@
+/**
+ * Tests of media type detection
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { MEDIA_FORMATS, detectMediaType, toMediaType } = require("./mediaType");
+
+/**
+ * Builds a file starting with the given bytes, padded to a sniffable length
+ * @param {Array<number>|string} head - Leading bytes or ASCII string
+ * @returns {Buffer} File contents
+ */
+function file(head) {
+  const bytes = typeof head === "string" ? Buffer.from(head, "latin1") : head;
+  return Buffer.concat([Buffer.from(bytes), Buffer.alloc(16)]);
+}
+
+/**
+ * Builds an ISO base media file starting with an ftyp atom
+ * @param {string} brand - Four-character major brand
+ * @returns {Buffer} File contents
+ */
+function isoFile(brand) {
+  return file(`\x00\x00\x00\x18ftyp${brand}`);
+}
+
+describe("detectMediaType", () => {
+  it("detects images from their signatures", () => {
+    assert.equal(detectMediaType(file([0xff, 0xd8, 0xff])), MEDIA_FORMATS.JPEG);
+    assert.equal(
+      detectMediaType(file([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+      MEDIA_FORMATS.PNG
+    );
+    assert.equal(detectMediaType(file("GIF89a")), MEDIA_FORMATS.GIF);
+    assert.equal(detectMediaType(file("GIF87a")), MEDIA_FORMATS.GIF);
+    assert.equal(
+      detectMediaType(file("RIFF\x00\x00\x00\x00WEBP")),
+      MEDIA_FORMATS.WEBP
+    );
+  });
+
+  it("detects MP4 videos by their ftyp brand", () => {
+    for (const brand of ["isom", "mp42", "avc1", "M4V "]) {
+      assert.equal(detectMediaType(isoFile(brand)), MEDIA_FORMATS.MP4, brand);
+    }
+  });
+
+  it("detects QuickTime videos", () => {
+    assert.equal(detectMediaType(isoFile("qt  ")), MEDIA_FORMATS.MOV);
+    assert.equal(
+      detectMediaType(file("\x00\x00\x00\x08moov")),
+      MEDIA_FORMATS.MOV
+    );
+  });
+
+  it("rejects other ISO base media files", () => {
+    // HEIC and AVIF images, M4A audio, 3GP video
+    for (const brand of ["heic", "mif1", "avif", "M4A ", "3gp4"]) {
+      assert.equal(detectMediaType(isoFile(brand)), null, brand);
+    }
+  });
+
+  it("rejects unknown and truncated files", () => {
+    assert.equal(detectMediaType(file("%PDF-1.7")), null);
+    assert.equal(detectMediaType(Buffer.from([0xff, 0xd8, 0xff])), null);
+    assert.equal(detectMediaType(null), null);
+  });
+});
+
+describe("toMediaType", () => {
+  it("counts GIFs as images", () => {
+    assert.equal(toMediaType(MEDIA_FORMATS.GIF), "image");
+    assert.equal(toMediaType(MEDIA_FORMATS.PNG), "image");
+    assert.equal(toMediaType(MEDIA_FORMATS.MOV), "video");
+  });
+});
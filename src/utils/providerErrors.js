@@ -0,0 +1,185 @@
+/**
+ * Typed errors for failed platform API calls
+ * @module utils/providerErrors
+ */
+
+/**
+ * Base class of errors returned by a platform (X, LinkedIn, Substack).
+ * Carries what the platform answered and the status our API responds with.
+ */
+class ProviderError extends Error {
+  // Status our API responds with
+  static statusCode = 502;
+  // Stable machine-readable error code
+  static code = "PROVIDER_ERROR";
+  // Whether the same request may succeed later
+  static retryable = false;
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.provider - Platform name ("x", "linkedin", "substack")
+   * @param {number|null} [details.upstreamStatus] - Platform HTTP status
+   */
+  constructor(message, { provider, upstreamStatus = null }) {
+    super(message);
+    this.name = new.target.name;
+    this.provider = provider;
+    this.upstreamStatus = upstreamStatus;
+    this.statusCode = new.target.statusCode;
+    this.code = new.target.code;
+    this.retryable = new.target.retryable;
+  }
+}
+
+/**
+ * The platform rejected the request as invalid (upstream 400/422)
+ */
+class ProviderValidationError extends ProviderError {
+  static statusCode = 400;
+  static code = "PROVIDER_INVALID_REQUEST";
+}
+
+/**
+ * The platform rejected the access token (upstream 401)
+ */
+class ProviderAuthError extends ProviderError {
+  static statusCode = 401;
+  static code = "PROVIDER_UNAUTHORIZED";
+}
+
+/**
+ * The token lacks the access the request needs (upstream 403), e.g. X media
+ * uploads without elevated API access
+ */
+class ProviderPermissionError extends ProviderError {
+  static statusCode = 403;
+  static code = "PROVIDER_FORBIDDEN";
+}
+
+/**
+ * The post, media or account does not exist (upstream 404)
+ */
+class ProviderNotFoundError extends ProviderError {
+  static statusCode = 404;
+  static code = "PROVIDER_NOT_FOUND";
+}
+
+/**
+ * The request conflicts with the resource's state (upstream 409)
+ */
+class ProviderConflictError extends ProviderError {
+  static statusCode = 409;
+  static code = "PROVIDER_CONFLICT";
+}
+
+/**
+ * Publishing failed after the draft was created, and the draft is still on
+ * the platform (it may even have been published). Retrying could post twice,
+ * so the draft must be checked first.
+ */
+class ProviderDraftError extends ProviderConflictError {
+  static code = "PROVIDER_DRAFT_LEFT";
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details (see ProviderError)
+   * @param {string} details.draftId - ID of the draft left on the platform
+   */
+  constructor(message, details) {
+    super(message, details);
+    this.draftId = details.draftId;
+  }
+}
+
+/**
+ * The account's rate limit for an endpoint is exhausted (upstream 429)
+ */
+class ProviderRateLimitError extends ProviderError {
+  static statusCode = 429;
+  static code = "RATE_LIMITED";
+  static retryable = true;
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details (see ProviderError)
+   * @param {string} [details.endpoint] - Rate-limited endpoint
+   * @param {number} details.retryAfter - Seconds until the limit resets
+   */
+  constructor(message, details) {
+    super(message, { upstreamStatus: 429, ...details });
+    this.endpoint = details.endpoint || null;
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+/**
+ * The platform failed or could not be reached (upstream 5xx, network errors)
+ */
+class ProviderUnavailableError extends ProviderError {
+  static statusCode = 502;
+  static code = "PROVIDER_UNAVAILABLE";
+  static retryable = true;
+}
+
+/**
+ * Error classes by upstream HTTP status
+ */
+const ERRORS_BY_STATUS = {
+  400: ProviderValidationError,
+  401: ProviderAuthError,
+  403: ProviderPermissionError,
+  404: ProviderNotFoundError,
+  409: ProviderConflictError,
+  422: ProviderValidationError,
+};
+
+/**
+ * Converts an error from a platform API call into a ProviderError with the
+ * given message. Provider errors keep their type (e.g. a rate limit stays a
+ * rate limit when wrapped with more context); errors that did not come from
+ * the platform, such as local validation, stay plain errors.
+ * @param {string} provider - Platform name ("x", "linkedin", "substack")
+ * @param {Error} error - Caught error (axios error or ProviderError)
+ * @param {string} message - Message of the resulting error
+ * @returns {Error} ProviderError, or a plain Error for non-HTTP failures
+ */
+function toProviderError(provider, error, message) {
+  if (error instanceof ProviderError) {
+    const {
+      constructor: ErrorClass,
+      upstreamStatus,
+      endpoint,
+      retryAfter,
+      draftId,
+    } = error;
+    return new ErrorClass(message, {
+      provider: error.provider,
+      upstreamStatus,
+      ...(retryAfter !== undefined && { endpoint, retryAfter }),
+      ...(draftId !== undefined && { draftId }),
+    });
+  }
+
+  if (!error.isAxiosError) {
+    return new Error(message);
+  }
+
+  const upstreamStatus = error.response?.status ?? null;
+  const ErrorClass =
+    ERRORS_BY_STATUS[upstreamStatus] || ProviderUnavailableError;
+  return new ErrorClass(message, { provider, upstreamStatus });
+}
+
+module.exports = {
+  ProviderError,
+  ProviderValidationError,
+  ProviderAuthError,
+  ProviderPermissionError,
+  ProviderNotFoundError,
+  ProviderConflictError,
+  ProviderDraftError,
+  ProviderRateLimitError,
+  ProviderUnavailableError,
+  toProviderError,
+};
@@ -0,0 +1,342 @@
+/**
+ * Declarative request schemas: validation and documentation
+ * @module utils/schema
+ *
+ * A field spec is a plain object:
+ *   type         "string", "integer", "number", "boolean", "date", "array"
+ *                or "object" (omit to accept anything)
+ *   required     whether the field must be present
+ *   description  text for the API documentation
+ *   enum         allowed values
+ *   minLength, maxLength, pattern (RegExp), format (pattern description)
+ *   notBlank     strings must contain more than whitespace
+ *   min, max     numeric range
+ *   items, minItems, maxItems   array element spec and size
+ *   properties   object field specs
+ *   anyOf        specs of which at least one must match
+ *   check        (value) => error message or null, for rules a spec cannot
+ *                express (e.g. X's weighted tweet length)
+ */
+
+/**
+ * Types whose values arrive as strings in query strings and multipart
+ * bodies and are converted before validation
+ */
+const COERCIBLE_TYPES = ["integer", "number", "boolean"];
+
+/**
+ * Converts a string value to the spec's type where possible. Used for query
+ * strings and multipart bodies, where every value is a string and repeated
+ * fields become arrays.
+ * @param {*} value - Raw value
+ * @param {Object} spec - Field spec
+ * @returns {*} Converted value (unchanged if it cannot be converted)
+ */
+function coerce(value, spec) {
+  if (value === undefined || !spec.type) {
+    return value;
+  }
+
+  if (spec.type === "array") {
+    const items = Array.isArray(value) ? value : [value];
+    return spec.items ? items.map((item) => coerce(item, spec.items)) : items;
+  }
+
+  if (typeof value !== "string" || !COERCIBLE_TYPES.includes(spec.type)) {
+    return value;
+  }
+
+  if (spec.type === "boolean") {
+    return value === "true" ? true : value === "false" ? false : value;
+  }
+
+  const number = Number(value);
+  return value.trim() === "" || Number.isNaN(number) ? value : number;
+}
+
+/**
+ * Checks a value's type
+ * @param {*} value - Value to check
+ * @param {string} type - Spec type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "date":
+      return (
+        typeof value === "string" && !Number.isNaN(new Date(value).getTime())
+      );
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        typeof value === "object" && value !== null && !Array.isArray(value)
+      );
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validates a value against a field spec
+ * @param {*} value - Value to validate
+ * @param {Object} spec - Field spec
+ * @param {string} field - Field path used in errors (e.g. "post.text")
+ * @returns {Array<Object>} Errors ({ field, message, ...details })
+ */
+function validateField(value, spec, field) {
+  if (value === undefined || value === null) {
+    return spec.required ? [{ field, message: `${field} is required` }] : [];
+  }
+
+  if (spec.anyOf) {
+    const matches = spec.anyOf.some(
+      (option) => validateField(value, option, field).length === 0
+    );
+    return matches
+      ? []
+      : [
+          {
+            field,
+            message: `${field} must be ${spec.anyOf
+              .map(describeType)
+              .join(" or ")}`,
+          },
+        ];
+  }
+
+  if (spec.type && !hasType(value, spec.type)) {
+    return [
+      {
+        field,
+        message: `${field} must be ${describeType(spec)}`,
+        expected: spec.type === "date" ? "ISO 8601 date string" : spec.type,
+      },
+    ];
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return [
+      {
+        field,
+        message: `${field} must be one of: ${spec.enum.join(", ")}`,
+        provided: value,
+        allowed: spec.enum,
+      },
+    ];
+  }
+
+  const errors = [];
+
+  if (typeof value === "string") {
+    if (spec.notBlank && value.trim().length === 0) {
+      errors.push({ field, message: `${field} must not be blank` });
+    }
+    if (spec.minLength !== undefined && value.length < spec.minLength) {
+      errors.push({
+        field,
+        message: `${field} must be at least ${spec.minLength} characters`,
+        minLength: spec.minLength,
+      });
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      errors.push({
+        field,
+        message: `${field} must be at most ${spec.maxLength} characters`,
+        maxLength: spec.maxLength,
+        currentLength: value.length,
+      });
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+      errors.push({
+        field,
+        message: `${field} must be ${spec.format || `like ${spec.pattern}`}`,
+        provided: value,
+      });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (spec.min !== undefined && value < spec.min) {
+      errors.push({
+        field,
+        message: `${field} must be at least ${spec.min}`,
+        min: spec.min,
+      });
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      errors.push({
+        field,
+        message: `${field} must be at most ${spec.max}`,
+        max: spec.max,
+      });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (spec.minItems !== undefined && value.length < spec.minItems) {
+      errors.push({
+        field,
+        message: `${field} must have at least ${spec.minItems} item(s)`,
+        minItems: spec.minItems,
+      });
+    }
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+      errors.push({
+        field,
+        message: `${field} must have at most ${spec.maxItems} item(s)`,
+        maxItems: spec.maxItems,
+        currentItems: value.length,
+      });
+    }
+    if (spec.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateField(item, spec.items, `${field}[${index}]`));
+      });
+    }
+  }
+
+  if (spec.properties) {
+    errors.push(...validateObject(value, spec.properties, `${field}.`));
+  }
+
+  if (errors.length === 0 && spec.check) {
+    const message = spec.check(value);
+    if (message) {
+      errors.push({ field, message: `${field} ${message}` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates an object against a map of field specs. Fields without a spec
+ * are allowed.
+ * @param {Object} [value] - Object to validate
+ * @param {Object} properties - Field specs by name
+ * @param {string} [prefix=""] - Path prefix of nested fields
+ * @returns {Array<Object>} Errors ({ field, message, ...details })
+ */
+function validateObject(value, properties, prefix = "") {
+  const source = value || {};
+  return Object.entries(properties).flatMap(([name, spec]) =>
+    validateField(source[name], spec, `${prefix}${name}`)
+  );
+}
+
+/**
+ * Converts the string values of an object to the types of their specs
+ * @param {Object} [value] - Object with raw values
+ * @param {Object} properties - Field specs by name
+ * @returns {Object} Copy with converted values
+ */
+function coerceObject(value, properties) {
+  const result = { ...value };
+  for (const [name, spec] of Object.entries(properties)) {
+    if (result[name] !== undefined) {
+      result[name] = coerce(result[name], spec);
+    }
+  }
+  return result;
+}
+
+/**
+ * Names a spec's type for error messages
+ * @param {Object} spec - Field spec
+ * @returns {string} e.g. "a string", "an array of strings"
+ */
+function describeType(spec) {
+  if (spec.enum) {
+    return `one of ${spec.enum.join(", ")}`;
+  }
+
+  switch (spec.type) {
+    case "integer":
+      return "an integer";
+    case "array":
+      return spec.items && spec.items.type
+        ? `an array of ${describeType(spec.items).replace(/^an? /, "")}s`
+        : "an array";
+    case "object":
+      return "an object";
+    case "date":
+      return "an ISO 8601 date string";
+    default:
+      return spec.type ? `a ${spec.type}` : "a value";
+  }
+}
+
+/**
+ * Describes a field spec for the API documentation
+ * @param {Object} spec - Field spec
+ * @returns {Object} JSON-serializable description
+ */
+function describeField(spec) {
+  const description = {};
+
+  if (spec.anyOf) {
+    description.anyOf = spec.anyOf.map(describeField);
+  } else if (spec.type) {
+    description.type = spec.type;
+  }
+
+  for (const key of [
+    "required",
+    "description",
+    "enum",
+    "minLength",
+    "maxLength",
+    "min",
+    "max",
+    "minItems",
+    "maxItems",
+  ]) {
+    if (spec[key] !== undefined) {
+      description[key] = spec[key];
+    }
+  }
+
+  if (spec.pattern) {
+    description.pattern = spec.pattern.source;
+  }
+  if (spec.format) {
+    description.format = spec.format;
+  }
+  if (spec.items) {
+    description.items = describeField(spec.items);
+  }
+  if (spec.properties) {
+    description.properties = describeObject(spec.properties);
+  }
+
+  return description;
+}
+
+/**
+ * Describes a map of field specs for the API documentation
+ * @param {Object} properties - Field specs by name
+ * @returns {Object} Descriptions by field name
+ */
+function describeObject(properties) {
+  return Object.fromEntries(
+    Object.entries(properties).map(([name, spec]) => [
+      name,
+      describeField(spec),
+    ])
+  );
+}
+
+module.exports = {
+  coerceObject,
+  validateObject,
+  describeObject,
+};
@@ -0,0 +1,762 @@
+/**
+ * Converts post content (plain text, Markdown or HTML) to Substack's rich
+ * text: the editor's ProseMirror document for the API, and HTML to paste
+ * into the editor in the browser
+ * @module utils/substackDocument
+ */
+
+const MarkdownIt = require("markdown-it");
+const { Parser } = require("htmlparser2");
+
+/**
+ * Formats post content can be written in
+ */
+const CONTENT_FORMATS = ["plain", "markdown", "html"];
+
+/**
+ * Line break node
+ */
+const HARD_BREAK = { type: "hard_break" };
+
+/**
+ * URL schemes links and images may use. Other URLs (javascript:, data:,
+ * relative paths) are dropped and their text kept.
+ */
+const SAFE_URL = /^(?:https?|mailto):/i;
+
+/**
+ * Checks a link or image URL
+ * @param {string} [url] - URL
+ * @returns {string|null} Trimmed URL, null if it has no allowed scheme
+ */
+function safeUrl(url) {
+  const trimmed = (url || "").trim();
+  return SAFE_URL.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Creates a link mark
+ * @param {string} [href] - Link URL
+ * @returns {Object|null} Link mark, null if the URL is not allowed
+ */
+function linkMark(href) {
+  const url = safeUrl(href);
+  return url ? { type: "link", attrs: { href: url } } : null;
+}
+
+/**
+ * Creates an inline image, moved out into an image block later. Images
+ * with a URL that is not allowed become their alternative text.
+ * @param {Object} attrs - Image attributes (see imageBlock)
+ * @param {Array<Object>} marks - Marks of the enclosing inlines
+ * @returns {Array<Object>} Image node, or the alternative text
+ */
+function inlineImage({ src, alt, title }, marks) {
+  const url = safeUrl(src);
+  if (url) {
+    return [{ type: "image", attrs: { src: url, alt, title } }];
+  }
+  return alt ? [textNode(alt, marks)] : [];
+}
+
+/**
+ * Creates a text node
+ * @param {string} text - Text
+ * @param {Array<Object>} marks - Marks (strong, em, code, link)
+ * @returns {Object} Text node
+ */
+function textNode(text, marks) {
+  return marks.length > 0
+    ? { type: "text", text, marks }
+    : { type: "text", text };
+}
+
+/**
+ * Creates an image block. Substack wraps images in a captioned image node.
+ * @param {Object} attrs - Image attributes
+ * @param {string} attrs.src - Image URL
+ * @param {string} [attrs.alt] - Alternative text
+ * @param {string} [attrs.title] - Title
+ * @returns {Object} Image block
+ */
+function imageBlock({ src, alt, title }) {
+  return {
+    type: "captionedImage",
+    content: [
+      {
+        type: "image2",
+        attrs: { src, alt: alt || null, title: title || null },
+      },
+    ],
+  };
+}
+
+/**
+ * Merges adjacent text nodes with the same marks and trims the whitespace
+ * around line breaks and at both ends
+ * @param {Array<Object>} nodes - Inline nodes
+ * @returns {Array<Object>} Normalized inline nodes
+ */
+function normalizeInlines(nodes) {
+  const merged = [];
+  for (const node of nodes) {
+    const previous = merged[merged.length - 1];
+    if (
+      node.type === "text" &&
+      previous &&
+      previous.type === "text" &&
+      JSON.stringify(previous.marks) === JSON.stringify(node.marks)
+    ) {
+      merged[merged.length - 1] = {
+        ...previous,
+        text: / $/.test(previous.text)
+          ? previous.text + node.text.replace(/^ /, "")
+          : previous.text + node.text,
+      };
+    } else {
+      merged.push({ ...node });
+    }
+  }
+
+  merged.forEach((node, index) => {
+    if (node.type !== "text") return;
+    const previous = merged[index - 1];
+    const next = merged[index + 1];
+    if (
+      !previous ||
+      previous.type === "hard_break" ||
+      (previous.type === "text" && /[ \n]$/.test(previous.text))
+    ) {
+      node.text = node.text.replace(/^[ \n]+/, "");
+    }
+    if (!next || next.type === "hard_break") {
+      node.text = node.text.replace(/[ \n]+$/, "");
+    }
+  });
+
+  const content = merged.filter(
+    (node) => node.type !== "text" || node.text.length > 0
+  );
+  while (content.length > 0 && content[0].type === "hard_break") {
+    content.shift();
+  }
+  while (
+    content.length > 0 &&
+    content[content.length - 1].type === "hard_break"
+  ) {
+    content.pop();
+  }
+  return content;
+}
+
+/**
+ * Builds text blocks from inline nodes. Images can't be inline in Substack,
+ * so they are moved out into image blocks between the text blocks.
+ * @param {Array<Object>} inlines - Inline nodes, including `image` nodes
+ * @param {Function} createBlock - Builds a block from its inline content
+ * @returns {Array<Object>} Blocks
+ */
+function textBlocks(inlines, createBlock) {
+  const blocks = [];
+  let run = [];
+  const flush = () => {
+    const content = normalizeInlines(run);
+    if (content.length > 0) {
+      blocks.push(createBlock(content));
+    }
+    run = [];
+  };
+
+  for (const node of inlines) {
+    if (node.type === "image") {
+      flush();
+      blocks.push(imageBlock(node.attrs));
+    } else {
+      run.push(node);
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Creates a paragraph block
+ * @param {Array<Object>} [content] - Inline content
+ * @returns {Object} Paragraph block
+ */
+function paragraph(content) {
+  return content ? { type: "paragraph", content } : { type: "paragraph" };
+}
+
+/**
+ * Creates a heading block
+ * @param {number} level - Heading level (1-6)
+ * @returns {Function} Builds the heading from its inline content
+ */
+function heading(level) {
+  return (content) => ({ type: "heading", attrs: { level }, content });
+}
+
+/**
+ * Creates a code block
+ * @param {string} code - Code
+ * @param {string} [language] - Language of the code
+ * @returns {Object} Code block
+ */
+function codeBlock(code, language) {
+  return {
+    type: "code_block",
+    attrs: { language: language || null },
+    ...(code && { content: [{ type: "text", text: code }] }),
+  };
+}
+
+/**
+ * Creates a list block
+ * @param {boolean} ordered - Whether the list is numbered
+ * @param {Array<Array<Object>>} items - Blocks of each item
+ * @param {number} [start=1] - First number of an ordered list
+ * @returns {Object} List block
+ */
+function list(ordered, items, start = 1) {
+  const content = items.map((blocks) => ({
+    type: "list_item",
+    content: blocks.length > 0 ? blocks : [paragraph()],
+  }));
+
+  return ordered
+    ? { type: "ordered_list", attrs: { start }, content }
+    : { type: "bullet_list", content };
+}
+
+/**
+ * Converts plain text: blank lines separate paragraphs, single line breaks
+ * are kept
+ * @param {string} content - Text
+ * @returns {Array<Object>} Blocks
+ */
+function plainBlocks(content) {
+  return content
+    .split(/\n\s*\n/)
+    .map((text) => text.trim())
+    .filter(Boolean)
+    .map((text) =>
+      paragraph(
+        text
+          .split("\n")
+          .flatMap((line, index) => [
+            ...(index > 0 ? [HARD_BREAK] : []),
+            ...(line ? [textNode(line, [])] : []),
+          ])
+      )
+    );
+}
+
+/*
+ * Markdown
+ */
+
+/**
+ * CommonMark parser without raw HTML. Indented code is off, so indented
+ * lines stay paragraphs.
+ */
+const markdownParser = new MarkdownIt("commonmark", { html: false }).disable(
+  "code"
+);
+
+/**
+ * Gets the text of inline tokens, e.g. an image description
+ * @param {Array<Object>} tokens - markdown-it inline tokens
+ * @returns {string} Text
+ */
+function tokensText(tokens) {
+  return tokens
+    .map((token) => (token.type.endsWith("break") ? " " : token.content))
+    .join("");
+}
+
+/**
+ * Converts markdown-it inline tokens to inline nodes
+ * @param {Array<Object>} tokens - Children of an inline token
+ * @returns {Array<Object>} Inline nodes, with `image` nodes to move out
+ */
+function markdownInline(tokens) {
+  const nodes = [];
+  // Marks of the open emphasis and links, null for links not allowed
+  const marks = [];
+  const openMarks = () => marks.filter(Boolean);
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case "text":
+        nodes.push(textNode(token.content, openMarks()));
+        break;
+      case "softbreak":
+        nodes.push(textNode(" ", openMarks()));
+        break;
+      case "hardbreak":
+        nodes.push(HARD_BREAK);
+        break;
+      case "code_inline":
+        nodes.push(textNode(token.content, [...openMarks(), { type: "code" }]));
+        break;
+      case "em_open":
+      case "strong_open":
+        marks.push({ type: token.tag === "em" ? "em" : "strong" });
+        break;
+      case "link_open":
+        marks.push(linkMark(token.attrGet("href")));
+        break;
+      case "em_close":
+      case "strong_close":
+      case "link_close":
+        marks.pop();
+        break;
+      case "image":
+        nodes.push(
+          ...inlineImage(
+            {
+              src: token.attrGet("src"),
+              alt: tokensText(token.children),
+              title: token.attrGet("title"),
+            },
+            openMarks()
+          )
+        );
+        break;
+      default:
+        if (token.content) nodes.push(textNode(token.content, openMarks()));
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Converts Markdown
+ * @param {string} content - Markdown
+ * @returns {Array<Object>} Blocks
+ */
+function markdownBlocks(content) {
+  const root = { content: [] };
+  // Open blockquotes, lists and list items with the blocks parsed so far
+  const stack = [root];
+  let createBlock = paragraph;
+
+  for (const token of markdownParser.parse(content, {})) {
+    const parent = stack[stack.length - 1];
+
+    switch (token.type) {
+      case "paragraph_open":
+        createBlock = paragraph;
+        break;
+      case "heading_open":
+        createBlock = heading(Number(token.tag.slice(1)));
+        break;
+      case "inline":
+        parent.content.push(
+          ...textBlocks(markdownInline(token.children), createBlock)
+        );
+        break;
+      case "fence":
+        parent.content.push(
+          codeBlock(
+            token.content.replace(/\n$/, ""),
+            token.info.trim().split(/\s+/)[0]
+          )
+        );
+        break;
+      case "hr":
+        parent.content.push({ type: "horizontal_rule" });
+        break;
+      case "blockquote_open":
+      case "bullet_list_open":
+      case "ordered_list_open":
+      case "list_item_open":
+        stack.push({ token, content: [] });
+        break;
+      case "blockquote_close":
+        stack.pop();
+        stack[stack.length - 1].content.push({
+          type: "blockquote",
+          content: parent.content.length > 0 ? parent.content : [paragraph()],
+        });
+        break;
+      case "list_item_close":
+        stack.pop();
+        // List containers collect the blocks of each item
+        stack[stack.length - 1].content.push(parent.content);
+        break;
+      case "bullet_list_close":
+      case "ordered_list_close":
+        stack.pop();
+        stack[stack.length - 1].content.push(
+          list(
+            token.type === "ordered_list_close",
+            parent.content,
+            Number(parent.token.attrGet("start")) || 1
+          )
+        );
+        break;
+    }
+  }
+
+  return root.content;
+}
+
+/*
+ * HTML
+ */
+
+/**
+ * Deepest element nesting kept from HTML; deeper elements only keep their
+ * text, so converting deeply nested input stays cheap
+ */
+const MAX_HTML_DEPTH = 100;
+
+/**
+ * Elements dropped with their content
+ */
+const IGNORED_ELEMENTS = new Set([
+  "head",
+  "template",
+  "noscript",
+  "iframe",
+  "script",
+  "style",
+  "textarea",
+  "title",
+]);
+
+/**
+ * Elements converted to blocks; others are inline
+ */
+const BLOCK_ELEMENTS = new Set([
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "body",
+  "center",
+  "dd",
+  "details",
+  "div",
+  "dl",
+  "dt",
+  "figcaption",
+  "figure",
+  "footer",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "header",
+  "hr",
+  "html",
+  "li",
+  "main",
+  "nav",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "summary",
+  "table",
+  "tbody",
+  "td",
+  "tfoot",
+  "th",
+  "thead",
+  "tr",
+  "ul",
+]);
+
+/**
+ * Marks of inline elements
+ */
+const INLINE_MARKS = {
+  b: { type: "strong" },
+  strong: { type: "strong" },
+  em: { type: "em" },
+  i: { type: "em" },
+  code: { type: "code" },
+  kbd: { type: "code" },
+  samp: { type: "code" },
+  tt: { type: "code" },
+};
+
+/**
+ * Parses HTML into a tree of `{ tag, attrs, children }` elements and text
+ * strings. htmlparser2 decodes entities and closes unclosed elements the way
+ * browsers do for common cases.
+ * @param {string} html - HTML
+ * @returns {Array<Object|string>} Top-level nodes
+ */
+function parseHtml(html) {
+  const root = { tag: "", attrs: {}, children: [] };
+  // Open elements; those nested deeper than MAX_HTML_DEPTH are null
+  const stack = [root];
+  const current = () => stack[Math.min(stack.length, MAX_HTML_DEPTH) - 1];
+
+  const parser = new Parser({
+    onopentag(tag, attrs) {
+      if (stack.length >= MAX_HTML_DEPTH) {
+        stack.push(null);
+        return;
+      }
+      const element = { tag, attrs, children: [] };
+      current().children.push(element);
+      stack.push(element);
+    },
+    onclosetag() {
+      stack.pop();
+    },
+    ontext(text) {
+      current().children.push(text);
+    },
+  });
+  parser.end(html);
+
+  return root.children;
+}
+
+/**
+ * Gets the text of HTML nodes, keeping whitespace
+ * @param {Array<Object|string>} nodes - Nodes
+ * @returns {string} Text
+ */
+function htmlText(nodes) {
+  return nodes
+    .map((node) =>
+      typeof node === "string"
+        ? node
+        : node.tag === "br"
+        ? "\n"
+        : IGNORED_ELEMENTS.has(node.tag)
+        ? ""
+        : htmlText(node.children)
+    )
+    .join("");
+}
+
+/**
+ * Converts HTML nodes to inline nodes
+ * @param {Array<Object|string>} nodes - Nodes
+ * @param {Array<Object>} [marks=[]] - Marks of the enclosing elements
+ * @returns {Array<Object>} Inline nodes, with `image` nodes to move out
+ */
+function htmlInline(nodes, marks = []) {
+  return nodes.flatMap((node) => {
+    if (typeof node === "string") {
+      return [textNode(node.replace(/[ \t\n\r\f]+/g, " "), marks)];
+    }
+    if (IGNORED_ELEMENTS.has(node.tag)) return [];
+    if (node.tag === "br") return [HARD_BREAK];
+    if (node.tag === "img") {
+      return inlineImage(node.attrs, marks);
+    }
+
+    const mark =
+      node.tag === "a" ? linkMark(node.attrs.href) : INLINE_MARKS[node.tag];
+    return htmlInline(node.children, mark ? [...marks, mark] : marks);
+  });
+}
+
+/**
+ * Converts HTML nodes to blocks. Inline content between blocks becomes
+ * paragraphs.
+ * @param {Array<Object|string>} nodes - Nodes
+ * @returns {Array<Object>} Blocks
+ */
+function htmlBlocks(nodes) {
+  const blocks = [];
+  let run = [];
+  const flush = () => {
+    blocks.push(...textBlocks(htmlInline(run), paragraph));
+    run = [];
+  };
+
+  for (const node of nodes) {
+    if (typeof node === "string" || !BLOCK_ELEMENTS.has(node.tag)) {
+      run.push(node);
+      continue;
+    }
+    flush();
+
+    const { tag, attrs, children } = node;
+    if (tag === "p") {
+      blocks.push(...textBlocks(htmlInline(children), paragraph));
+    } else if (/^h[1-6]$/.test(tag)) {
+      blocks.push(...textBlocks(htmlInline(children), heading(Number(tag[1]))));
+    } else if (tag === "hr") {
+      blocks.push({ type: "horizontal_rule" });
+    } else if (tag === "pre") {
+      const code = children.find(
+        (child) => typeof child !== "string" && child.tag === "code"
+      );
+      const language = ((code || node).attrs.class || "").match(
+        /(?:^|\s)(?:language|lang)-(\S+)/
+      );
+      blocks.push(
+        codeBlock(
+          htmlText(children).replace(/^\n/, "").replace(/\n$/, ""),
+          language && language[1]
+        )
+      );
+    } else if (tag === "blockquote") {
+      const content = htmlBlocks(children);
+      blocks.push({
+        type: "blockquote",
+        content: content.length > 0 ? content : [paragraph()],
+      });
+    } else if (tag === "ul" || tag === "ol") {
+      const items = children
+        .filter((child) => typeof child !== "string" || child.trim())
+        .map((child) =>
+          typeof child !== "string" && child.tag === "li"
+            ? htmlBlocks(child.children)
+            : htmlBlocks([child])
+        );
+      const start = parseInt(attrs.start, 10);
+      blocks.push(list(tag === "ol", items, start > 0 ? start : 1));
+    } else {
+      blocks.push(...htmlBlocks(children));
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+/*
+ * Conversion
+ */
+
+/**
+ * Converts post content to a Substack document (the editor's ProseMirror
+ * JSON)
+ * @param {string} content - Post content
+ * @param {string} [format="plain"] - "plain", "markdown" or "html"
+ * @returns {Object} Document node
+ * @throws {Error} If the format is unknown
+ */
+function toDocument(content, format = "plain") {
+  let blocks;
+  switch (format) {
+    case "plain":
+      blocks = plainBlocks(content);
+      break;
+    case "markdown":
+      blocks = markdownBlocks(content);
+      break;
+    case "html":
+      blocks = htmlBlocks(parseHtml(content));
+      break;
+    default:
+      throw new Error(
+        `Unknown content format "${format}" (expected one of: ${CONTENT_FORMATS.join(
+          ", "
+        )})`
+      );
+  }
+
+  return { type: "doc", content: blocks.length > 0 ? blocks : [paragraph()] };
+}
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders inline nodes as HTML
+ * @param {Array<Object>} [nodes=[]] - Inline nodes
+ * @returns {string} HTML
+ */
+function inlineHtml(nodes = []) {
+  return nodes
+    .map((node) => {
+      if (node.type === "hard_break") return "<br>";
+
+      return (node.marks || []).reduceRight((html, mark) => {
+        if (mark.type === "link") {
+          return `<a href="${escapeHtml(mark.attrs.href)}">${html}</a>`;
+        }
+        return `<${mark.type}>${html}</${mark.type}>`;
+      }, escapeHtml(node.text));
+    })
+    .join("");
+}
+
+/**
+ * Renders blocks as HTML
+ * @param {Array<Object>} [blocks=[]] - Blocks
+ * @returns {string} HTML
+ */
+function blocksHtml(blocks = []) {
+  return blocks
+    .map((block) => {
+      switch (block.type) {
+        case "paragraph":
+          return `<p>${inlineHtml(block.content)}</p>`;
+        case "heading":
+          return `<h${block.attrs.level}>${inlineHtml(block.content)}</h${
+            block.attrs.level
+          }>`;
+        case "blockquote":
+          return `<blockquote>${blocksHtml(block.content)}</blockquote>`;
+        case "bullet_list":
+        case "ordered_list": {
+          const items = block.content
+            .map((item) => `<li>${blocksHtml(item.content)}</li>`)
+            .join("");
+          return block.type === "bullet_list"
+            ? `<ul>${items}</ul>`
+            : `<ol start="${block.attrs.start}">${items}</ol>`;
+        }
+        case "code_block": {
+          const { language } = block.attrs;
+          return `<pre><code${
+            language ? ` class="language-${escapeHtml(language)}"` : ""
+          }>${inlineHtml(block.content)}</code></pre>`;
+        }
+        case "horizontal_rule":
+          return "<hr>";
+        case "captionedImage": {
+          const { src, alt, title } = block.content[0].attrs;
+          return `<img src="${escapeHtml(src)}"${
+            alt ? ` alt="${escapeHtml(alt)}"` : ""
+          }${title ? ` title="${escapeHtml(title)}"` : ""}>`;
+        }
+        default:
+          return "";
+      }
+    })
+    .join("");
+}
+
+/**
+ * Renders a Substack document as HTML, e.g. to paste it into the editor
+ * @param {Object} doc - Document node (see toDocument)
+ * @returns {string} HTML
+ */
+function toHtml(doc) {
+  return blocksHtml(doc.content);
+}
+
+module.exports = {
+  CONTENT_FORMATS,
+  toDocument,
+  toHtml,
+};
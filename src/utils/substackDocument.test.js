@@ -0,0 +1,194 @@
+/**
+ * Tests of the Substack rich text conversion
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { toDocument, toHtml } = require("./substackDocument");
+
+/**
+ * Time a pathological input may take to convert. Linear parsing stays well
+ * below it on a busy single core; quadratic parsing takes far longer.
+ */
+const MAX_CONVERSION_MS = 5000;
+
+/**
+ * Converts content and renders it back as HTML
+ * @param {string} content - Post content
+ * @param {string} format - Content format
+ * @returns {string} HTML
+ */
+function convert(content, format) {
+  return toHtml(toDocument(content, format));
+}
+
+/**
+ * Converts content, failing if it takes longer than a linear parser would
+ * @param {string} content - Post content
+ * @param {string} format - Content format
+ * @returns {Object} Document node
+ */
+function convertQuickly(content, format) {
+  const start = Date.now();
+  const doc = toDocument(content, format);
+  toHtml(doc);
+  const elapsed = Date.now() - start;
+  assert.ok(elapsed < MAX_CONVERSION_MS, `conversion took ${elapsed}ms`);
+  return doc;
+}
+
+describe("toDocument", () => {
+  it("keeps plain text paragraphs and line breaks", () => {
+    assert.deepEqual(toDocument("Hello\nworld\n\n<b>Bye</b>"), {
+      type: "doc",
+      content: [
+        {
+          type: "paragraph",
+          content: [
+            { type: "text", text: "Hello" },
+            { type: "hard_break" },
+            { type: "text", text: "world" },
+          ],
+        },
+        { type: "paragraph", content: [{ type: "text", text: "<b>Bye</b>" }] },
+      ],
+    });
+  });
+
+  it("returns an empty paragraph for empty content", () => {
+    assert.deepEqual(toDocument("", "markdown"), {
+      type: "doc",
+      content: [{ type: "paragraph" }],
+    });
+  });
+
+  it("rejects unknown formats", () => {
+    assert.throws(() => toDocument("text", "rtf"), /Unknown content format/);
+  });
+
+  it("converts Markdown blocks and inlines", () => {
+    assert.equal(
+      convert(
+        [
+          "# Title",
+          "",
+          "Some **bold**, *em* and `code` with [a link](https://example.com).",
+          "",
+          "> Quoted",
+          "",
+          "- one",
+          "- two",
+          "",
+          "3. three",
+          "",
+          "```js",
+          "const a = 1;",
+          "```",
+          "",
+          "---",
+        ].join("\n"),
+        "markdown"
+      ),
+      "<h1>Title</h1>" +
+        '<p>Some <strong>bold</strong>, <em>em</em> and <code>code</code> with <a href="https://example.com">a link</a>.</p>' +
+        "<blockquote><p>Quoted</p></blockquote>" +
+        "<ul><li><p>one</p></li><li><p>two</p></li></ul>" +
+        '<ol start="3"><li><p>three</p></li></ol>' +
+        '<pre><code class="language-js">const a = 1;</code></pre>' +
+        "<hr>"
+    );
+  });
+
+  it("moves Markdown images out of paragraphs", () => {
+    assert.equal(
+      convert(
+        'Before ![A cat](https://example.com/cat.png "Cat") after',
+        "markdown"
+      ),
+      '<p>Before</p><img src="https://example.com/cat.png" alt="A cat" title="Cat"><p>after</p>'
+    );
+  });
+
+  it("keeps raw HTML in Markdown as text", () => {
+    assert.equal(
+      convert("<script>alert(1)</script>", "markdown"),
+      "<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>"
+    );
+  });
+
+  it("converts HTML and drops scripts and unknown elements", () => {
+    assert.equal(
+      convert(
+        '<h2>Hi &amp; bye</h2><p>Some <b>bold</b><br>text<script>alert(1)</script></p><ul><li>one<li>two</ul><span>loose</span><img src="https://example.com/a.png" alt="A">',
+        "html"
+      ),
+      "<h2>Hi &amp; bye</h2>" +
+        "<p>Some <strong>bold</strong><br>text</p>" +
+        "<ul><li><p>one</p></li><li><p>two</p></li></ul>" +
+        "<p>loose</p>" +
+        '<img src="https://example.com/a.png" alt="A">'
+    );
+  });
+
+  describe("URL schemes", () => {
+    it("keeps http, https and mailto links", () => {
+      assert.equal(
+        convert(
+          "[a](http://a.example) [b](https://b.example) [c](mailto:c@example.com) <d@example.com>",
+          "markdown"
+        ),
+        '<p><a href="http://a.example">a</a> <a href="https://b.example">b</a> <a href="mailto:c@example.com">c</a> <a href="mailto:d@example.com">d@example.com</a></p>'
+      );
+    });
+
+    it("turns other Markdown links and images into text", () => {
+      assert.equal(
+        convert(
+          "[x](javascript:alert(1)) [y](/relative) ![pic](data:image/png;base64,AAAA)",
+          "markdown"
+        ),
+        "<p>[x](javascript:alert(1)) y pic</p>"
+      );
+    });
+
+    it("turns other HTML links and images into text", () => {
+      const html = convert(
+        '<p><a href="javascript:alert(1)">x</a> <a href=" JavaScript:alert(1)">y</a> <a href="vbscript:z"><b>z</b></a> <img src="data:image/png;base64,AAAA" alt="pic"></p>',
+        "html"
+      );
+
+      assert.equal(html, "<p>x y <strong>z</strong> pic</p>");
+      assert.doesNotMatch(html, /href|src/);
+    });
+  });
+
+  describe("pathological input", () => {
+    for (const [name, content] of [
+      ["unclosed emphasis", "*a ".repeat(20000)],
+      ["unclosed brackets", "[".repeat(20000)],
+      ["unclosed images", "![".repeat(20000)],
+      ["unclosed link destinations", "[a](".repeat(20000)],
+      ["mixed delimiters", "**_".repeat(20000)],
+      ["unmatched code spans", "`a ``".repeat(20000)],
+      ["nested quotes", "> ".repeat(20000) + "a"],
+      ["nested lists", "- ".repeat(20000) + "a"],
+    ]) {
+      it(`converts Markdown with ${name} in linear time`, () => {
+        convertQuickly(content, "markdown");
+      });
+    }
+
+    for (const [name, content] of [
+      ["nested inline elements", "<b>".repeat(20000) + "x"],
+      ["nested blocks", "<blockquote>".repeat(20000) + "x"],
+      ["nested lists", "<ul><li>".repeat(20000) + "x"],
+      ["unclosed tags", "<a b".repeat(20000)],
+      ["unclosed scripts", "<script>".repeat(20000)],
+    ]) {
+      it(`converts HTML with ${name} in linear time`, () => {
+        const doc = convertQuickly(content, "html");
+        assert.equal(doc.type, "doc");
+      });
+    }
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Weighted tweet length counting following X's counting rules
+ * @module utils/tweetLength
+ */
+
+/**
+ * X counting configuration (twitter-text v3)
+ */
+const TWEET_LENGTH_CONFIG = {
+  maxWeightedTweetLength: 280,
+  scale: 100,
+  defaultWeight: 200,
+  transformedURLLength: 23,
+  // Code point ranges counted as a single character, everything else counts double
+  ranges: [
+    { start: 0, end: 4351, weight: 100 },
+    { start: 8192, end: 8205, weight: 100 },
+    { start: 8208, end: 8223, weight: 100 },
+    { start: 8242, end: 8247, weight: 100 },
+  ],
+};
+
+/**
+ * Matches URLs X shortens to t.co links: explicit http(s) URLs, www. hosts
+ * and bare domains with common top-level domains
+ */
+const URL_PATTERN =
+  /\bhttps?:\/\/[^\s<>"]+|\bwww\.[^\s<>"]+|\b(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:com|org|net|io|co|dev|app|ai|gov|edu|me|ly|info|biz|tv|us|uk|de|fr|ca|au|in|jp)\b(?:\/[^\s<>"]*)?/gi;
+
+/**
+ * Trailing characters not treated as part of a URL
+ */
+const URL_TRAILING_PUNCTUATION = /[.,;:!?'")\]}]+$/;
+
+/**
+ * Matches graphemes X counts as a single emoji
+ */
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+const graphemeSegmenter =
+  typeof Intl !== "undefined" && Intl.Segmenter
+    ? new Intl.Segmenter("en", { granularity: "grapheme" })
+    : null;
+
+/**
+ * Finds URLs in text
+ * @param {string} text - Normalized text
+ * @returns {Array<Object>} URL ranges ({ start, end, url }), end exclusive
+ */
+function findUrls(text) {
+  const urls = [];
+
+  for (const match of text.matchAll(URL_PATTERN)) {
+    const url = match[0].replace(URL_TRAILING_PUNCTUATION, "");
+    const start = match.index;
+
+    // Skip domains that are part of an email address
+    if (start > 0 && text[start - 1] === "@") {
+      continue;
+    }
+
+    urls.push({ start, end: start + url.length, url });
+  }
+
+  return urls;
+}
+
+/**
+ * Splits text into graphemes with their UTF-16 offsets
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} Graphemes ({ segment, index })
+ */
+function splitGraphemes(text) {
+  if (graphemeSegmenter) {
+    return Array.from(
+      graphemeSegmenter.segment(text),
+      ({ segment, index }) => ({
+        segment,
+        index,
+      })
+    );
+  }
+
+  const graphemes = [];
+  let index = 0;
+  for (const segment of text) {
+    graphemes.push({ segment, index });
+    index += segment.length;
+  }
+  return graphemes;
+}
+
+/**
+ * Gets the weight of a single code point
+ * @param {number} codePoint - Unicode code point
+ * @returns {number} Weight in scaled units
+ */
+function getCodePointWeight(codePoint) {
+  const range = TWEET_LENGTH_CONFIG.ranges.find(
+    ({ start, end }) => codePoint >= start && codePoint <= end
+  );
+  return range ? range.weight : TWEET_LENGTH_CONFIG.defaultWeight;
+}
+
+/**
+ * Gets the weight of a grapheme; emoji sequences count as one heavy character
+ * @param {string} grapheme - Grapheme cluster
+ * @returns {number} Weight in scaled units
+ */
+function getGraphemeWeight(grapheme) {
+  if (EMOJI_PATTERN.test(grapheme)) {
+    return TWEET_LENGTH_CONFIG.defaultWeight;
+  }
+
+  let weight = 0;
+  for (const char of grapheme) {
+    weight += getCodePointWeight(char.codePointAt(0));
+  }
+  return weight;
+}
+
+/**
+ * Parses tweet text and computes its weighted length
+ * @param {string} text - Tweet text
+ * @returns {Object} Normalized text, weighted length, remaining characters,
+ *   valid range and the offending range past the limit (or null)
+ */
+function parseTweet(text) {
+  const { maxWeightedTweetLength, scale, transformedURLLength } =
+    TWEET_LENGTH_CONFIG;
+  const maxWeight = maxWeightedTweetLength * scale;
+
+  const normalizedText = (text || "").normalize("NFC");
+  const urls = findUrls(normalizedText);
+
+  let weight = 0;
+  let validEnd = 0;
+  let offendingStart = null;
+
+  const addWeight = (amount, start, end) => {
+    weight += amount;
+    if (weight <= maxWeight) {
+      validEnd = end;
+    } else if (offendingStart === null) {
+      offendingStart = start;
+    }
+  };
+
+  let urlIndex = 0;
+  for (const { segment, index } of splitGraphemes(normalizedText)) {
+    const url = urls[urlIndex];
+
+    if (url && index >= url.start) {
+      if (index === url.start) {
+        addWeight(transformedURLLength * scale, url.start, url.end);
+      }
+      if (index + segment.length >= url.end) {
+        urlIndex++;
+      }
+      continue;
+    }
+
+    addWeight(getGraphemeWeight(segment), index, index + segment.length);
+  }
+
+  const weightedLength = Math.ceil(weight / scale);
+
+  return {
+    normalizedText,
+    weightedLength,
+    maxLength: maxWeightedTweetLength,
+    remaining: maxWeightedTweetLength - weightedLength,
+    permillage: Math.floor((weight / maxWeight) * 1000),
+    valid: normalizedText.trim().length > 0 && weight <= maxWeight,
+    validRange: { start: 0, end: validEnd },
+    offendingRange:
+      offendingStart === null
+        ? null
+        : { start: offendingStart, end: normalizedText.length },
+    urls,
+  };
+}
+
+/**
+ * Gets the weighted length of tweet text
+ * @param {string} text - Tweet text
+ * @returns {number} Length as counted by X
+ */
+function getWeightedLength(text) {
+  return parseTweet(text).weightedLength;
+}
+
+/**
+ * Checks whether text fits in a single tweet
+ * @param {string} text - Tweet text
+ * @returns {boolean} True if the text is within the limit
+ */
+function isWithinLimit(text) {
+  return getWeightedLength(text) <= TWEET_LENGTH_CONFIG.maxWeightedTweetLength;
+}
+
+module.exports = {
+  TWEET_LENGTH_CONFIG,
+  parseTweet,
+  getWeightedLength,
+  isWithinLimit,
+};
@@ -0,0 +1,65 @@
+/**
+ * Tests of weighted tweet length counting
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const tweetLength = require("./tweetLength");
+
+describe("tweetLength", () => {
+  it("counts Latin text one per character", () => {
+    assert.equal(tweetLength.getWeightedLength("Hello, world"), 12);
+  });
+
+  it("counts CJK characters double", () => {
+    assert.equal(tweetLength.getWeightedLength("日本語"), 6);
+    assert.ok(tweetLength.isWithinLimit("日".repeat(140)));
+    assert.ok(!tweetLength.isWithinLimit("日".repeat(141)));
+  });
+
+  it("counts an emoji sequence as one double character", () => {
+    assert.equal(tweetLength.getWeightedLength("👍"), 2);
+    assert.equal(tweetLength.getWeightedLength("👩‍👩‍👧‍👦"), 2);
+    assert.equal(tweetLength.getWeightedLength("🇫🇷"), 2);
+    assert.equal(tweetLength.getWeightedLength("👍🏽"), 2);
+  });
+
+  it("counts combined characters after normalizing them", () => {
+    assert.equal(tweetLength.getWeightedLength("café"), 4);
+  });
+
+  it("counts every URL as a t.co link", () => {
+    const url = `https://example.com/${"a".repeat(100)}`;
+
+    assert.equal(tweetLength.getWeightedLength(`See ${url}`), 4 + 23);
+    assert.equal(tweetLength.getWeightedLength("example.com"), 23);
+    assert.equal(tweetLength.getWeightedLength("www.example.org/x"), 23);
+  });
+
+  it("leaves trailing punctuation and email domains out of URLs", () => {
+    assert.equal(
+      tweetLength.getWeightedLength("Go to example.com."),
+      6 + 23 + 1
+    );
+    assert.equal(
+      tweetLength.getWeightedLength("me@example.com"),
+      "me@example.com".length
+    );
+  });
+
+  it("reports where text goes past the limit", () => {
+    const text = `${"a".repeat(279)}日b`;
+    const result = tweetLength.parseTweet(text);
+
+    assert.equal(result.weightedLength, 282);
+    assert.equal(result.valid, false);
+    assert.equal(result.remaining, -2);
+    assert.deepEqual(result.validRange, { start: 0, end: 279 });
+    assert.deepEqual(result.offendingRange, { start: 279, end: 281 });
+  });
+
+  it("rejects empty text", () => {
+    assert.equal(tweetLength.parseTweet("   ").valid, false);
+    assert.equal(tweetLength.parseTweet("a".repeat(280)).valid, true);
+  });
+});
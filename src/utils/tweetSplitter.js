@@ -0,0 +1,168 @@
+/**
+ * Splits long text into tweet-sized thread segments
+ * @module utils/tweetSplitter
+ */
+
+const tweetLength = require("./tweetLength");
+
+const MAX_TWEET_LENGTH = tweetLength.TWEET_LENGTH_CONFIG.maxWeightedTweetLength;
+
+/**
+ * Measures text the way X checks tweet limits (weighted length)
+ * @param {string} text - Text to measure
+ * @returns {number} Weighted length of the text
+ */
+function measure(text) {
+  return tweetLength.getWeightedLength(text);
+}
+
+/**
+ * Builds the "i/n" numbering suffix for a segment
+ * @param {number} index - Zero-based segment index
+ * @param {number} total - Total number of segments
+ * @returns {string} Suffix including the leading space
+ */
+function numberingSuffix(index, total) {
+  return ` ${index + 1}/${total}`;
+}
+
+/**
+ * Splits text into sentences, keeping paragraph breaks as separate units
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Sentences
+ */
+function splitSentences(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .flatMap((paragraph) =>
+      paragraph.split(/(?<=[.!?…]["')\]]?)\s+(?=\S)/).filter(Boolean)
+    );
+}
+
+/**
+ * Hard-splits a single word that is longer than the limit
+ * @param {string} word - Word to split
+ * @param {number} limit - Maximum length per piece
+ * @returns {Array<string>} Pieces
+ */
+function splitLongWord(word, limit) {
+  const pieces = [];
+  let current = "";
+
+  for (const char of Array.from(word)) {
+    if (measure(current + char) > limit) {
+      pieces.push(current);
+      current = "";
+    }
+    current += char;
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces;
+}
+
+/**
+ * Greedily packs units into chunks no longer than the limit, joining with
+ * spaces. Units that are too long are split on words, then characters.
+ * @param {Array<string>} units - Sentences to pack
+ * @param {number} limit - Maximum chunk length
+ * @returns {Array<string>} Chunks
+ */
+function packUnits(units, limit) {
+  const chunks = [];
+  let current = "";
+
+  const push = (piece) => {
+    const candidate = current ? `${current} ${piece}` : piece;
+    if (measure(candidate) <= limit) {
+      current = candidate;
+      return;
+    }
+
+    if (current) {
+      chunks.push(current);
+      current = "";
+    }
+
+    if (measure(piece) <= limit) {
+      current = piece;
+      return;
+    }
+
+    // Piece is too long on its own: fall back to word, then character splits
+    const words = piece.split(" ");
+    if (words.length > 1) {
+      words.forEach(push);
+    } else {
+      const parts = splitLongWord(piece, limit);
+      chunks.push(...parts.slice(0, -1));
+      current = parts[parts.length - 1];
+    }
+  };
+
+  units.forEach(push);
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Splits long text into thread segments on sentence and word boundaries
+ * @param {string} text - Text to split
+ * @param {Object} [options] - Split options
+ * @param {boolean} [options.numbering=true] - Append "i/n" to each segment
+ * @param {number} [options.maxLength=280] - Maximum weighted segment length
+ * @returns {Array<string>} Thread segments
+ */
+function splitIntoTweets(text, options = {}) {
+  const { numbering = true, maxLength = MAX_TWEET_LENGTH } = options;
+  const sentences = splitSentences(text);
+
+  if (!numbering) {
+    return packUnits(sentences, maxLength);
+  }
+
+  // Reserve room for the suffix, growing it until the segment count fits
+  let reservedDigits = 1;
+  for (;;) {
+    const reserve = measure(` ${"9".repeat(reservedDigits)}/`) + reservedDigits;
+    const chunks = packUnits(sentences, maxLength - reserve);
+
+    if (String(chunks.length).length <= reservedDigits) {
+      if (chunks.length === 1) {
+        return chunks;
+      }
+      return chunks.map(
+        (chunk, index) => chunk + numberingSuffix(index, chunks.length)
+      );
+    }
+    reservedDigits++;
+  }
+}
+
+/**
+ * Applies "i/n" numbering to caller-provided segments
+ * @param {Array<string>} segments - Thread segments
+ * @returns {Array<string>} Numbered segments
+ */
+function numberSegments(segments) {
+  if (segments.length === 1) {
+    return segments;
+  }
+  return segments.map(
+    (segment, index) => segment + numberingSuffix(index, segments.length)
+  );
+}
+
+module.exports = {
+  MAX_TWEET_LENGTH,
+  splitIntoTweets,
+  numberSegments,
+  measure,
+};
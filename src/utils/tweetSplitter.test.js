@@ -0,0 +1,98 @@
+/**
+ * Tests of splitting long text into thread segments
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const tweetLength = require("./tweetLength");
+const tweetSplitter = require("./tweetSplitter");
+
+/**
+ * Builds numbered sentences
+ * @param {number} count - Number of sentences
+ * @returns {string} Sentences separated by spaces
+ */
+function sentences(count) {
+  return Array.from(
+    { length: count },
+    (_, index) => `Sentence number ${index + 1} is here.`
+  ).join(" ");
+}
+
+describe("tweetSplitter.splitIntoTweets", () => {
+  it("keeps short text in one unnumbered segment", () => {
+    assert.deepEqual(tweetSplitter.splitIntoTweets("  Just   one tweet. "), [
+      "Just one tweet.",
+    ]);
+  });
+
+  it("splits on sentence boundaries and numbers the segments", () => {
+    const segments = tweetSplitter.splitIntoTweets(sentences(30));
+
+    assert.ok(segments.length > 1);
+    segments.forEach((segment, index) => {
+      assert.ok(tweetLength.isWithinLimit(segment));
+      assert.ok(segment.endsWith(`. ${index + 1}/${segments.length}`));
+    });
+  });
+
+  it("keeps every word in order", () => {
+    const text = sentences(30);
+    const segments = tweetSplitter.splitIntoTweets(text, { numbering: false });
+
+    assert.equal(segments.join(" "), text);
+  });
+
+  it("splits a sentence longer than a tweet on words", () => {
+    const words = Array.from({ length: 100 }, (_, i) => `word${i}`).join(" ");
+    const segments = tweetSplitter.splitIntoTweets(words, { numbering: false });
+
+    assert.ok(segments.length > 1);
+    assert.equal(segments.join(" "), words);
+  });
+
+  it("splits a word longer than a tweet without breaking characters", () => {
+    const segments = tweetSplitter.splitIntoTweets("日".repeat(300), {
+      numbering: false,
+    });
+
+    assert.deepEqual(
+      segments.map((segment) => segment.length),
+      [140, 140, 20]
+    );
+  });
+
+  it("makes room for wider numbering in long threads", () => {
+    const segments = tweetSplitter.splitIntoTweets(sentences(400));
+
+    assert.ok(segments.length >= 10);
+    assert.ok(segments.every((segment) => tweetLength.isWithinLimit(segment)));
+    assert.ok(segments[0].endsWith(` 1/${segments.length}`));
+  });
+
+  it("measures against a custom limit", () => {
+    const segments = tweetSplitter.splitIntoTweets(sentences(3), {
+      maxLength: 40,
+      numbering: false,
+    });
+
+    assert.deepEqual(segments, [
+      "Sentence number 1 is here.",
+      "Sentence number 2 is here.",
+      "Sentence number 3 is here.",
+    ]);
+  });
+});
+
+describe("tweetSplitter.numberSegments", () => {
+  it("numbers several segments", () => {
+    assert.deepEqual(tweetSplitter.numberSegments(["a", "b"]), [
+      "a 1/2",
+      "b 2/2",
+    ]);
+  });
+
+  it("leaves a single segment alone", () => {
+    assert.deepEqual(tweetSplitter.numberSegments(["a"]), ["a"]);
+  });
+});